@@ -17,8 +17,7 @@ webhook.listen(3000, function() {
 });
 
 webhook.post('/webhook', function(req, res) {
-    app.handleRequest(req, res, handlers);
-    app.execute();
+    app.handleRequest(req, res, handlers).execute();
 });
 
 
@@ -29,15 +28,15 @@ webhook.post('/webhook', function(req, res) {
 let handlers = {
 
     'LAUNCH': function() {
-       // app.toIntent('GetFullAddressIntent');
-       app.toIntent('GetCountryPostalCodeIntent');
+       // this.toIntent('GetFullAddressIntent');
+       this.toIntent('GetCountryPostalCodeIntent');
     },
 
     'GetFullAddressIntent': function() {
-        app.user().getAddress()
+        this.user().getAddress()
             .then((data) => {
                 console.log(data);
-                app.tell('Your address');
+                this.tell('Your address');
             }).catch((error) => {
             if (error.code === 'NO_USER_PERMISSION') {
                 app
@@ -48,10 +47,10 @@ let handlers = {
     },
 
     'GetCountryPostalCodeIntent': function() {
-        app.user().getCountryAndPostalCode()
+        this.user().getCountryAndPostalCode()
             .then((data) => {
                 console.log(data);
-                app.tell('Your address');
+                this.tell('Your address');
             }).catch((error) => {
             console.log(error);
             if (error.code === 'NO_USER_PERMISSION') {
@@ -17,8 +17,7 @@ webhook.listen(3000, function() {
 });
 
 webhook.post('/webhook', function(req, res) {
-    app.handleRequest(req, res, handlers);
-    app.execute();
+    app.handleRequest(req, res, handlers).execute();
 });
 
 
@@ -29,10 +28,10 @@ webhook.post('/webhook', function(req, res) {
 let handlers = {
 
     'LAUNCH': function() {
-        app.toIntent('HelloWorldIntent');
+        this.toIntent('HelloWorldIntent');
     },
 
     'HelloWorldIntent': function() {
-        app.tell('Hello World!');
+        this.tell('Hello World!');
     },
 };
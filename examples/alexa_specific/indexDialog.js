@@ -17,8 +17,7 @@ webhook.listen(3000, function() {
 });
 
 webhook.post('/webhook', function(req, res) {
-    app.handleRequest(req, res, handlers);
-    app.execute();
+    app.handleRequest(req, res, handlers).execute();
 });
 
 
@@ -29,7 +28,7 @@ webhook.post('/webhook', function(req, res) {
 let handlers = {
 
     'LAUNCH': function() {
-        app.toIntent('OnboardingIntent');
+        this.toIntent('OnboardingIntent');
     },
     'OnboardingIntent': function() {
         // delegate(app);
@@ -40,13 +39,13 @@ let handlers = {
 };
 
 function confirmSlotAndIntent(app) {
-    if (app.alexaSkill().hasSlotValue('age') && !app.alexaSkill().isSlotConfirmed('age')) {
-        app.alexaSkill().dialogConfirmSlot('age', 'Your age is ' + app.getInput('age') + '. Is that correct?');
-    } else if (!app.alexaSkill().isDialogCompleted()) {
-        app.alexaSkill().dialogDelegate();
+    if (this.alexaSkill().hasSlotValue('age') && !this.alexaSkill().isSlotConfirmed('age')) {
+        this.alexaSkill().dialogConfirmSlot('age', 'Your age is ' + this.getInputValue('age') + '. Is that correct?');
+    } else if (!this.alexaSkill().isDialogCompleted()) {
+        this.alexaSkill().dialogDelegate();
     } else {
-        // app.tell('Name: ' + app.getInput('name') + ', City: ' + app.getInput('city') + ', Age: ' + app.getInput('age') + ' years old.');
-        app.alexaSkill().dialogConfirmIntent('Name: ' + app.getInput('name') + ', City: ' + app.getInput('city') + ', Age: ' + app.getInput('age') + ' years old.');
+        // this.tell('Name: ' + this.getInputValue('name') + ', City: ' + this.getInputValue('city') + ', Age: ' + this.getInputValue('age') + ' years old.');
+        this.alexaSkill().dialogConfirmIntent('Name: ' + this.getInputValue('name') + ', City: ' + this.getInputValue('city') + ', Age: ' + this.getInputValue('age') + ' years old.');
     }
 }
 
@@ -58,10 +57,10 @@ function confirmSlotAndIntent(app) {
  */
 function delegate(app) {
     // simple dialog delegate example
-    if (!app.alexaSkill().isDialogCompleted()) {
-        app.alexaSkill().dialogDelegate();
+    if (!this.alexaSkill().isDialogCompleted()) {
+        this.alexaSkill().dialogDelegate();
     } else {
-        app.tell('Name: ' + app.getInput('name') + ', City: ' + app.getInput('city') + ', Age: ' + app.getInput('age') + ' years old.');
+        this.tell('Name: ' + this.getInputValue('name') + ', City: ' + this.getInputValue('city') + ', Age: ' + this.getInputValue('age') + ' years old.');
     }
 }
 
@@ -70,13 +69,13 @@ function delegate(app) {
  * @param {Jovo} app
  */
 function elicitSlotExample(app) {
-    if (!app.alexaSkill().hasSlotValue('age')) {
-        app.alexaSkill().dialogElicitSlot(
+    if (!this.alexaSkill().hasSlotValue('age')) {
+        this.alexaSkill().dialogElicitSlot(
             'age',
             'What is your age?'
         );
     } else {
-        app.alexaSkill().dialogDelegate();
+        this.alexaSkill().dialogDelegate();
     }
 }
 
@@ -85,7 +84,7 @@ function elicitSlotExample(app) {
  * @param {Jovo} app
  */
 function elicitSlotExampleWithUpdatedIntent(app) {
-    if (!app.alexaSkill().hasSlotValue('age')) {
+    if (!this.alexaSkill().hasSlotValue('age')) {
         let updatedIntent = {
             name: 'OnboardingIntent',
             confirmationStatus: 'NONE',
@@ -106,15 +105,15 @@ function elicitSlotExampleWithUpdatedIntent(app) {
                 },
             },
         };
-        app.alexaSkill().dialogElicitSlot(
+        this.alexaSkill().dialogElicitSlot(
             'age',
             'What is your age?',
             'Your age please',
             updatedIntent
         );
-    } else if (!app.alexaSkill().isDialogCompleted()) {
-        app.alexaSkill().dialogDelegate();
+    } else if (!this.alexaSkill().isDialogCompleted()) {
+        this.alexaSkill().dialogDelegate();
     } else {
-        app.tell('Name: ' + app.getInput('name') + ', City: ' + app.getInput('city') + ', Age: ' + app.getInput('age') + ' years old.');
+        this.tell('Name: ' + this.getInputValue('name') + ', City: ' + this.getInputValue('city') + ', Age: ' + this.getInputValue('age') + ' years old.');
     }
 }
@@ -22,17 +22,16 @@ app.setIntentMap({
 
 // listen for post requests
 webhook.post('/webhook', function(req, res) {
-    app.handleRequest(req, res, handlers);
-    app.execute();
+    app.handleRequest(req, res, handlers).execute();
 });
 
 
 let handlers = {
 
     'LAUNCH': function() {
-        app.toIntent('SuggestionsIntent');
-        // app.toIntent('ListIntent');
-        // app.toIntent('CarouselIntent');
+        this.toIntent('SuggestionsIntent');
+        // this.toIntent('ListIntent');
+        // this.toIntent('CarouselIntent');
     },
     'BasicCardIntent': function() {
         let basicCard = new BasicCard()
@@ -40,15 +39,15 @@ let handlers = {
             .setImage('https://via.placeholder.com/720x480', 'accessibilityText')
             .setFormattedText('Formatted Text');
 
-        app.googleAction().showBasicCard(basicCard);
-        app.googleAction().showSuggestionChips(['List', 'Carousel', 'Basic card']);
-        app.ask('Response with basic card', '?');
+        this.googleAction().showBasicCard(basicCard);
+        this.googleAction().showSuggestionChips(['List', 'Carousel', 'Basic card']);
+        this.ask('Response with basic card', '?');
     },
     'SuggestionsIntent': function() {
         // must end with an ask response
-        app.googleAction().showSuggestionChips(['List', 'Carousel', 'Basic card']);
-        app.googleAction().showLinkOutSuggestion('Name', 'http://www.example.com');
-        app.ask('Choose one', 'Choose one');
+        this.googleAction().showSuggestionChips(['List', 'Carousel', 'Basic card']);
+        this.googleAction().showLinkOutSuggestion('Name', 'http://www.example.com');
+        this.ask('Choose one', 'Choose one');
     },
     'ListIntent': function() {
         let list = new List();
@@ -67,9 +66,9 @@ let handlers = {
                 .setDescription('Carousel')
                 .setKey('Listitem2key')
         );
-        app.googleAction().showList(list);
-        app.googleAction().showSuggestionChips(['List', 'Carousel', 'Basic card']);
-        app.ask('Choose from list', 'Choose from list');
+        this.googleAction().showList(list);
+        this.googleAction().showSuggestionChips(['List', 'Carousel', 'Basic card']);
+        this.ask('Choose from list', 'Choose from list');
     },
     'CarouselIntent': function() {
         let carousel = new Carousel();
@@ -88,13 +87,13 @@ let handlers = {
                 .setImage('https://via.placeholder.com/720x480', 'accessibilityText')
                 .setKey('Carouselitem2key')
         );
-        app.googleAction().showCarousel(carousel);
-        app.googleAction().showSuggestionChips(['List', 'Carousel', 'Basic card']);
+        this.googleAction().showCarousel(carousel);
+        this.googleAction().showSuggestionChips(['List', 'Carousel', 'Basic card']);
 
-        app.ask('Choose from list', 'Choose from list');
+        this.ask('Choose from list', 'Choose from list');
     },
     'HelloWorldIntent': function() {
-        app.tell('Hello World');
+        this.tell('Hello World');
     },
     'ON_ELEMENT_SELECTED': function() {
         let selectedElement = this.getSelectedElementId();
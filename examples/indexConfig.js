@@ -34,17 +34,16 @@ app.setConfig({
 
 // listen for post requests
 webhook.post('/webhook', function(req, res) {
-    app.handleRequest(req, res, handlers);
-    app.execute();
+    app.handleRequest(req, res, handlers).execute();
 });
 
 
 let handlers = {
 
     'LAUNCH': function() {
-        app.tell('App launched');
+        this.tell('App launched');
     },
     'HelloWorld': function() {
-        app.tell('Hello World');
+        this.tell('Hello World');
     },
 };
@@ -17,8 +17,7 @@ webhook.listen(3000, function() {
 });
 
 webhook.post('/webhook', function(req, res) {
-    app.handleRequest(req, res, handlers);
-    app.execute();
+    app.handleRequest(req, res, handlers).execute();
 });
 
 
@@ -35,12 +34,12 @@ let handlers = {
     },
 
     'HelloIntent': function() {
-        app.tell('Welcome back!');
+        this.tell('Welcome back!');
     },
 
     'OnboardingState': {
         'HelloIntent': function() {
-            app.followUpState(null).ask('Hey', 'Hello');
+            this.followUpState(null).ask('Hey', 'Hello');
         },
     },
 };
@@ -17,8 +17,7 @@ webhook.listen(3000, function() {
 });
 
 webhook.post('/webhook', function(req, res) {
-    app.handleRequest(req, res, handlers);
-    app.execute();
+    app.handleRequest(req, res, handlers).execute();
 });
 
 // =================================================================================
@@ -28,11 +27,11 @@ webhook.post('/webhook', function(req, res) {
 let handlers = {
 
     'LAUNCH': function() {
-        app.ask('What\'s your name?', 'Tell me your name, please.');
+        this.ask('What\'s your name?', 'Tell me your name, please.');
     },
 
     'NameIntent': function(name) {
-        app.tell('Hello ' + name);
+        this.tell('Hello ' + name);
     },
 };
 
@@ -14,28 +14,28 @@ app.setConfig({
 
 // listen for post requests
 webhook.post('/webhook', function(req, res) {
-    app.handleRequest(req, res, handlers);
-    app.setAlexaHandler(alexaHandlers);
-    app.setGoogleActionHandler(googleActionHandlers);
-    app.execute();
+    let jovo = app.handleRequest(req, res, handlers);
+    jovo.setAlexaHandler(alexaHandlers);
+    jovo.setGoogleActionHandler(googleActionHandlers);
+    jovo.execute();
 });
 
 const handlers = {
     'LAUNCH': function() {
-        app.toIntent('HelloWorldIntent');
+        this.toIntent('HelloWorldIntent');
     },
 };
 
 const alexaHandlers = {
 
     'HelloWorldIntent': function() {
-        app.tell('Hello Alexa User');
+        this.tell('Hello Alexa User');
     },
 };
 
 const googleActionHandlers = {
 
     'HelloWorldIntent': function() {
-        app.tell('Hello Google User');
+        this.tell('Hello Google User');
     },
 };
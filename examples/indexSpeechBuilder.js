@@ -17,8 +17,7 @@ webhook.listen(3000, function() {
 });
 
 webhook.post('/webhook', function(req, res) {
-    app.handleRequest(req, res, handlers);
-    app.execute();
+    app.handleRequest(req, res, handlers).execute();
 });
 
 
@@ -29,11 +28,11 @@ webhook.post('/webhook', function(req, res) {
 let handlers = {
 
     'LAUNCH': function() {
-        app.tell('App launched');
+        this.tell('App launched');
     },
 
     'HelloWorldIntent': function() {
-        let speech = app.speechBuilder();
+        let speech = this.speechBuilder();
 
         let foo = false;
         let bar = true;
@@ -49,7 +48,7 @@ let handlers = {
             .addAudio(['url1', 'url2', 'url3'])
             .addText('Good Bye.');
 
-        app.tell(speech);
+        this.tell(speech);
     },
 };
 
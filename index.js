@@ -1,24 +1,45 @@
 'use strict';
 
 const Jovo = require('./lib/jovo').Jovo;
+const AppRegistry = require('./lib/appRegistry').AppRegistry;
 const FilePersistence = require('./lib/integrations/db/filePersistence').FilePersistence;
 const DynamoDb = require('./lib/integrations/db/dynamoDb').DynamoDb;
+const GoogleActionUserStorage = require('./lib/integrations/db/googleActionUserStorage').GoogleActionUserStorage;
 const WebhookTest = require('./lib/tools/webhookTest').WebhookTest;
 const RequestBuilderAlexaSkill = require('./lib/platforms/alexa/requestBuilderAlexaSkill').RequestBuilderAlexaSkill;
 const http = require('http');
 const express = require('express');
-const verifier = require('alexa-verifier-middleware');
 const bodyParser = require('body-parser');
+const GoogleVerifier = require('./lib/verification/googleVerifier').GoogleVerifier;
+const createVerifiedRouter = require('./lib/verification/verifiedRouter').createVerifiedRouter;
 
 
 let server = express();
 server.use(bodyParser.json());
 
+// dispatches webhook requests to the registered apps (if there are any)
+const apps = new AppRegistry();
+server.post('/webhook', function(req, res, next) {
+    if (apps.isEmpty()) {
+        return next();
+    }
+    apps.handleWebhook(req, res);
+});
+
+// verifies Alexa requests and Google requests (with the configured checks)
+const googleVerifier = new GoogleVerifier();
 const verifiedServer = express();
-const alexaRouter = express.Router(); // eslint-disable-line
-verifiedServer.use(alexaRouter);
-alexaRouter.use(verifier);
-alexaRouter.use(bodyParser.json());
+verifiedServer.use(createVerifiedRouter(googleVerifier));
+
+/**
+ * Sets the checks of Google requests
+ * @param {{basicAuth: object, headers: object, projectId: string, certs: object}} config
+ * @return {*} verified server
+ */
+verifiedServer.setGoogleVerification = function(config) {
+    googleVerifier.setConfig(config);
+    return this;
+};
 
 // check for running ngrok tunnel
 server.listen = function listen() {
@@ -122,9 +143,16 @@ if (process.argv.length > 2) {
 module.exports.Webhook = server;
 module.exports.WebhookVerified = verifiedServer;
 module.exports.Jovo = new Jovo();
+module.exports.Apps = apps;
+module.exports.AppRegistry = AppRegistry;
+module.exports.GoogleVerifier = GoogleVerifier;
 module.exports.GoogleAction = require('./lib/platforms/googleaction/googleAction').GoogleAction; ;
 module.exports.AlexaSkill = require('./lib/platforms/alexa/alexaSkill').AlexaSkill;
+module.exports.Platform = require('./lib/platforms/plaform').Platform;
 
 module.exports.FilePersistence = FilePersistence;
 module.exports.DynamoDb = DynamoDb;
+module.exports.GoogleActionUserStorage = GoogleActionUserStorage;
+module.exports.JovoError = require('./lib/jovoError').JovoError;
 
+module.exports.StandardIntents = require('./lib/plugins/standardIntents').StandardIntents;
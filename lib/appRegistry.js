@@ -0,0 +1,151 @@
+'use strict';
+
+const _ = require('lodash');
+const Jovo = require('./jovo').Jovo;
+const GoogleVerifier = require('./verification/googleVerifier').GoogleVerifier;
+
+/**
+ * Class AppRegistry
+ * Hosts several skills and actions in one process. Every Alexa application ID
+ * or Google project ID is mapped to a Jovo app with its own handlers,
+ * config, language resources and database.
+ */
+class AppRegistry {
+
+    /**
+     * Constructor
+     * @public
+     */
+    constructor() {
+        this.apps = {};
+    }
+
+    /**
+     * Registers an app for one or more application IDs.
+     * The app can be a Jovo instance or an object with handlers, config,
+     * languageResources and db ({name, implementation}).
+     * @public
+     * @throws Error
+     * @param {string|Array<string>} applicationIds Alexa application IDs, Google project IDs
+     * @param {Jovo|object} app
+     * @return {Jovo} the registered app
+     */
+    register(applicationIds, app) {
+        applicationIds = _.castArray(applicationIds);
+        if (applicationIds.length === 0) {
+            throw new Error('At least one application ID is needed to register an app.');
+        }
+        if (!(app instanceof Jovo)) {
+            app = AppRegistry.createApp(app || {});
+        }
+        applicationIds.forEach((applicationId) => {
+            if (this.apps[applicationId]) {
+                throw new Error('An app is already registered for ' + applicationId + '.');
+            }
+            this.apps[applicationId] = app;
+        });
+        return app;
+    }
+
+    /**
+     * Creates a Jovo app from the registration options
+     * @private
+     * @param {{handlers: object, config: object, languageResources: object, db: object}} options
+     * @return {Jovo}
+     */
+    static createApp(options) {
+        let app = new Jovo();
+        if (options.config) {
+            app.setConfig(options.config);
+        }
+        if (options.languageResources) {
+            app.setLanguageResources(options.languageResources);
+        }
+        if (options.db) {
+            app.setDb(options.db.name, options.db.implementation);
+        }
+        if (options.handlers) {
+            app.setHandler(options.handlers);
+        }
+        return app;
+    }
+
+    /**
+     * Returns the app of the application ID
+     * @public
+     * @param {string} applicationId
+     * @return {Jovo|undefined}
+     */
+    getApp(applicationId) {
+        return this.apps[applicationId];
+    }
+
+    /**
+     * Returns true if no app has been registered
+     * @public
+     * @return {boolean}
+     */
+    isEmpty() {
+        return Object.keys(this.apps).length === 0;
+    }
+
+    /**
+     * Returns the Alexa application ID or the Google project ID of a request.
+     * The project ID is taken from the session of Dialogflow V2 requests
+     * or the audience of the Google-Assistant-Signature header.
+     * @public
+     * @param {object} request request body
+     * @param {object} headers
+     * @return {string|undefined}
+     */
+    static getApplicationId(request, headers) {
+        let applicationId = _.get(request, 'session.application.applicationId') ||
+            _.get(request, 'context.System.application.applicationId');
+        if (applicationId) {
+            return applicationId;
+        }
+        return GoogleVerifier.getProjectId(request, headers);
+    }
+
+    /**
+     * Handles a webhook request with the app of its application ID.
+     * Responds with 404 if there is none.
+     * @public
+     * @param {*} req express request
+     * @param {*} res express response
+     * @return {Promise}
+     */
+    handleWebhook(req, res) {
+        let applicationId = AppRegistry.getApplicationId(req.body, req.headers);
+        let app = this.getApp(applicationId);
+        if (!app) {
+            console.log('No app registered for application ID ' + applicationId + '.');
+            res.status(404).json({
+                error: 'No app registered for application ID ' + applicationId + '.',
+            });
+            return Promise.resolve();
+        }
+        return app.handleRequest(req, res).execute();
+    }
+
+    /**
+     * Handles a Lambda request with the app of its application ID.
+     * Calls back with an error if there is none.
+     * @public
+     * @param {object} event
+     * @param {object} context
+     * @param {function} callback
+     * @return {Promise}
+     */
+    handleLambda(event, context, callback) {
+        let applicationId = AppRegistry.getApplicationId(event, event.headers);
+        let app = this.getApp(applicationId);
+        if (!app) {
+            callback(new Error('No app registered for application ID ' + applicationId + '.'));
+            return Promise.resolve();
+        }
+        return app.handleRequest(event, callback).execute();
+    }
+}
+
+module.exports.AppRegistry = AppRegistry;
@@ -0,0 +1,208 @@
+'use strict';
+
+const _ = require('lodash');
+
+const INPUT_TYPE_ENUM = Object.freeze({
+    NUMBER: 'number',
+    DATE: 'date',
+    TIME: 'time',
+    DURATION: 'duration',
+    BOOLEAN: 'boolean',
+    ENUM: 'enum',
+});
+
+const INPUT_ERROR_ENUM = Object.freeze({
+    MISSING: 'MISSING',
+    INVALID: 'INVALID',
+});
+
+const SECONDS_PER_UNIT = {
+    's': 1,
+    'min': 60,
+    'h': 3600,
+    'day': 86400,
+    'wk': 604800,
+    'mo': 2592000,
+    'yr': 31536000,
+};
+
+const BOOLEAN_VALUES = {
+    'true': true,
+    'yes': true,
+    '1': true,
+    'false': false,
+    'no': false,
+    '0': false,
+};
+
+const converters = {};
+
+/**
+ * Converts numbers like '45' or '3.5'
+ * @param {*} value
+ * @return {number|undefined}
+ */
+converters[INPUT_TYPE_ENUM.NUMBER] = function(value) {
+    if (typeof value === 'string' && value.trim() !== '') {
+        value = Number(value);
+    }
+    if (typeof value !== 'number' || isNaN(value)) {
+        return;
+    }
+    return value;
+};
+
+/**
+ * Converts dates like '2017-06-12' (UTC midnight) or ISO 8601 date times.
+ * Weeks, weekends, seasons etc. are invalid.
+ * @param {*} value
+ * @return {Date|undefined}
+ */
+converters[INPUT_TYPE_ENUM.DATE] = function(value) {
+    if (value instanceof Date) {
+        return value;
+    }
+    if (typeof value !== 'string') {
+        return;
+    }
+    let date;
+    let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+        date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        // Date.UTC accepts days and months out of range, e.g. 2017-02-30
+        if (date.toISOString().substr(0, 10) !== value) {
+            return;
+        }
+    } else if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+        date = new Date(value);
+    }
+    if (!date || isNaN(date.getTime())) {
+        return;
+    }
+    return date;
+};
+
+/**
+ * Converts times like '14:30' or '14:30:00'
+ * @param {*} value
+ * @return {{hours: number, minutes: number, seconds: number}|undefined}
+ */
+converters[INPUT_TYPE_ENUM.TIME] = function(value) {
+    let match = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) {
+        return;
+    }
+    let time = {
+        hours: Number(match[1]),
+        minutes: Number(match[2]),
+        seconds: Number(match[3] || 0),
+    };
+    if (time.hours > 23 || time.minutes > 59 || time.seconds > 59) {
+        return;
+    }
+    return time;
+};
+
+/**
+ * Converts ISO 8601 durations (Alexa, e.g. 'PT10M') and
+ * duration objects (Dialogflow, e.g. {amount: 10, unit: 'min'}) to seconds.
+ * Months have 30, years 365 days.
+ * @param {*} value
+ * @return {number|undefined} seconds
+ */
+converters[INPUT_TYPE_ENUM.DURATION] = function(value) {
+    if (_.isPlainObject(value)) {
+        let amount = Number(value.amount);
+        if (isNaN(amount) || !SECONDS_PER_UNIT[value.unit]) {
+            return;
+        }
+        return amount * SECONDS_PER_UNIT[value.unit];
+    }
+    let number = '(\\d+(?:\\.\\d+)?)';
+    let regex = new RegExp('^P(?:' + number + 'Y)?(?:' + number + 'M)?(?:' + number + 'W)?' +
+        '(?:' + number + 'D)?(?:T(?:' + number + 'H)?(?:' + number + 'M)?(?:' + number + 'S)?)?$');
+    let match = typeof value === 'string' && value.match(regex);
+    if (!match || value === 'P' || _.endsWith(value, 'T')) {
+        return;
+    }
+    let units = ['yr', 'mo', 'wk', 'day', 'h', 'min', 's'];
+    return units.reduce((seconds, unit, i) => {
+        return seconds + Number(match[i + 1] || 0) * SECONDS_PER_UNIT[unit];
+    }, 0);
+};
+
+/**
+ * Converts 'true', 'yes', '1' and 'false', 'no', '0'
+ * @param {*} value
+ * @return {boolean|undefined}
+ */
+converters[INPUT_TYPE_ENUM.BOOLEAN] = function(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    return BOOLEAN_VALUES[String(value).toLowerCase()];
+};
+
+/**
+ * Matches the value case-insensitive with definition.values
+ * @param {*} value
+ * @param {{values: Array}} definition
+ * @return {*} the matching item of definition.values
+ */
+converters[INPUT_TYPE_ENUM.ENUM] = function(value, definition) {
+    return _.find(definition.values, (item) => {
+        return String(item).toLowerCase() === String(value).toLowerCase();
+    });
+};
+
+/**
+ * Checks the structure of input definitions
+ * (intent name -> input name -> definition)
+ * @throws Error
+ * @param {*} inputDefinitions
+ */
+function validateInputDefinitions(inputDefinitions) {
+    _.forEach(inputDefinitions, (definitions, intentName) => {
+        _.forEach(definitions, (definition, inputName) => {
+            let path = intentName + '.' + inputName;
+            if (definition.type && !converters[definition.type]) {
+                throw new Error('Input type ' + definition.type + ' of ' + path +
+                    ' is not supported.');
+            }
+            if (definition.type === INPUT_TYPE_ENUM.ENUM && !Array.isArray(definition.values)) {
+                throw new Error('Enum input ' + path + ' needs an array of values.');
+            }
+            if (definition.validator && typeof definition.validator !== 'function') {
+                throw new Error('Validator of ' + path + ' has to be a function.');
+            }
+        });
+    });
+}
+
+/**
+ * Returns true if the input has no value
+ * @param {*} value
+ * @return {boolean}
+ */
+function isEmpty(value) {
+    return typeof value === 'undefined' || value === null || value === '';
+}
+
+/**
+ * Converts a (non-empty) input value to the type of the definition
+ * @param {*} value
+ * @param {{type: string}} definition
+ * @return {*} undefined if the value can't be converted
+ */
+function convert(value, definition) {
+    if (!definition.type) {
+        return value;
+    }
+    return converters[definition.type](value, definition);
+}
+
+module.exports.INPUT_TYPE_ENUM = INPUT_TYPE_ENUM;
+module.exports.INPUT_ERROR_ENUM = INPUT_ERROR_ENUM;
+module.exports.validateInputDefinitions = validateInputDefinitions;
+module.exports.isEmpty = isEmpty;
+module.exports.convert = convert;
@@ -154,12 +154,11 @@ class VoiceLabsGoogleActionAnalytics {
      * @param {Jovo} app jovo app object
      */
     track(app) {
-        let request = app.googleAction().getRequest().getOriginalRequest() ?
-            app.googleAction().getRequest().getOriginalRequest() : null;
+        let requestData = app.googleAction().getRequest().getOriginalRequestData();
 
         this.voiceInsights.track(
             app.getIntentName(),
-            request.data,
+            requestData,
             app.googleAction().getResponse().getSpeechText()
         );
     };
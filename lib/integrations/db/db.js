@@ -14,17 +14,22 @@ class Db {
     }
 
     /**
-     * Selects database by name
+     * Selects database by name.
+     * Databases with forRequest() get an instance bound to the request context.
      * @param {string} mainKey
      * @param {string} name
+     * @param {Jovo=} jovo request context
      * @return {*}
      */
-    use(mainKey, name) {
-        if (!name) {
-            return this.databases[Object.keys(this.databases)[0]]
-                .setMainKey(mainKey);
+    use(mainKey, name, jovo) {
+        let database = name ?
+            this.databases[name] :
+            this.databases[Object.keys(this.databases)[0]];
+
+        if (jovo && typeof database.forRequest === 'function') {
+            database = database.forRequest(jovo);
         }
-        return this.databases[name].setMainKey(mainKey);
+        return database.setMainKey(mainKey);
     }
 
     /**
@@ -3,6 +3,7 @@ const fs = require('fs');
 const _ = require('lodash');
 const ERR_MAIN_KEY_NOT_FOUND = 'ERR_MAIN_KEY_NOT_FOUND';
 const ERR_DATA_KEY_NOT_FOUND = 'ERR_DATA_KEY_NOT_FOUND';
+let tmpFileCount = 0;
 /**
  * Class FilePersistence
  */
@@ -72,7 +73,7 @@ class FilePersistence {
                 userArray.push(newItem);
             }
 
-            fs.writeFile(filename, JSON.stringify(userArray, null, '\t'), function(err) {
+            writeFile(filename, JSON.stringify(userArray, null, '\t'), function(err) {
                 callback(err);
             });
         });
@@ -201,7 +202,7 @@ class FilePersistence {
                 userArray.push(newItem);
             }
 
-            fs.writeFile(filename, JSON.stringify(userArray, null, '\t'), function(err) {
+            writeFile(filename, JSON.stringify(userArray, null, '\t'), function(err) {
                 callback(err);
             });
         });
@@ -226,7 +227,7 @@ class FilePersistence {
             }
             delete fileObj[mainKey];
 
-            fs.writeFile(filename, JSON.stringify(fileObj, null, '\t'), function(err) {
+            writeFile(filename, JSON.stringify(fileObj, null, '\t'), function(err) {
                 if (err) {
                     callback(err, false);
                     return;
@@ -264,7 +265,7 @@ class FilePersistence {
 
             delete fileObj[mainKey][key];
 
-            fs.writeFile(filename, JSON.stringify(fileObj, null, '\t'), function(err) {
+            writeFile(filename, JSON.stringify(fileObj, null, '\t'), function(err) {
                 if (err) {
                     callback(err, false);
                     return;
@@ -276,6 +277,24 @@ class FilePersistence {
 
 }
 
+/**
+ * Writes the data to a temporary file first and renames it afterwards.
+ * Concurrent requests could otherwise corrupt the file.
+ * @param {string} filename
+ * @param {string} data
+ * @param {function} callback
+ */
+function writeFile(filename, data, callback) {
+    let tmpFilename = filename + '.' + process.pid + '.' + (tmpFileCount++) + '.tmp';
+    fs.writeFile(tmpFilename, data, function(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        fs.rename(tmpFilename, filename, callback);
+    });
+}
+
 /**
  * Data key not found error
  * @param {string} mainKey
@@ -0,0 +1,254 @@
+'use strict';
+const _ = require('lodash');
+
+const ERR_MAIN_KEY_NOT_FOUND = 'ERR_MAIN_KEY_NOT_FOUND';
+const ERR_DATA_KEY_NOT_FOUND = 'ERR_DATA_KEY_NOT_FOUND';
+const ERR_SIZE_LIMIT_EXCEEDED = 'ERR_SIZE_LIMIT_EXCEEDED';
+const ERR_NO_GOOGLE_ACTION = 'ERR_NO_GOOGLE_ACTION';
+
+// Google Assistant allows up to 10k bytes per user
+const MAX_USER_STORAGE_SIZE = 10000;
+
+/**
+ * Class GoogleActionUserStorage
+ * Stores the data in the user storage of Google Assistant,
+ * no server-side database is needed.
+ * The data is read from user.userStorage of the request
+ * and written to userStorage of the response.
+ * Requests of other platforms use the fallback database (if set).
+ */
+class GoogleActionUserStorage {
+    /**
+     * constructor
+     * @param {Jovo=} jovo request context
+     * @param {*=} fallbackDb database implementation for other platforms
+     */
+    constructor(jovo, fallbackDb) {
+        this.jovo = jovo;
+        this.fallbackDb = fallbackDb;
+    }
+
+    /**
+     * Returns an instance bound to the request context,
+     * or the fallback database for other platforms
+     * @param {Jovo} jovo
+     * @return {*}
+     */
+    forRequest(jovo) {
+        if (this.fallbackDb && !jovo.isGoogleAction()) {
+            return typeof this.fallbackDb.forRequest === 'function' ?
+                this.fallbackDb.forRequest(jovo) :
+                this.fallbackDb;
+        }
+        return new GoogleActionUserStorage(jovo, this.fallbackDb);
+    }
+
+    /**
+     * Sets mainkey (userId)
+     * @param {string} mainKey
+     * @return {GoogleActionUserStorage}
+     */
+    setMainKey(mainKey) {
+        this.mainKey = mainKey;
+        return this;
+    }
+
+    /**
+     * Saves value
+     * @param {string} key
+     * @param {object|string} value
+     * @param {function} callback
+     */
+    save(key, value, callback) {
+        updateStorage(this.jovo, (storage) => {
+            _.set(storage, ['data', key], value);
+        }, callback);
+    }
+
+    /**
+     * Gets value from user storage
+     * @param {string} key
+     * @param {function} callback
+     */
+    load(key, callback) {
+        this.loadObject((err, storage) => {
+            if (err) {
+                callback(err, null);
+                return;
+            }
+            if (!_.has(storage, ['data', key])) {
+                callback(createDataKeyNotFoundError(this.mainKey, key), null);
+                return;
+            }
+            callback(null, storage.data[key]);
+        });
+    }
+
+    /**
+     * Loads complete user object from user storage
+     * @param {func} callback
+     */
+    loadObject(callback) {
+        let storage;
+        try {
+            storage = readStorage(this.jovo);
+        } catch (err) {
+            callback(err, null);
+            return;
+        }
+        if (_.isEmpty(storage)) {
+            callback(createMainKeyNotFoundError(this.mainKey), null);
+            return;
+        }
+        callback(null, storage);
+    }
+
+    /**
+     * Saves complete column object 'user' OR 'userData'
+     * @param {string} key
+     * @param {object|string} newData
+     * @param {function} callback
+     */
+    saveFullObject(key, newData, callback) {
+        updateStorage(this.jovo, (storage) => {
+            storage[key] = newData;
+        }, callback);
+    }
+
+    /**
+     * Saves object with key
+     * @param {string} key
+     * @param {object} newData
+     * @param {function} callback
+     */
+    saveObject(key, newData, callback) {
+        this.saveFullObject(key, newData, callback);
+    }
+
+    /**
+     * Deletes all data of the user
+     * @param {function} callback
+     */
+    deleteUser(callback) {
+        try {
+            readStorage(this.jovo);
+        } catch (err) {
+            callback(err, false);
+            return;
+        }
+        this.jovo.googleAction().getResponse().setUserStorage('');
+        callback(null, true);
+    }
+
+    /**
+     * Deletes data for that key
+     * @param {string} key
+     * @param {function} callback
+     */
+    deleteData(key, callback) {
+        this.load(key, (err) => {
+            if (err) {
+                callback(err, false);
+                return;
+            }
+            updateStorage(this.jovo, (storage) => {
+                delete storage.data[key];
+            }, (err) => {
+                callback(err, !err);
+            });
+        });
+    }
+}
+
+/**
+ * Returns the stored object. Data saved during the request
+ * (response user storage) is preferred to the data of the request.
+ * @param {Jovo} jovo
+ * @return {object}
+ */
+function readStorage(jovo) {
+    if (!jovo || !jovo.isGoogleAction()) {
+        let err = new Error('The user storage can only be used with Google Actions');
+        err.code = ERR_NO_GOOGLE_ACTION;
+        throw err;
+    }
+    let userStorage = jovo.googleAction().getResponse().getUserStorage();
+
+    if (typeof userStorage === 'undefined') {
+        userStorage = jovo.googleAction().getRequest().getUserStorage();
+    }
+    try {
+        let storage = JSON.parse(userStorage);
+        return _.isPlainObject(storage) ? storage : {};
+    } catch (e) {
+        // empty or foreign user storage
+        return {};
+    }
+}
+
+/**
+ * Modifies the stored object and writes it to the response
+ * @param {Jovo} jovo
+ * @param {function} modify gets the stored object
+ * @param {function} callback
+ */
+function updateStorage(jovo, modify, callback) {
+    let storage;
+    try {
+        storage = readStorage(jovo);
+    } catch (err) {
+        callback(err);
+        return;
+    }
+    modify(storage);
+
+    let userStorage = JSON.stringify(storage);
+    if (Buffer.byteLength(userStorage, 'utf8') > MAX_USER_STORAGE_SIZE) {
+        callback(createSizeLimitExceededError(Buffer.byteLength(userStorage, 'utf8')));
+        return;
+    }
+    jovo.googleAction().getResponse().setUserStorage(userStorage);
+    callback(null);
+}
+
+/**
+ * Size limit exceeded error
+ * @param {number} size
+ * @return {Error}
+ */
+function createSizeLimitExceededError(size) {
+    let err = new Error('User storage of ' + size + ' bytes exceeds the limit of ' +
+        MAX_USER_STORAGE_SIZE + ' bytes');
+    err.code = ERR_SIZE_LIMIT_EXCEEDED;
+    return err;
+}
+
+/**
+ * Data key not found error
+ * @param {string} mainKey
+ * @param {string} key
+ * @return {Error}
+ */
+function createDataKeyNotFoundError(mainKey, key) {
+    let err = new Error('Data key "'+key+'" not found for main key "'+mainKey+'"');
+    err.code = ERR_DATA_KEY_NOT_FOUND;
+    return err;
+}
+
+/**
+ * Main key not found error
+ * @param {string} mainKey
+ * @return {Error}
+ */
+function createMainKeyNotFoundError(mainKey) {
+    let err = new Error('Mainkey "'+mainKey+'" not found in user storage');
+    err.code = ERR_MAIN_KEY_NOT_FOUND;
+    return err;
+}
+
+module.exports.GoogleActionUserStorage = GoogleActionUserStorage;
+module.exports.GoogleActionUserStorage.ERR_MAIN_KEY_NOT_FOUND = ERR_MAIN_KEY_NOT_FOUND;
+module.exports.GoogleActionUserStorage.ERR_DATA_KEY_NOT_FOUND = ERR_DATA_KEY_NOT_FOUND;
+module.exports.GoogleActionUserStorage.ERR_SIZE_LIMIT_EXCEEDED = ERR_SIZE_LIMIT_EXCEEDED;
+module.exports.GoogleActionUserStorage.ERR_NO_GOOGLE_ACTION = ERR_NO_GOOGLE_ACTION;
+module.exports.GoogleActionUserStorage.MAX_USER_STORAGE_SIZE = MAX_USER_STORAGE_SIZE;
@@ -7,37 +7,54 @@ const sprintf = require('i18next-sprintf-postprocessor');
 
 // Platforms
 const AlexaSkill = require('./platforms/alexa/alexaSkill').AlexaSkill;
-const GoogleAction = require('./platforms/googleaction/googleAction').GoogleAction;
+// registers the Google Action platforms (API.AI V1, Dialogflow V2 and Actions SDK)
+require('./platforms/googleaction/googleAction');
+require('./platforms/googleaction/googleActionDialogflowV2');
+require('./platforms/googleaction/googleActionSdk');
 
 const SpeechBuilder = require('./platforms/speechBuilder').SpeechBuilder;
 // Database implementation
 const FilePersistence = require('./integrations/db/filePersistenceV2').FilePersistence;
 
 const DynamoDb = require('./integrations/db/dynamoDb').DynamoDb;
+const GoogleActionUserStorage = require('./integrations/db/googleActionUserStorage').GoogleActionUserStorage;
 
 // Integrations
 const Analytics = require('./integrations/analytics/analytics');
 const Db = require('./integrations/db/db').Db;
 
+const JovoError = require('./jovoError').JovoError;
+const ERROR_TYPE_ENUM = require('./jovoError').ERROR_TYPE_ENUM;
+
+const inputConverter = require('./inputConverter');
+const nameMapping = require('./nameMapping');
+const alexaVerifier = require('./verification/alexaVerifier');
+
 
 const TYPE_ENUM = Object.freeze({
     WEBHOOK: 'webhook',
     LAMBDA: 'lambda',
 });
 
-const PLATFORM_ENUM = Object.freeze({
-    ALEXA_SKILL: 'AlexaSkill',
-    GOOGLE_ACTION: 'GoogleAction',
-    ALL: 'All',
-});
+// extended by registered platforms
+const PLATFORM_ENUM = require('./platforms/plaform').PLATFORM_ENUM;
+const detectPlatform = require('./platforms/plaform').detectPlatform;
+const registerPlatform = require('./platforms/plaform').registerPlatform;
 
 const REQUEST_TYPE_ENUM = Object.freeze({
     LAUNCH: 'LAUNCH',
     INTENT: 'INTENT',
     ON_ELEMENT_SELECTED: 'ON_ELEMENT_SELECTED',
     ON_SIGN_IN: 'ON_SIGN_IN',
+    ON_PERMISSION: 'ON_PERMISSION',
+    ON_CONFIRMATION: 'ON_CONFIRMATION',
+    ON_DATETIME: 'ON_DATETIME',
+    ON_PLACE: 'ON_PLACE',
     AUDIOPLAYER: 'AUDIOPLAYER',
     END: 'END',
+    NO_INPUT: 'NO_INPUT',
+    ON_ERROR: 'ON_ERROR',
+    ON_INVALID_INPUT: 'ON_INVALID_INPUT',
 });
 
 const DIALOGSTATE_ENUM = Object.freeze({
@@ -46,8 +63,34 @@ const DIALOGSTATE_ENUM = Object.freeze({
     DONE: 'DONE',
 });
 
+const HOOK_ENUM = Object.freeze({
+    REQUEST: 'request',
+    PLATFORM_INIT: 'platform.init',
+    USER_LOAD: 'user.load',
+    HANDLER_BEFORE: 'handler.before',
+    HANDLER_AFTER: 'handler.after',
+    RESPONSE: 'response',
+    USER_SAVE: 'user.save',
+});
+
 const HANDLER_LAUNCH = 'LAUNCH';
 const HANDLER_END = 'END';
+const HANDLER_NEW_USER = 'NEW_USER';
+const HANDLER_NEW_SESSION = 'NEW_SESSION';
+
+// request specific properties, they are set on the request context
+const REQUEST_PROPERTIES = [
+    'request', 'requestHeaders', 'response', 'responseSent', 'responded',
+    'errorHandled', 'responseFailed', 'handlerPromise', 'responseTimedOut',
+    'responseTimer', 'requestStartTime', 'lambdaEvent', 'inputs', 'sessionHistory',
+    'currentTurn', 'platform', 'userObj', 'speech', 'handlers', 'type',
+];
+
+const SESSION_ATTRIBUTE_LAST_RESPONSE = 'LAST_RESPONSE';
+const SESSION_ATTRIBUTE_HISTORY = 'SESSION_HISTORY';
+
+const I18N_KEY_RESPONSE_TIMEOUT = 'RESPONSE_TIMEOUT';
+const DEFAULT_RESPONSE_TIMEOUT_SPEECH = 'Sorry, this took too long. Please try again later.';
 
 const STANDARD_INTENT_MAP = {
     'AMAZON.StopIntent': HANDLER_END,
@@ -60,11 +103,16 @@ const DEFAULT_CONFIG = {
     userDataCol: 'userData',
     inputMap: {},
     intentMap: {},
+    inputDefinitions: {},
     requestLoggingObjects: [],
     responseLoggingObjects: [],
     saveBeforeResponseEnabled: false,
     allowedApplicationIds: [],
     localDbFilename: 'db',
+    sessionHistorySize: 3,
+    responseTimeout: 0,
+    alexaVerificationEnabled: false,
+    actionsSdkMatcher: null,
     userMetaData: {
         lastUsedAt: true,
         sessionsCount: true,
@@ -90,39 +138,69 @@ class Jovo extends EventEmitter {
      */
     constructor() {
         super();
+        let appValues = {};
+        this.executingContexts = [];
+        REQUEST_PROPERTIES.forEach((name) => {
+            defineRequestProperty(this, appValues, name);
+        });
+        this.plugins = {};
+        this.pluginConfig = {};
+        this.pluginHandlers = {};
+        this.pluginIntentMap = {};
+        this.localeIntentMaps = {};
+        this.localeInputMaps = {};
+        this.pluginLanguageResources = {};
+        this.platformAdapters = [];
         this.setConfig(DEFAULT_CONFIG);
         // initialize file db as default database
         this.moduleAnalytics = new Analytics.Analytics();
         this.responseSent = false;
         this.handlers = {};
+        this.hooks = {};
 
         this.on('respond', function(app) {
-            app
-                .saveUserDataOnResponse(app)
+            // wait until the handler and the 'handler.after' hooks are done
+            Promise.resolve(app.handlerPromise)
+                .catch(() => {
+                    // errors in the handler are passed to handleError by execute()
+                })
+                .then(() => {
+                    return app.runHooks(HOOK_ENUM.USER_SAVE);
+                })
+                .then(() => {
+                    return app.saveUserDataOnResponse(app);
+                })
                 .then(() => {
                     return app.saveDataBeforeResponse();
                 })
                 .then(() => {
+                    return app.runHooks(HOOK_ENUM.RESPONSE);
+                })
+                .then(() => {
+                    if (app.responseTimedOut) {
+                        console.log('Ignored response of ' + app.getHandlerPath() +
+                            ' after the response timeout.');
+                        return;
+                    }
                     if (app.responseSent) {
                         throw new Error('Error: Can\'t send more than one response per request.');
                     }
 
-                    // set response object depending on type of request
-                    if (app.type === TYPE_ENUM.LAMBDA) {
-                        app.response(null, app.getPlatform().getResponseObject());
-                    } else if (app.type === TYPE_ENUM.WEBHOOK) {
-                        app.response.json(app.getPlatform().getResponseObject());
-                    }
-
-
-                    app.printResponseLog(app);
-
-                    // calls track function. by default no analytics provider is set
-                    app.analytics().track(app);
-                    app.responseSent = true;
+                    app.saveSessionHistory();
+                    app.saveLastResponse();
+                    app.sendResponse();
                 })
                 .catch((err) => {
-                    console.log('Error on respond', err);
+                    if (app.responseSent || app.responseFailed || app.responseTimedOut) {
+                        console.log('Error on respond', err);
+                        return;
+                    }
+                    // nothing has been sent yet. give the error handling one
+                    // chance to answer, without saving the user data again
+                    app.responseFailed = true;
+                    app.responded = false;
+                    app.saveUserOnResponseEnabled = false;
+                    app.handleError(err);
                 });
         });
     }
@@ -150,10 +228,13 @@ class Jovo extends EventEmitter {
             this.userDataCol = config.userDataCol;
         }
         if (typeof config.inputMap !== 'undefined') {
-            this.inputMap = config.inputMap;
+            this.setInputMap(config.inputMap);
         }
         if (typeof config.intentMap !== 'undefined') {
-            this.intentMap = config.intentMap;
+            this.setIntentMap(config.intentMap);
+        }
+        if (typeof config.inputDefinitions !== 'undefined') {
+            this.setInputDefinitions(config.inputDefinitions);
         }
         if (typeof config.requestLoggingObjects !== 'undefined') {
             this.requestLoggingObjects = config.requestLoggingObjects;
@@ -173,6 +254,24 @@ class Jovo extends EventEmitter {
         if (typeof config.userMetaData !== 'undefined') {
             this.userMetaData = config.userMetaData;
         }
+        if (typeof config.sessionHistorySize !== 'undefined') {
+            this.sessionHistorySize = config.sessionHistorySize;
+        }
+        if (typeof config.responseTimeout !== 'undefined') {
+            this.setResponseTimeout(config.responseTimeout);
+        }
+        if (typeof config.alexaVerificationEnabled !== 'undefined') {
+            this.alexaVerificationEnabled = config.alexaVerificationEnabled;
+        }
+        if (typeof config.actionsSdkMatcher !== 'undefined') {
+            this.actionsSdkMatcher = config.actionsSdkMatcher;
+        }
+        if (typeof config.plugins !== 'undefined') {
+            Object.keys(config.plugins).forEach((name) => {
+                this.pluginConfig[name] = _.assign(
+                    {}, this.pluginConfig[name], config.plugins[name]);
+            });
+        }
         // console.log(config.i18n);
         if (config.i18n) {
             this.i18nConfig = config.i18n;
@@ -180,7 +279,10 @@ class Jovo extends EventEmitter {
                 this.setLanguageResources(this.i18nConfig.resources, this.i18nConfig);
             }
         }
-        this.moduleDatabase = new Db('file', new FilePersistence(this.localDbFilename));
+        // keep databases added before (e.g. by plugins)
+        if (!this.moduleDatabase || typeof config.localDbFilename !== 'undefined') {
+            this.moduleDatabase = new Db('file', new FilePersistence(this.localDbFilename));
+        }
     }
 
     /**
@@ -195,8 +297,14 @@ class Jovo extends EventEmitter {
                 this.db().saveFullObject(
                     this.getUserDataCol(),
                     this.user().getData(), function(error, data) {
+                    if (error && error.code === GoogleActionUserStorage.ERR_SIZE_LIMIT_EXCEEDED) {
+                        // the response is sent without the user data
+                        console.log('User data has not been saved: ' + error.message);
+                        resolve();
+                        return;
+                    }
                     if (error) {
-                        reject(error);
+                        reject(JovoError.wrap(error, ERROR_TYPE_ENUM.DB_ERROR));
                         return;
                     }
                     resolve();
@@ -220,6 +328,9 @@ class Jovo extends EventEmitter {
                             error.code === 'ERR_DATA_KEY_NOT_FOUND')) {
                         that.user().setIsNewUser(true);
                         data = that.user().createUserData();
+                    } else if (error) {
+                        reject(JovoError.wrap(error, ERROR_TYPE_ENUM.DB_ERROR));
+                        return;
                     } else if (!data[that.getUserDataCol()]) {
                         data = that.user().createUserData();
                     } else {
@@ -236,40 +347,232 @@ class Jovo extends EventEmitter {
     }
     /**
      *
-     * Initializes jovo object
+     * Creates the request context for the given request.
+     * The context inherits the app configuration, everything request
+     * specific (request, response, platform, user, ...) lives in the
+     * context only. That way concurrent requests don't interfere.
      *
      * @public
      * @throws Error
      * @param {object} request requestobject from the webhook or lamda
      * @param {object} response response object that is returned after execution
      * @param {object} handlers
-     * @return {Jovo} this
+     * @return {Jovo} request context
      */
     handleRequest(request, response, handlers) {
-        // throws error if structure of handlers is not valid
+        let jovo = Object.create(this.getApp());
+        jovo.app = this.getApp();
+
         if (handlers) {
-            this.handlers = handlers;
+            jovo.handlers = handlers;
         }
-        this.response = response;
-        this.responseSent = false;
-        this.setType(); // lambda or webhook
-        if (this.type === TYPE_ENUM.LAMBDA) {
-            this.request = request;
+        jovo.request = undefined;
+        jovo.requestHeaders = undefined;
+        jovo.response = response;
+        jovo.responseSent = false;
+        jovo.responded = false;
+        jovo.errorHandled = false;
+        jovo.responseFailed = false;
+        jovo.handlerPromise = undefined;
+        jovo.responseTimedOut = false;
+        jovo.responseTimer = undefined;
+        jovo.requestStartTime = undefined;
+        jovo.requestError = undefined;
+        jovo.lambdaEvent = undefined;
+        jovo.inputs = {};
+        jovo.sessionHistory = [];
+        jovo.currentTurn = undefined;
+        jovo.setType(); // lambda or webhook
+        if (jovo.type === TYPE_ENUM.LAMBDA) {
+            jovo.lambdaEvent = request;
+            jovo.request = request;
+
+            if (jovo.alexaVerificationEnabled) {
+                // parses the body of HTTP events (e.g. API Gateway)
+                try {
+                    jovo.request = alexaVerifier.getRequest(request);
+                } catch (error) {
+                    // execute() answers with a 400 response, see verifyRequest()
+                    jovo.requestError = error;
+                    jovo.app.latestRequestContext = jovo;
+                    return jovo;
+                }
+            }
 
-            if (this.moduleDatabase.databases.file) {
-               this.saveUserOnResponse(false);
+            if (jovo.moduleDatabase.databases.file) {
+               jovo.saveUserOnResponse(false);
             }
-        } else if (this.type === TYPE_ENUM.WEBHOOK) {
-            this.request = request.body;
+        } else if (jovo.type === TYPE_ENUM.WEBHOOK) {
+            jovo.request = request.body;
+            jovo.requestHeaders = request.headers;
+        }
+        jovo.setPlatform(); // alexa or googlehome
+
+        jovo.userObj = jovo.platform.makeUser(jovo.userMetaData);
+        jovo.printRequestLog(jovo);
+        jovo.speech = jovo.speechBuilder();
+
+        // app.handleRequest(...); app.execute(); uses the latest context
+        jovo.app.latestRequestContext = jovo;
+        return jovo;
+    }
+
+    /**
+     * Returns the app the request context has been created from.
+     * Returns the app itself if called outside of a request.
+     * @return {Jovo}
+     */
+    getApp() {
+        return this.app || this;
+    }
+
+    /**
+     * Registers a function that is called at the given step of every request.
+     * Hooks are called in the order they were registered, with the request
+     * context as 'this' and as first parameter. Returned promises are awaited.
+     * @public
+     * @param {string} name one of HOOK_ENUM, e.g. 'handler.before'
+     * @param {function} fn
+     * @return {Jovo} this
+     */
+    hook(name, fn) {
+        if (_.values(HOOK_ENUM).indexOf(name) === -1) {
+            throw new Error('Hook ' + name + ' does not exist.');
+        }
+        if (typeof fn !== 'function') {
+            throw new Error('Hook ' + name + ' has to be a function.');
+        }
+        let hooks = this.getApp().hooks;
+        if (!hooks[name]) {
+            hooks[name] = [];
+        }
+        hooks[name].push(fn);
+        return this;
+    }
+
+    /**
+     * Installs a plugin.
+     * A plugin is an object with a unique name and any of the following:
+     * config (default config), hooks, handlers, intentMap, languageResources,
+     * db, analytics, platforms, methods (added to the request context)
+     * and install(app, config).
+     * The plugin's config can be overridden with
+     * setConfig({plugins: {name: {...}}}).
+     * @public
+     * @param {*} plugin
+     * @return {Jovo} this
+     */
+    use(plugin) {
+        let app = this.getApp();
+
+        if (!plugin || typeof plugin.name !== 'string' || plugin.name.length === 0) {
+            throw new Error('Plugin has to have a name.');
+        }
+        if (app.plugins[plugin.name]) {
+            throw new Error('Plugin ' + plugin.name + ' has already been installed.');
+        }
+        app.plugins[plugin.name] = plugin;
+        app.pluginConfig[plugin.name] = _.assign(
+            {}, plugin.config, app.pluginConfig[plugin.name]);
+
+        _.forEach(plugin.hooks, (fns, name) => {
+            [].concat(fns).forEach((fn) => {
+                app.hook(name, fn);
+            });
+        });
+
+        if (plugin.handlers) {
+            Jovo.validateHandlers(plugin.handlers);
+            app.pluginHandlers = _.merge({}, app.pluginHandlers, plugin.handlers);
         }
-        this.setPlatform(); // alexa or googlehome
 
-        this.userObj = this.platform.makeUser(this.userMetaData);
-        this.printRequestLog(this);
-        this.speech = this.speechBuilder();
+        _.forEach(plugin.db, (implementation, name) => {
+            app.addDb(name, implementation);
+        });
+
+        _.forEach(plugin.analytics, (implementation, name) => {
+            app.addAnalytics(name, implementation);
+        });
+
+        _.forEach(plugin.platforms, (adapter) => {
+            app.addPlatform(adapter);
+        });
+
+        if (plugin.intentMap) {
+            nameMapping.validateMap(plugin.intentMap);
+            app.pluginIntentMap = _.assign({}, app.pluginIntentMap, plugin.intentMap);
+        }
+
+        if (plugin.languageResources) {
+            app.pluginLanguageResources = _.merge(
+                {}, app.pluginLanguageResources, plugin.languageResources);
+            app.initI18n();
+        }
+
+        _.forEach(plugin.methods, (fn, name) => {
+            if (typeof app[name] !== 'undefined') {
+                throw new Error('Method ' + name + ' of plugin ' + plugin.name + ' already exists.');
+            }
+            app[name] = fn;
+        });
+
+        if (typeof plugin.install === 'function') {
+            plugin.install(app, app.pluginConfig[plugin.name]);
+        }
         return this;
     }
 
+    /**
+     * Returns config of the plugin with the given name
+     * @public
+     * @param {string} name
+     * @return {*}
+     */
+    getPluginConfig(name) {
+        return this.pluginConfig[name];
+    }
+
+    /**
+     * Adds a platform adapter for further channels to the app
+     * (see registerPlatform() in platforms/plaform.js).
+     * Added platforms are detected in order of adding,
+     * before Alexa and Google Assistant.
+     * @public
+     * @throws Error if the adapter is invalid
+     * @param {object} adapter
+     * @return {Jovo} this
+     */
+    addPlatform(adapter) {
+        registerPlatform(adapter, this.getApp().platformAdapters);
+        return this;
+    }
+
+    /**
+     * Calls all functions registered for the given hook one after another
+     * @private
+     * @param {string} name
+     * @return {Promise}
+     */
+    runHooks(name) {
+        let hooks = this.hooks[name] || [];
+        return hooks.reduce((promise, fn) => {
+            return promise.then(() => {
+                return fn.call(this, this);
+            });
+        }, Promise.resolve());
+    }
+
+    /**
+     * Sets the handlers of the app. Handlers passed to handleRequest()
+     * are preferred.
+     * @public
+     * @param {*} handlers
+     */
+    setHandler(handlers) {
+        Jovo.validateHandlers(handlers);
+        this.handlers = handlers;
+    }
+
     /**
      * Sets alexa handlers
      * @param {*} handlers
@@ -309,75 +612,299 @@ class Jovo extends EventEmitter {
      */
     endSession() {
         this.getPlatform().endSession();
-        this.emit('respond', this);
+        this.respond();
     }
 
     /**
      * Executes Handler
+     * Resolves after the handler (and the promise it returned) is done.
+     * Errors are passed to handleError().
      * @public
+     * @return {Promise}
      */
     execute() {
-        if (!this.isRequestAllowed()) {
-            console.log('Request Application Id does not match the defined alexa skill id.');
-            this.emit('respond', this);
-            return;
+        if (!this.app) {
+            if (!this.latestRequestContext) {
+                throw new Error('Error: handleRequest() has to be called before execute().');
+            }
+            return this.latestRequestContext.execute();
         }
+        let executingContexts = this.app.executingContexts;
+        executingContexts.push(this);
 
-        if (this.isAlexaSkill() && this.alexaHandlers) {
-           _.assign(this.handlers, this.alexaHandlers);
-        } else if (this.isGoogleAction() && this.googleActionHandlers) {
-           _.assign(this.handlers, this.googleActionHandlers);
-        }
+        this.requestStartTime = Date.now();
+        this.startResponseTimer();
 
-        // throws error if structure of handlers is not valid
-        Jovo.validateHandlers(this.handlers);
+        return this.verifyRequest()
+            .then((verified) => {
+                if (!verified) {
+                    return;
+                }
+                // don't modify the handlers object, it is shared between requests
+                if (Object.keys(this.pluginHandlers).length > 0) {
+                    this.handlers = _.merge({}, this.pluginHandlers, this.handlers);
+                }
+                if (this.isAlexaSkill() && this.alexaHandlers) {
+                   this.handlers = _.assign({}, this.handlers, this.alexaHandlers);
+                } else if (this.isGoogleAction() && this.googleActionHandlers) {
+                   this.handlers = _.assign({}, this.handlers, this.googleActionHandlers);
+                }
+                return this.handleVerifiedRequest();
+            })
+            .then(() => {
+                _.pull(executingContexts, this);
+            }, (error) => {
+                _.pull(executingContexts, this);
+                throw error;
+            });
+    }
 
+    /**
+     * Runs the hooks and the handler of a verified request
+     * @private
+     * @return {Promise}
+     */
+    handleVerifiedRequest() {
+        return this.runHooks(HOOK_ENUM.REQUEST)
+            .then(() => {
+                return this.runHooks(HOOK_ENUM.PLATFORM_INIT);
+            })
+            .then(() => {
+                if (!this.isRequestAllowed()) {
+                    console.log('Request Application Id does not match the defined alexa skill id.');
+                    this.respond();
+                    return;
+                }
 
-        let that = this;
-        this.loadUserDataOnRequest()
+                // throws error if structure of handlers is not valid
+                Jovo.validateHandlers(this.handlers);
+                this.handlerPromise = this.loadUserDataOnRequest()
+                    .then(() => {
+                        return this.runHooks(HOOK_ENUM.USER_LOAD);
+                    })
+                    .then(() => {
+                        return this.runHooks(HOOK_ENUM.HANDLER_BEFORE);
+                    })
+                    .then(() => {
+                        this.startTurn();
+                        return this.handleNewUserAndSession();
+                    })
+                    .then(() => {
+                        return this.runHooks(HOOK_ENUM.HANDLER_AFTER);
+                    });
+                return this.handlerPromise;
+            })
             .then(() => {
-                try {
-                    if (that.isLaunchRequest()) {
-                        that.handleLaunchRequest();
-                    }
+                // the request would never be answered otherwise
+                if (!this.responded) {
+                    console.log(this.getHandlerPath() + ' did not respond. Ending the session.');
+                    this.endSession();
+                }
+            })
+            .catch((error) => {
+                return this.handleError(error);
+            });
+    }
 
-                    if (that.isIntentRequest()) {
-                        that.handleIntentRequest();
-                    }
+    /**
+     * Verifies Alexa requests in Lambda mode (if alexaVerificationEnabled is set):
+     * the timestamp of all requests and the certificate chain URL and signature
+     * of HTTP events. Requests of other platforms can't be verified and are rejected.
+     * Unverified requests get a 401 response (HTTP events) or an error,
+     * HTTP events without a valid JSON body get a 400 response.
+     * @private
+     * @return {Promise<boolean>} true if the request can be handled
+     */
+    verifyRequest() {
+        if (!this.alexaVerificationEnabled || this.type !== TYPE_ENUM.LAMBDA) {
+            return Promise.resolve(true);
+        }
+        let verification;
+        if (this.requestError) {
+            verification = Promise.reject(this.requestError);
+        } else if (this.isAlexaSkill()) {
+            verification = alexaVerifier.verify(this.lambdaEvent);
+        } else {
+            verification = Promise.reject(new Error('Only Alexa requests can be verified.'));
+        }
 
-                    if (that.isEndRequest()) {
-                        that.handleEndRequest();
-                    }
+        return verification.then(() => {
+            return true;
+        }, (error) => {
+            console.log('Alexa request verification failed: ' + error.message);
+            clearTimeout(this.responseTimer);
+            this.responded = true;
+            this.responseSent = true;
+            if (this.isHttpEvent()) {
+                this.response(null, {
+                    statusCode: this.requestError ? 400 : 401,
+                    headers: {'Content-Type': 'application/json'},
+                    body: JSON.stringify({status: 'failure', reason: error.message}),
+                });
+            } else {
+                this.response(error);
+            }
+            return false;
+        });
+    }
 
-                    if (that.isElementSelectedRequest()) {
-                        that.handleElementSelectedRequest();
-                    }
-                    if (that.isSignInRequest()) {
-                        that.handleSignInRequest();
-                    }
-                    if (that.isAudioPlayerRequest()) {
-                        that.handleAudioPlayerRequest();
-                    }
-                    Promise.resolve();
-                } catch (err) {
-                    return Promise.reject(err);
+    /**
+     * Calls NEW_USER and NEW_SESSION (if defined and the user/session is new)
+     * before the handler of the request. Both get a function as parameter,
+     * which continues with the next handler when called.
+     * @private
+     * @return {*} return value of the handler
+     */
+    handleNewUserAndSession() {
+        let handlers = [];
+
+        if (this.isLaunchRequest() || this.isIntentRequest()) {
+            if (this.handlers[HANDLER_NEW_USER] && this.user().isNewUser()) {
+                handlers.push(this.handlers[HANDLER_NEW_USER]);
+            }
+            if (this.handlers[HANDLER_NEW_SESSION] && this.isNewSession()) {
+                handlers.push(this.handlers[HANDLER_NEW_SESSION]);
+            }
+        }
+
+        let next = (i) => {
+            return () => {
+                if (i < handlers.length) {
+                    return Promise.resolve(this.callHandler(handlers[i], [next(i + 1)]));
+                }
+                return Promise.resolve(this.handleRequestType());
+            };
+        };
+        return next(0)();
+    }
+
+    /**
+     * Calls the handler for the type of the request
+     * @private
+     * @return {*} return value of the handler
+     */
+    handleRequestType() {
+        if (this.isLaunchRequest()) {
+            return this.handleLaunchRequest();
+        }
+        if (this.isIntentRequest()) {
+            return this.handleIntentRequest();
+        }
+        if (this.isEndRequest()) {
+            return this.handleEndRequest();
+        }
+        if (this.isNoInputRequest()) {
+            return this.handleNoInputRequest();
+        }
+        if (this.isElementSelectedRequest()) {
+            return this.handleElementSelectedRequest();
+        }
+        if (this.isSignInRequest()) {
+            return this.handleSignInRequest();
+        }
+        if (this.isHelperRequest()) {
+            return this.handleHelperRequest();
+        }
+        if (this.isAudioPlayerRequest()) {
+            return this.handleAudioPlayerRequest();
+        }
+    }
+
+    /**
+     * Handles errors from handlers, user data loading and responding.
+     * Passes the error to the ON_ERROR handler (state first, then global).
+     * Ends the session if there is no ON_ERROR handler
+     * or if the ON_ERROR handler fails itself.
+     * @private
+     * @param {Error} error
+     * @return {Promise}
+     */
+    handleError(error) {
+        error = JovoError.wrap(error);
+        console.log('Error on execute', error);
+
+        // the fallback response has already been sent
+        if (this.responseTimedOut) {
+            return Promise.resolve();
+        }
+
+        let errorHandler = this.getErrorHandler();
+
+        // ON_ERROR is called only once per request to avoid loops
+        if (!errorHandler || this.errorHandled) {
+            if (!this.responded) {
+                this.endSession();
+            }
+            return Promise.resolve();
+        }
+        this.errorHandled = true;
+
+        return Promise.resolve()
+            .then(() => {
+                return this.callHandler(errorHandler, [error]);
+            })
+            .catch((err) => {
+                console.log('Error in ' + REQUEST_TYPE_ENUM.ON_ERROR, err);
+                if (!this.responded) {
+                    this.endSession();
                 }
-            }).catch((error) => {
-                console.log(error);
-                throw new Error(error);
             });
     }
 
+    /**
+     * Returns ON_ERROR handler of the current state,
+     * its parent states or the global one
+     * @private
+     * @return {function|undefined}
+     */
+    getErrorHandler() {
+        return this.findStateHandler(REQUEST_TYPE_ENUM.ON_ERROR);
+    }
+
+    /**
+     * Returns the handler with the given name in the current state,
+     * its parent states or the global handler
+     * @private
+     * @param {string} name
+     * @return {function|undefined}
+     */
+    findStateHandler(name) {
+        if (!this.handlers) {
+            return;
+        }
+        let stateHandlers = [];
+        let state = this.getPlatform() ? this.getState() : undefined;
+        if (state) {
+            stateHandlers = this.getStateHandlers(state) || [];
+        }
+        stateHandlers.push(this.handlers);
+        return findHandler(stateHandlers, name);
+    }
+
+    /**
+     * Calls handler function with the request context
+     * @private
+     * @param {function} func
+     * @param {Array=} args
+     * @return {*} return value of the handler
+     */
+    callHandler(func, args) {
+        return func.apply(this, args || []);
+    }
+
     /**
      * Handles all launch requests
      * Calls handler function for LAUNCH
      * @private
+     * @return {*}
      */
     handleLaunchRequest() {
         if (!this.handlers[HANDLER_LAUNCH]) {
-            throw Error('There is no LAUNCH intent defined in the handler.');
+            throw new JovoError(
+                'There is no LAUNCH intent defined in the handler.',
+                ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
         }
-        this.handlers[HANDLER_LAUNCH].call(this);
+        return this.callHandler(this.handlers[HANDLER_LAUNCH]);
     }
 
 
@@ -421,6 +948,20 @@ class Jovo extends EventEmitter {
         return this.getPlatform().getRequestType() === REQUEST_TYPE_ENUM.ON_SIGN_IN;
     }
 
+    /**
+     * Type of request is the result of a helper intent (Google Action):
+     * ON_PERMISSION, ON_CONFIRMATION, ON_DATETIME or ON_PLACE
+     * @return {boolean}
+     */
+    isHelperRequest() {
+        return [
+            REQUEST_TYPE_ENUM.ON_PERMISSION,
+            REQUEST_TYPE_ENUM.ON_CONFIRMATION,
+            REQUEST_TYPE_ENUM.ON_DATETIME,
+            REQUEST_TYPE_ENUM.ON_PLACE,
+        ].indexOf(this.getPlatform().getRequestType()) > -1;
+    }
+
     /**
      * Type of request is end request
      * @return {boolean} isEndRequest
@@ -429,6 +970,14 @@ class Jovo extends EventEmitter {
         return this.getPlatform().getRequestType() === REQUEST_TYPE_ENUM.END;
     }
 
+    /**
+     * Type of request is no input request (Google Action)
+     * @return {boolean} isNoInputRequest
+     */
+    isNoInputRequest() {
+        return this.getPlatform().getRequestType() === REQUEST_TYPE_ENUM.NO_INPUT;
+    }
+
     /**
      * Type of platform is Alexa Skill
      * @return {boolean} isAlexaSkill
@@ -447,28 +996,35 @@ class Jovo extends EventEmitter {
     /**
      * Handles intent requests.
      * Maps inputMap with incoming request inputs
+     * @return {*}
      */
     handleIntentRequest() {
         this.mapInputs();
+        let invalidInput = this.convertInputs();
+        if (invalidInput) {
+            return this.handleInvalidInput(invalidInput);
+        }
         if (this.getState()) {
-            this.handleStateIntentRequest();
-        } else {
-            this.handleStatelessIntentRequest();
+            return this.handleStateIntentRequest();
         }
+        return this.handleStatelessIntentRequest();
     }
 
     /**
      * Calls handler function
      * @throws Error if intent logic has not been defined
+     * @return {*}
      */
     handleStatelessIntentRequest() {
         if (this.getIntentName() !== HANDLER_END &&
             !this.handlers[this.getIntentName()]) {
-            throw new Error('The intent name ' + this.getIntentName() + ' has not been defined in your handler.');
+            throw new JovoError(
+                'The intent name ' + this.getIntentName() + ' has not been defined in your handler.',
+                ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
         } else if (this.getIntentName() === HANDLER_END &&
             !this.handlers[this.getIntentName()]) {
             // StopIntent but no END Handler defined
-            this.emit('respond', this);
+            this.respond();
             return;
         }
         let args = this.getSortedArgumentsInput(
@@ -476,69 +1032,75 @@ class Jovo extends EventEmitter {
         );
 
 
-        this.handlers[this.getIntentName()].apply(this, args);
+        return this.callHandler(this.handlers[this.getIntentName()], args);
     }
 
     /**
-     * Handles state intent requests
+     * Handles state intent requests.
+     * Intents that are not defined in the state bubble up through
+     * the parent states. If the intent can't be found there, the nearest
+     * 'Unhandled' of the state and its parents is called. Only then
+     * the global handlers are used.
      *
      * @throws if given state has not been defined in the handler
+     * @return {*}
      */
     handleStateIntentRequest() {
-        if (!this.handlers[this.getState()]) {
-            throw new Error('Error: State ' + this.getState() + ' has not been defined in the handler.');
+        let stateHandlers = this.getStateHandlers(this.getState());
+        if (!stateHandlers) {
+            throw new JovoError(
+                'Error: State ' + this.getState() + ' has not been defined in the handler.',
+                ERROR_TYPE_ENUM.STATE_NOT_FOUND);
+        }
+        let handler = findHandler(stateHandlers, this.getIntentName()) ||
+            findHandler(stateHandlers, 'Unhandled') ||
+            findHandler([this.handlers], this.getIntentName()) ||
+            findHandler([this.handlers], 'Unhandled');
+
+        if (!handler) {
+            throw new JovoError(
+                'The intent name ' + this.getIntentName() + ' has not been defined in your handler.',
+                ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
         }
+        return this.callHandler(handler, this.getSortedArgumentsInput(handler));
+    }
 
-        let intentToRedirect = this.getIntentName();
-        let args = [];
+    /**
+     * Returns the handler objects of the given state and its parent states,
+     * beginning with the given state. Nested states are separated by dots,
+     * e.g. 'Order.Payment.Confirm'.
+     * @private
+     * @param {string} state
+     * @return {Array|undefined} undefined if the state has not been defined
+     */
+    getStateHandlers(state) {
+        let stateHandlers = [];
+        let stateHandler = this.handlers;
+        let stateNames = state.split('.');
 
-        // intent not in state defined; should return Unhandled or global intent
-        if (!this.handlers[this.getState()][intentToRedirect]) {
-            // fallback intent outside of the state
-            if (this.handlers[intentToRedirect]) {
-                args = this.getSortedArgumentsInput(
-                    this.handlers[intentToRedirect]
-                );
-                this.handlers[intentToRedirect].apply(this, args);
-                return;
-            } else { // intent not in state and not in global
-                intentToRedirect = 'Unhandled';
-                // try Unhandled in state first
-                if (this.handlers[this.getState()][intentToRedirect]) {
-                    args = this.getSortedArgumentsInput(
-                        this.handlers[this.getState()][intentToRedirect]
-                    );
-                    this.handlers[this.getState()][intentToRedirect].apply(
-                        this, args);
-                } else { // go to global unhandled
-                    args = this.getSortedArgumentsInput(
-                        this.handlers[intentToRedirect]
-                    );
-                    this.handlers[intentToRedirect].apply(this, args);
-                }
+        for (let i = 0; i < stateNames.length; i++) {
+            stateHandler = stateHandler[stateNames[i]];
+            if (!stateHandler || typeof stateHandler !== 'object') {
                 return;
             }
-        } else {
-            // handle STATE + Intent
-            args = this.getSortedArgumentsInput(
-                this.handlers[this.getState()][intentToRedirect]
-            );
+            stateHandlers.unshift(stateHandler);
         }
-
-        this.handlers[this.getState()][intentToRedirect].apply(this, args);
+        return stateHandlers;
     }
 
     /**
      * Handles request with selected elements
+     * @return {*}
      */
     handleElementSelectedRequest() {
         if (!this.handlers[REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED]) {
-            throw new Error('Error: ' + REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED + ' has not been defined in the handler.');
+            throw new JovoError(
+                'Error: ' + REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED + ' has not been defined in the handler.',
+                ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
         }
 
         if (typeof this.handlers[REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED] === 'function') {
-            this.handlers[REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED].call(this);
-            return;
+            return this.callHandler(this.handlers[REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED]);
         }
         let elementId = 'Unhandled';
         if (this.handlers[REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED][this.getSelectedElementId()]) {
@@ -547,39 +1109,87 @@ class Jovo extends EventEmitter {
 
         if (elementId === 'Unhandled' &&
             !this.handlers[REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED]['Unhandled']) {
-                throw new Error('Error: ' + REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED + ' with elementId ' + this.getSelectedElementId() + ' has not been defined in the handler.');
+                throw new JovoError(
+                    'Error: ' + REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED + ' with elementId ' + this.getSelectedElementId() + ' has not been defined in the handler.',
+                    ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
         }
 
-        this.handlers[REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED][elementId].call(this);
+        return this.callHandler(
+            this.handlers[REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED][elementId]);
     }
 
     /**
      * Handles request with sign in infos
+     * @return {*}
      */
     handleSignInRequest() {
         if (!this.handlers[REQUEST_TYPE_ENUM.ON_SIGN_IN]) {
-            throw new Error('Error: ' + REQUEST_TYPE_ENUM.ON_SIGN_IN + ' has not been defined in the handler.');
+            throw new JovoError(
+                'Error: ' + REQUEST_TYPE_ENUM.ON_SIGN_IN + ' has not been defined in the handler.',
+                ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
         }
-        this.handlers[REQUEST_TYPE_ENUM.ON_SIGN_IN].call(this);
+        return this.callHandler(this.handlers[REQUEST_TYPE_ENUM.ON_SIGN_IN]);
+    }
+
+    /**
+     * Handles results of helper intents (Google Action).
+     * Calls the handler of the request type in state, parent states or global
+     * with the result, e.g. ON_CONFIRMATION with true if the user has confirmed.
+     * @return {*}
+     */
+    handleHelperRequest() {
+        let requestType = this.getPlatform().getRequestType();
+        let handler = this.findStateHandler(requestType);
+
+        if (!handler) {
+            throw new JovoError(
+                'Error: ' + requestType + ' has not been defined in the handler.',
+                ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
+        }
+        return this.callHandler(handler, [this.getPlatform().getHelperResult()]);
     }
 
     /**
      * Handles end requests
+     * @return {*}
      */
     handleEndRequest() {
-        // call specific 'END' in state
-        if (this.getState() && this.handlers[this.getState()][HANDLER_END]) {
-            this.handlers[this.getState()][HANDLER_END].call(this);
-        } else if (this.handlers[HANDLER_END]) { // call global 'END'
-            this.handlers[HANDLER_END].call(this);
-        } else { // no END defined
-            this.emit('respond', this);
+        let stateHandlers = [];
+        if (this.getState()) {
+            stateHandlers = this.getStateHandlers(this.getState()) || [];
+        }
+        stateHandlers.push(this.handlers);
+
+        // call 'END' in state, parent states or global
+        let handler = findHandler(stateHandlers, HANDLER_END);
+        if (handler) {
+            return this.callHandler(handler);
+        }
+        // no END defined
+        this.endSession();
+    }
+
+    /**
+     * Handles requests without user input (Google Action).
+     * Calls NO_INPUT in state, parent states or global with the reprompt count.
+     * Repeats the last response if there is no NO_INPUT handler.
+     * @return {*}
+     */
+    handleNoInputRequest() {
+        let handler = this.findStateHandler(REQUEST_TYPE_ENUM.NO_INPUT);
+        if (handler) {
+            return this.callHandler(handler, [this.getPlatform().getRepromptCount()]);
+        }
+        // no NO_INPUT defined
+        if (!this.repeat()) {
+            this.endSession();
         }
     }
 
     /**
      * In development
      * DO NOT USE
+     * @return {*}
      */
     handleAudioPlayerRequest() {
         if (!this.handlers['AUDIOPLAYER']) {
@@ -591,7 +1201,8 @@ class Jovo extends EventEmitter {
         }
 
         if (this.handlers['AUDIOPLAYER'][this.getPlatform().audioPlayer().getType()]) {
-            this.handlers['AUDIOPLAYER'][this.getPlatform().audioPlayer().getType()].call();
+            return this.callHandler(
+                this.handlers['AUDIOPLAYER'][this.getPlatform().audioPlayer().getType()]);
         }
     }
 
@@ -603,19 +1214,97 @@ class Jovo extends EventEmitter {
     mapInputs() {
         this.inputs = {};
         let requestInputs = this.getPlatform().getInputs();
+        let inputMaps = nameMapping.getMaps(
+            this.localeInputMaps, this.inputMap, this.getLocale());
 
-        // set request inputs if no input map was set
-        if (Object.keys(this.inputMap).length === 0 &&
-            this.inputMap.constructor === Object) {
-            this.inputs = requestInputs;
+        // map keys and values from the locale and global input maps
+        Object.keys(requestInputs).forEach((inputKey) => {
+            let mapping = nameMapping.findMapping(inputMaps, inputKey);
+            if (!mapping) {
+                this.inputs[inputKey] = requestInputs[inputKey];
+                return;
+            }
+            this.inputs[mapping.name] =
+                nameMapping.transformInput(requestInputs[inputKey], mapping);
+        });
+    }
+
+    /**
+     * Converts and validates the inputs of the intent
+     * with its input definitions. Missing inputs get their default value.
+     * @private
+     * @return {{name: string, value: *, error: string}|undefined} the first invalid input
+     */
+    convertInputs() {
+        let definitions = this.inputDefinitions[this.getIntentName()];
+        if (!definitions) {
             return;
         }
-        // map keys from inputMap
-        Object.keys(requestInputs).forEach((inputKey) => {
-            let mappedInputKey = this.inputMap[inputKey] ?
-                                    this.inputMap[inputKey] : inputKey;
-            this.inputs[mappedInputKey] = requestInputs[inputKey];
+        // don't modify the inputs of the platform
+        this.inputs = _.assign({}, this.inputs);
+
+        let invalidInput;
+        _.forEach(definitions, (definition, name) => {
+            let input = this.inputs[name];
+            // prefer the resolved value, e.g. a synonym of a slot value
+            let value = _.get(input, 'canonicalValue', _.get(input, 'value'));
+
+            if (inputConverter.isEmpty(value)) {
+                if (typeof definition.default !== 'undefined') {
+                    this.inputs[name] = _.assign({}, input, {value: definition.default});
+                } else if (definition.required) {
+                    invalidInput = {
+                        name: name,
+                        value: value,
+                        error: inputConverter.INPUT_ERROR_ENUM.MISSING,
+                    };
+                }
+                return !invalidInput;
+            }
+
+            let convertedValue = inputConverter.convert(value, definition);
+            if (typeof convertedValue === 'undefined' ||
+                (definition.validator && !definition.validator.call(this, convertedValue))) {
+                invalidInput = {
+                    name: name,
+                    value: value,
+                    error: inputConverter.INPUT_ERROR_ENUM.INVALID,
+                };
+                return false;
+            }
+            this.inputs[name] = _.assign({}, input, {value: convertedValue});
         });
+        return invalidInput;
+    }
+
+    /**
+     * Asks again with the prompt of the input definition. Without a prompt,
+     * ON_INVALID_INPUT (state first, then global) is called.
+     * @private
+     * @throws JovoError if there is neither a prompt nor ON_INVALID_INPUT
+     * @param {{name: string, value: *, error: string}} invalidInput
+     * @return {*} return value of ON_INVALID_INPUT
+     */
+    handleInvalidInput(invalidInput) {
+        let definition = this.inputDefinitions[this.getIntentName()][invalidInput.name];
+
+        if (definition.prompt) {
+            let prompt = definition.prompt;
+            if (typeof prompt === 'function') {
+                prompt = prompt.call(this, invalidInput);
+            }
+            this.ask(prompt);
+            return;
+        }
+
+        let handler = this.findStateHandler(REQUEST_TYPE_ENUM.ON_INVALID_INPUT);
+        if (!handler) {
+            throw new JovoError(
+                'Input ' + invalidInput.name + ' of intent ' + this.getIntentName() +
+                ' is ' + invalidInput.error.toLowerCase() + '.',
+                ERROR_TYPE_ENUM.INVALID_INPUT);
+        }
+        return this.callHandler(handler, [invalidInput]);
     }
 
     /**
@@ -633,7 +1322,7 @@ class Jovo extends EventEmitter {
         let tempInputs = {};
         for (let i = 0; i < inputObjectKeys.length; i++) {
             tempInputs[camelize(inputObjectKeys[i])] =
-                this.inputs[inputObjectKeys[i]];
+                this.getInputValue(inputObjectKeys[i]);
         }
 
         for (let i = 0; i < paramNames.length; i++) {
@@ -643,38 +1332,46 @@ class Jovo extends EventEmitter {
     }
 
     /**
-     * Jumps to an intent
+     * Jumps to an intent.
+     * Inside a state, the intent is searched in the state,
+     * its parent states and the global handler.
      * @public
      * @param {string} intent name of intent
      * @param {array} args passed argument
+     * @return {Promise} resolves with the return value of the intent handler
      */
     toIntent(intent) {
-        if (this.getState()) {
-            let args = Array.prototype.slice.call(arguments, 1); // eslint-disable-line
+        let args = Array.prototype.slice.call(arguments, 1); // eslint-disable-line
+        let handler;
 
-            if (this.handlers[this.getState()][intent]) {
-                this.handlers[this.getState()][intent].apply(this, args);
-            } else if (this.handlers[intent]) {
-                this.handlers[intent].apply(this, args);
-            } else {
-                throw Error(`${this.getState()}-${intent} could not be found in your handler`);
+        if (this.getState()) {
+            let stateHandlers = this.getStateHandlers(this.getState()) || [];
+            stateHandlers.push(this.handlers);
+
+            handler = findHandler(stateHandlers, intent);
+            if (!handler) {
+                throw new JovoError(
+                    `${this.getState()}-${intent} could not be found in your handler`,
+                    ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
             }
         } else {
             if (!this.handlers[intent]) {
-                throw Error(intent + ' could not be found in your handler');
+                throw new JovoError(
+                    intent + ' could not be found in your handler',
+                    ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
             }
-            let args = Array.prototype.slice.call(arguments, 1); // eslint-disable-line
-
-            this.handlers[intent].apply(this, args);
+            handler = this.handlers[intent];
         }
+        return Promise.resolve(this.callHandler(handler, args));
     }
 
     /**
      * Jumps to state scoped intent
      * @public
-     * @param {string} state name of state
+     * @param {string} state name of state, nested states separated by dots
      * @param {string} intent name of intent
      * @param {array} args passed arg
+     * @return {Promise} resolves with the return value of the intent handler
      */
     toStateIntent(state, intent) {
         this.getPlatform().setState(state);
@@ -682,18 +1379,24 @@ class Jovo extends EventEmitter {
 
         if (!state) {
             if (!this.handlers[intent]) {
-                throw Error(`Intent ${intent} could not be found in your global handler`);
-            }
-            this.handlers[intent].apply(this, args);
-        } else {
-            if (!this.handlers[state]) {
-                throw Error(`State ${state} could not be found in your handler`);
+                throw new JovoError(
+                    `Intent ${intent} could not be found in your global handler`,
+                    ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
             }
-            if (!this.handlers[state][intent]) {
-                throw Error(`${state}-${intent} could not be found in your handler`);
-            }
-            this.handlers[state][intent].apply(this, args);
+            return Promise.resolve(this.callHandler(this.handlers[intent], args));
+        }
+        let stateHandlers = this.getStateHandlers(state);
+        if (!stateHandlers) {
+            throw new JovoError(
+                `State ${state} could not be found in your handler`,
+                ERROR_TYPE_ENUM.STATE_NOT_FOUND);
         }
+        if (typeof stateHandlers[0][intent] !== 'function') {
+            throw new JovoError(
+                `${state}-${intent} could not be found in your handler`,
+                ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
+        }
+        return Promise.resolve(this.callHandler(stateHandlers[0][intent], args));
     }
 
     /** ************************************************************************
@@ -719,9 +1422,18 @@ class Jovo extends EventEmitter {
     getIntentName() {
         let platformIntentName = this.getPlatform().getIntentName();
 
-        // use intent mapping if set
-        if (this.intentMap && this.intentMap[platformIntentName]) {
-            return this.intentMap[platformIntentName];
+        // use locale and global intent mapping if set
+        let intentMaps = nameMapping.getMaps(
+            this.localeIntentMaps, this.intentMap, this.getLocale());
+        let mapping = nameMapping.findMapping(intentMaps, platformIntentName);
+        if (mapping) {
+            return mapping.name;
+        }
+
+        // intent mapping added by plugins
+        mapping = nameMapping.findMapping([this.pluginIntentMap], platformIntentName);
+        if (mapping) {
+            return mapping.name;
         }
 
         // user standard intent mapping
@@ -735,8 +1447,7 @@ class Jovo extends EventEmitter {
     /**
      * Returns End of reason. Use in 'END'
      *
-     * e.g. StopIntent or EXCEEDED_REPROMPTS
-     * (only works with Alexa)
+     * e.g. STOP_INTENT (Alexa), USER_INITIATED or EXCEEDED_MAX_REPROMPTS
      * @public
      * @return {*}
      */
@@ -748,8 +1459,8 @@ class Jovo extends EventEmitter {
      * Returns inputs  (Alexa: slots / GoogleActions: parameters)
      *
      * {
-     *   inputname1 : value1,
-     *   inputname2 : value2
+     *   inputname1 : {value: value1, canonicalValue: ..., id: ..., ...},
+     *   inputname2 : {value: value2, canonicalValue: ..., id: ..., ...}
      * }
      * @public
      * @return {object}
@@ -759,7 +1470,8 @@ class Jovo extends EventEmitter {
     }
 
     /**
-     * Get input object by name
+     * Get input object by name with the properties value, canonicalValue,
+     * id, spokenValue, isMatch and confirmationStatus
      * @public
      * @param {string} name
      * @return {*}
@@ -768,6 +1480,30 @@ class Jovo extends EventEmitter {
         return this.inputs[name];
     }
 
+    /**
+     * Returns inputs as name => value object
+     *
+     * {
+     *   inputname1 : value1,
+     *   inputname2 : value2
+     * }
+     * @public
+     * @return {object}
+     */
+    getInputValues() {
+        return _.mapValues(this.inputs, 'value');
+    }
+
+    /**
+     * Returns the value of an input
+     * @public
+     * @param {string} name
+     * @return {*}
+     */
+    getInputValue(name) {
+        return _.get(this.inputs, [name, 'value']);
+    }
+
     /**
      * Returns type of platform ("AlexaSkill","GoogleAction")
      * @public
@@ -890,7 +1626,7 @@ class Jovo extends EventEmitter {
             SpeechBuilder.toSSML(speech)
         );
 
-        this.emit('respond', this);
+        this.respond();
     }
 
     /**
@@ -901,7 +1637,7 @@ class Jovo extends EventEmitter {
      */
     play(audioUrl, fallbackText) {
         this.getPlatform().play(audioUrl, fallbackText);
-        this.emit('respond', this);
+        this.respond();
     }
 
     /**
@@ -910,25 +1646,141 @@ class Jovo extends EventEmitter {
      * Keeps session open.
      * @public
      * @param {string} speech
-     * @param {string} repromptSpeech
+     * @param {string|Array<string>} repromptSpeech Google Actions use
+     * an array as no input prompts, Alexa Skills its first element
      */
     ask(speech, repromptSpeech) {
         if (speech instanceof SpeechBuilder) {
             speech = speech.build();
         }
 
-        if (!repromptSpeech) {
+        if (!repromptSpeech || (_.isArray(repromptSpeech) && repromptSpeech.length === 0)) {
             repromptSpeech = speech;
         }
 
-        if (repromptSpeech instanceof SpeechBuilder) {
-            repromptSpeech = repromptSpeech.build();
-        }
+        let reprompts = _.castArray(repromptSpeech).map((reprompt) => {
+            if (reprompt instanceof SpeechBuilder) {
+                reprompt = reprompt.build();
+            }
+            return SpeechBuilder.toSSML(reprompt);
+        });
 
         this.getPlatform().ask(
             SpeechBuilder.toSSML(speech),
-            SpeechBuilder.toSSML(repromptSpeech));
-        this.emit('respond', this);
+            reprompts.length > 1 ? reprompts : reprompts[0]);
+        this.respond();
+    }
+
+    /**
+     * Responds with the last response of the session
+     * (speech, reprompt, card and display template).
+     * Keeps session open.
+     * @public
+     * @return {boolean} false if there is no response to repeat
+     */
+    repeat() {
+        let lastResponse = this.getLastResponse();
+        if (!lastResponse) {
+            return false;
+        }
+        this.getPlatform().getResponse().setRepeatableResponse(lastResponse);
+        this.respond();
+        return true;
+    }
+
+    /**
+     * Returns the last response that kept the session open
+     * @public
+     * @return {*} undefined in the first turn of a session
+     */
+    getLastResponse() {
+        return this.getSessionAttribute(SESSION_ATTRIBUTE_LAST_RESPONSE);
+    }
+
+    /**
+     * Returns the turns of the session before the current request,
+     * oldest first. Each turn has the properties turn (number),
+     * path (handler path), intent, state, inputs and speech.
+     * @public
+     * @return {Array}
+     */
+    getSessionHistory() {
+        return this.sessionHistory;
+    }
+
+    /**
+     * Returns the intent of the previous turn of the session.
+     * LAUNCH, END etc. for other request types.
+     * @public
+     * @return {string} undefined in the first turn of a session
+     */
+    getPreviousIntent() {
+        return _.get(_.last(this.sessionHistory), 'intent');
+    }
+
+    /**
+     * Returns the state the previous turn of the session was handled in
+     * @public
+     * @return {string}
+     */
+    getPreviousState() {
+        return _.get(_.last(this.sessionHistory), 'state');
+    }
+
+    /**
+     * Returns the number of the current turn in the session,
+     * starting with 1
+     * @public
+     * @return {number}
+     */
+    getTurnCount() {
+        return _.get(this.currentTurn, 'turn');
+    }
+
+    /**
+     * Remembers intent and state of the request before the handlers
+     * can change them. Loads the history of the session.
+     * @private
+     */
+    startTurn() {
+        this.sessionHistory = this.getSessionAttribute(SESSION_ATTRIBUTE_HISTORY) || [];
+
+        let previousTurn = _.get(_.last(this.sessionHistory), 'turn', 0);
+        this.currentTurn = {
+            turn: previousTurn + 1,
+            path: this.getHandlerPath(),
+            intent: this.isIntentRequest() ?
+                this.getIntentName() : this.getPlatform().getRequestType(),
+            state: this.getState(),
+        };
+    }
+
+    /**
+     * Adds the current turn to the session history, which
+     * keeps the last sessionHistorySize turns
+     * @private
+     */
+    saveSessionHistory() {
+        if (!this.currentTurn || !(this.sessionHistorySize > 0)) {
+            return;
+        }
+        let turn = _.assign({}, this.currentTurn, {
+            inputs: this.getInputValues(),
+            speech: this.getPlatform().getSpeechText(),
+        });
+        let history = _.takeRight(this.sessionHistory.concat(turn), this.sessionHistorySize);
+        this.setSessionAttribute(SESSION_ATTRIBUTE_HISTORY, history);
+    }
+
+    /**
+     * Stores the repeatable parts of the response in the session
+     * @private
+     */
+    saveLastResponse() {
+        let lastResponse = this.getPlatform().getResponse().getRepeatableResponse();
+        if (lastResponse) {
+            this.setSessionAttribute(SESSION_ATTRIBUTE_LAST_RESPONSE, lastResponse);
+        }
     }
 
     /**
@@ -1007,8 +1859,10 @@ class Jovo extends EventEmitter {
      * @return {Jovo}
      */
     followUpState(state) {
-        if (state && !this.handlers[state]) {
-            throw Error(`State ${state} could not be found in your handler`);
+        if (state && !this.getStateHandlers(state)) {
+            throw new JovoError(
+                `State ${state} could not be found in your handler`,
+                ERROR_TYPE_ENUM.STATE_NOT_FOUND);
         }
         this.getPlatform().setState(state);
         return this;
@@ -1034,8 +1888,8 @@ class Jovo extends EventEmitter {
         if (!this.languageResourcesSet) {
             throw new Error('Language resources have not been set for translation.');
         }
-        i18n.changeLanguage(this.getLocale());
-        return i18n.t.apply(i18n, arguments); // eslint-disable-line
+        this.i18next.changeLanguage(this.getLocale());
+        return this.i18next.t.apply(this.i18next, arguments); // eslint-disable-line
     }
 
     /**
@@ -1163,24 +2017,74 @@ class Jovo extends EventEmitter {
     }
 
     /**
-     * Maps platform specific input names to custom input names
+     * Maps platform specific input names to custom input names.
+     * Keys can be exact names, wildcards ('given-*') or regular
+     * expressions ('/^(.*)_de$/'), targets can use the groups ('$1').
+     * Instead of a target name, an object with name, transform
+     * ('lowercase', 'uppercase', 'trim' or a function) and synonyms
+     * (canonical value -> array of synonyms) transforms the input value.
      *
      * @public
+     * @throws Error if a transform or pattern is invalid
      * @param {object} inputMap
+     * @param {string=} locale only use the map for this locale ('de-DE') or language ('de')
      */
-    setInputMap(inputMap) {
+    setInputMap(inputMap, locale) {
+        nameMapping.validateMap(inputMap);
+
+        if (locale) {
+            this.localeInputMaps = _.assign({}, this.localeInputMaps, {[locale]: inputMap});
+            return;
+        }
         this.inputMap = inputMap;
     }
 
     /**
-     *  Maps platform specific intent names to custom intent names
+     * Sets the input definitions of the intents
+     * (intent name -> input name -> definition). A definition can have
+     * type (number, date, time, duration, boolean, enum with values),
+     * required, default, validator and prompt.
+     *
      * @public
+     * @throws Error if a definition is invalid
+     * @param {object} inputDefinitions
+     */
+    setInputDefinitions(inputDefinitions) {
+        inputConverter.validateInputDefinitions(inputDefinitions);
+        this.inputDefinitions = inputDefinitions;
+    }
+
+    /**
+     *  Maps platform specific intent names to custom intent names.
+     *  Keys can be exact names, wildcards ('AMAZON.*') or regular
+     *  expressions ('/^(.*)_DE$/'), targets can use the groups ('$1').
+     * @public
+     * @throws Error if a transform or pattern is invalid
      * @param {object} intentMap
+     * @param {string=} locale only use the map for this locale ('de-DE') or language ('de')
      */
-    setIntentMap(intentMap) {
+    setIntentMap(intentMap, locale) {
+        nameMapping.validateMap(intentMap);
+
+        if (locale) {
+            this.localeIntentMaps = _.assign({}, this.localeIntentMaps, {[locale]: intentMap});
+            return;
+        }
         this.intentMap = intentMap;
     }
 
+    /**
+     * Sets the time in ms after which a fallback response is sent,
+     * if the handler didn't respond. 0 disables the timeout.
+     * Can be changed for a single request in the handler.
+     * @public
+     * @param {number} responseTimeout
+     */
+    setResponseTimeout(responseTimeout) {
+        this.responseTimeout = responseTimeout;
+        this.startResponseTimer();
+    }
+
     /**
      * Sets userData col name
      * @param {string} name
@@ -1210,13 +2114,29 @@ class Jovo extends EventEmitter {
             throw Error('Invalid language resource.');
         }
 
+        this.languageResources = resources;
+
+        // copy, the default i18n config is shared between apps
+        this.i18nConfig = _.assignIn({}, this.i18nConfig, config);
+        this.initI18n();
+    }
+
+    /**
+     * Initializes i18next with the language resources of the app
+     * and the ones added by plugins. The app's resources are preferred.
+     * Every app has its own i18next instance.
+     * @private
+     */
+    initI18n() {
         this.languageResourcesSet = true;
 
-        this.i18nConfig.resources = resources;
-        let initConfig = _.assignIn(this.i18nConfig, config);
-        i18n
+        this.i18nConfig = _.assignIn({}, this.i18nConfig, {
+            resources: _.merge({}, this.pluginLanguageResources, this.languageResources),
+        });
+        this.i18next = i18n.createInstance();
+        this.i18next
             .use(sprintf)
-            .init(initConfig);
+            .init(this.i18nConfig);
     }
     /** CONFIG SETTER END */
 
@@ -1246,20 +2166,7 @@ class Jovo extends EventEmitter {
 
             // state object
             if (typeof firstLevelObj === 'object') {
-                let secondLevelKeys = Object.keys(firstLevelObj);
-
-                if (secondLevelKeys.length === 0) {
-                    throw new Error('There should be at least one intent in the state.');
-                }
-
-                // iterate through second level and check for function
-                for (let j = 0; j < secondLevelKeys.length; j++) {
-                    let secondLevelObj = firstLevelObj[secondLevelKeys[j]];
-
-                    if (typeof secondLevelObj !== 'function') {
-                        throw new Error('IntentHandler inside of a state should be a function');
-                    }
-                }
+                validateState(firstLevelObj);
             }
         }
     }
@@ -1279,15 +2186,14 @@ class Jovo extends EventEmitter {
 
     /**
      * Determines and initiates platform.
-     * GoogleAction or AlexaSkill
+     * Platforms added with addPlatform(), the built-in platforms
+     * or AlexaSkill
      *
      */
     setPlatform() {
-        if (this.request.result) {
-            this.platform = new GoogleAction(this, this.request);
-        } else {
-            this.platform = new AlexaSkill(this, this.request);
-        }
+        let adapter = detectPlatform(this, this.request);
+        let PlatformClass = adapter ? adapter.platform : AlexaSkill;
+        this.platform = new PlatformClass(this, this.request);
     }
 
     /**
@@ -1300,7 +2206,7 @@ class Jovo extends EventEmitter {
         if (this.type === TYPE_ENUM.LAMBDA && this.moduleDatabase.databases.file) {
            throw new Error('FilePersistence cannot be used in lambda');
         }
-        return this.moduleDatabase.use(this.getUserId(), name);
+        return this.moduleDatabase.use(this.getUserId(), name, this);
     }
 
     /**
@@ -1330,6 +2236,17 @@ class Jovo extends EventEmitter {
         this.moduleDatabase = new Db('dynamodb', new DynamoDb(tableName, awsConfig));
     }
 
+    /**
+     * sets the Google Assistant user storage as default db
+     * (Google Actions only, no server-side database needed).
+     * Other platforms keep using the default db that was set before.
+     */
+    setGoogleActionUserStorage() {
+        let databases = this.moduleDatabase.databases;
+        let fallbackDb = databases[Object.keys(databases)[0]];
+        this.moduleDatabase = new Db('userstorage', new GoogleActionUserStorage(undefined, fallbackDb));
+    }
+
     /**
      * sets main key to save and get data from Dynamo DB
      * @param {string} dynamoDbKey
@@ -1361,7 +2278,8 @@ class Jovo extends EventEmitter {
                 .db()
                 .saveObject(this.dynamoDbKey, this.getSessionAttributes(), (err, data) => {
                     if (err) {
-                        reject(err);
+                        reject(JovoError.wrap(err, ERROR_TYPE_ENUM.DB_ERROR));
+                        return;
                     }
 
                     resolve(data);
@@ -1469,7 +2387,7 @@ class Jovo extends EventEmitter {
      */
     continueDialog() {
         this.getPlatform().continueDialog();
-        this.emit('respond', this);
+        this.respond();
     }
 
     /**
@@ -1503,14 +2421,180 @@ class Jovo extends EventEmitter {
     getSelectedElementId() {
         return this.platform.getSelectedElementId();
     }
+    /**
+     * Returns true if the Lambda event is an HTTP request (e.g. API Gateway)
+     * that has been verified. Its response has to be a proxy response.
+     * Without alexaVerificationEnabled, events are passed through unchanged.
+     * @private
+     * @return {boolean}
+     */
+    isHttpEvent() {
+        return this.type === TYPE_ENUM.LAMBDA && this.alexaVerificationEnabled &&
+            alexaVerifier.isHttpEvent(this.lambdaEvent);
+    }
+
+    /**
+     * Sends the platform's response object
+     * @private
+     */
+    sendResponse() {
+        if (!this.app) {
+            getLegacyRequestContext(this).sendResponse();
+            return;
+        }
+        clearTimeout(this.responseTimer);
+
+        // set response object depending on type of request
+        if (this.isHttpEvent()) {
+            this.response(null, {
+                statusCode: 200,
+                headers: {'Content-Type': 'application/json'},
+                body: JSON.stringify(this.getPlatform().getResponseObject()),
+            });
+        } else if (this.type === TYPE_ENUM.LAMBDA) {
+            this.response(null, this.getPlatform().getResponseObject());
+        } else if (this.type === TYPE_ENUM.WEBHOOK) {
+            this.response.json(this.getPlatform().getResponseObject());
+        }
+
+        this.printResponseLog(this);
+
+        // calls track function. by default no analytics provider is set
+        this.analytics().track(this);
+        this.responseSent = true;
+    }
+
+    /**
+     * Starts the timer of the response timeout (counted from execute()).
+     * Restarts a running timer.
+     * @private
+     */
+    startResponseTimer() {
+        clearTimeout(this.responseTimer);
+        this.responseTimer = undefined;
+        if (!this.requestStartTime || !(this.responseTimeout > 0) || this.responseSent) {
+            return;
+        }
+        let remaining = this.responseTimeout - (Date.now() - this.requestStartTime);
+        this.responseTimer = setTimeout(() => {
+            this.handleResponseTimeout();
+        }, Math.max(remaining, 0));
+    }
+
+    /**
+     * Sends the fallback response if nothing has been sent before
+     * the response timeout. Uses the translation of 'RESPONSE_TIMEOUT'
+     * if available. Later responses of the handler are ignored.
+     * @private
+     */
+    handleResponseTimeout() {
+        if (this.responseSent) {
+            return;
+        }
+        console.log(this.getHandlerPath() + ' did not respond within ' +
+            this.responseTimeout + 'ms. Sending the fallback response.');
+        this.responseTimedOut = true;
+        this.responded = true;
+        // the request is done, even if the handler never returns
+        _.pull(this.getApp().executingContexts, this);
+
+        let speech = DEFAULT_RESPONSE_TIMEOUT_SPEECH;
+        if (this.languageResourcesSet) {
+            this.i18next.changeLanguage(this.getLocale());
+            if (this.i18next.exists(I18N_KEY_RESPONSE_TIMEOUT)) {
+                speech = this.t(I18N_KEY_RESPONSE_TIMEOUT);
+            }
+        }
+        this.getPlatform().resetResponse();
+        this.getPlatform().tell(SpeechBuilder.toSSML(speech));
+        this.sendResponse();
+    }
+
     /**
      * Emits respond
+     * A request can only be responded once. Further calls are
+     * passed to the error handling. Responses after the response timeout
+     * are ignored.
+     * Called on the app (app.handleRequest(...); app.execute();),
+     * the request context of the app responds.
      */
     respond() {
+        if (!this.app) {
+            getLegacyRequestContext(this).respond();
+            return;
+        }
+        if (this.responseTimedOut) {
+            console.log('Ignored response of ' + this.getHandlerPath() +
+                ' after the response timeout.');
+            return;
+        }
+        if (this.responded) {
+            this.handleError(new JovoError(
+                'Can\'t send more than one response per request.',
+                ERROR_TYPE_ENUM.RESPONDED_TWICE));
+            return;
+        }
+        this.responded = true;
         this.emit('respond', this);
     }
 }
 
+/**
+ * Returns the request context that is used if request specific properties
+ * and methods are called on the app (app.handleRequest(...); app.execute();):
+ * the executing request context or the latest one.
+ * @throws Error if the app executes several requests at the same time
+ * @param {Jovo} app
+ * @return {Jovo|undefined}
+ */
+function getLegacyRequestContext(app) {
+    let executingContexts = app.executingContexts || [];
+
+    if (executingContexts.length > 1) {
+        throw new Error('Error: The app is executing several requests at the same time. ' +
+            'Use this instead of the app inside of the handlers.');
+    }
+    return executingContexts[0] || app.latestRequestContext;
+}
+
+/**
+ * Defines a request specific property on the app.
+ * The request context gets its own value when the property is set.
+ * Outside of a request context (app.handleRequest(...); app.execute();)
+ * the property is read from and written to the request context
+ * returned by getLegacyRequestContext().
+ * The handlers of the app are the default for all request contexts.
+ * @param {Jovo} app
+ * @param {object} appValues values of the app
+ * @param {string} name
+ */
+function defineRequestProperty(app, appValues, name) {
+    Object.defineProperty(app, name, {
+        get: function() {
+            let context = this === app ? getLegacyRequestContext(app) : undefined;
+
+            if (context && context.hasOwnProperty(name)) {
+                return context[name];
+            }
+            return appValues[name];
+        },
+        set: function(value) {
+            if (this !== app) {
+                Object.defineProperty(this, name, {
+                    value: value,
+                    writable: true,
+                    enumerable: true,
+                    configurable: true,
+                });
+            } else if (name !== 'handlers' && getLegacyRequestContext(app)) {
+                getLegacyRequestContext(app)[name] = value;
+            } else {
+                appValues[name] = value;
+            }
+        },
+    });
+}
+
 /**
  * Returns parameter names of a method
  * https://stackoverflow.com/a/9924463
@@ -1528,6 +2612,44 @@ function getParamNames(func) {
     return result;
 }
 
+/**
+ * Checks state objects for valid structure.
+ * States can contain intents (functions) and nested states (objects).
+ * @throws Error
+ * @param {object} state
+ */
+function validateState(state) {
+    let keys = Object.keys(state);
+
+    if (keys.length === 0) {
+        throw new Error('There should be at least one intent in the state.');
+    }
+
+    for (let i = 0; i < keys.length; i++) {
+        let obj = state[keys[i]];
+
+        if (obj && typeof obj === 'object') {
+            validateState(obj);
+        } else if (typeof obj !== 'function') {
+            throw new Error('IntentHandler inside of a state should be a function');
+        }
+    }
+}
+
+/**
+ * Returns the first handler function with the given name
+ * @param {Array} handlers list of handler objects, e.g. state, parent state, global
+ * @param {string} name
+ * @return {function|undefined}
+ */
+function findHandler(handlers, name) {
+    for (let i = 0; i < handlers.length; i++) {
+        if (typeof handlers[i][name] === 'function') {
+            return handlers[i][name];
+        }
+    }
+}
+
 /**
  * Helper function
  * camelizes a string
@@ -1548,10 +2670,16 @@ module.exports.Jovo = Jovo;
 module.exports.TYPE_ENUM = TYPE_ENUM;
 
 module.exports.REQUEST_TYPE_ENUM = REQUEST_TYPE_ENUM;
+module.exports.INPUT_TYPE_ENUM = inputConverter.INPUT_TYPE_ENUM;
+module.exports.INPUT_ERROR_ENUM = inputConverter.INPUT_ERROR_ENUM;
 module.exports.PLATFORM_ENUM = PLATFORM_ENUM;
 module.exports.DIALOGSTATE_ENUM = DIALOGSTATE_ENUM;
+module.exports.ERROR_TYPE_ENUM = ERROR_TYPE_ENUM;
+module.exports.HOOK_ENUM = HOOK_ENUM;
 
 module.exports.HANDLER_LAUNCH = HANDLER_LAUNCH;
 module.exports.HANDLER_END = HANDLER_END;
+module.exports.HANDLER_NEW_USER = HANDLER_NEW_USER;
+module.exports.HANDLER_NEW_SESSION = HANDLER_NEW_SESSION;
 
 module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
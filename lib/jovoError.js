@@ -0,0 +1,55 @@
+'use strict';
+
+const ERROR_TYPE_ENUM = Object.freeze({
+    INTENT_NOT_FOUND: 'INTENT_NOT_FOUND',
+    STATE_NOT_FOUND: 'STATE_NOT_FOUND',
+    DB_ERROR: 'DB_ERROR',
+    PLATFORM_API_ERROR: 'PLATFORM_API_ERROR',
+    RESPONDED_TWICE: 'RESPONDED_TWICE',
+    INVALID_INPUT: 'INVALID_INPUT',
+    UNKNOWN_ERROR: 'UNKNOWN_ERROR',
+});
+
+/**
+ * Error class for all errors thrown by the framework.
+ * Passed to the ON_ERROR handler.
+ */
+class JovoError extends Error {
+
+    /**
+     * Constructor
+     * @param {string} message
+     * @param {string} type one of ERROR_TYPE_ENUM
+     * @param {string=} code specific error code, defaults to type
+     * @param {Error=} originalError error that caused this error
+     */
+    constructor(message, type, code, originalError) {
+        super(message);
+        this.name = 'JovoError';
+        this.type = type || ERROR_TYPE_ENUM.UNKNOWN_ERROR;
+        this.code = code || this.type;
+        this.originalError = originalError;
+    }
+
+    /**
+     * Wraps any error into a JovoError of the given type.
+     * JovoErrors are returned as they are.
+     * @param {Error|*} error
+     * @param {string=} type defaults to UNKNOWN_ERROR
+     * @return {JovoError}
+     */
+    static wrap(error, type) {
+        if (error instanceof JovoError) {
+            return error;
+        }
+        if (!(error instanceof Error)) {
+            return new JovoError(String(error), type);
+        }
+        let jovoError = new JovoError(error.message, type, error.code, error);
+        jovoError.stack = error.stack;
+        return jovoError;
+    }
+}
+
+module.exports.JovoError = JovoError;
+module.exports.ERROR_TYPE_ENUM = ERROR_TYPE_ENUM;
@@ -0,0 +1,183 @@
+'use strict';
+
+const _ = require('lodash');
+
+const TRANSFORMS = {
+    lowercase: (value) => value.toLowerCase(),
+    uppercase: (value) => value.toUpperCase(),
+    trim: (value) => value.trim(),
+};
+
+/**
+ * Returns the regular expression of a pattern key or undefined for exact keys.
+ * Patterns are regular expressions like '/^help_(.*)$/i' or
+ * wildcards like 'AMAZON.*' (every * matches any characters).
+ * @param {string} key
+ * @return {RegExp|undefined}
+ */
+function toRegExp(key) {
+    let match = key.match(/^\/(.+)\/([gimuy]*)$/);
+    if (match) {
+        // g and y would return the matches without groups and keep lastIndex
+        return new RegExp(match[1], match[2].replace(/[gy]/g, ''));
+    }
+    if (key.indexOf('*') > -1) {
+        return new RegExp('^' + key.split('*').map(_.escapeRegExp).join('(.*)') + '$');
+    }
+}
+
+/**
+ * Replaces $1, $2, ... in the target with the groups of the pattern match
+ * @param {string} target
+ * @param {Array} match
+ * @return {string}
+ */
+function replaceGroups(target, match) {
+    return target.replace(/\$(\d)/g, (placeholder, index) => match[index] || '');
+}
+
+/**
+ * Finds the mapping of a name in the given maps. The first map with
+ * a matching key wins. Inside of a map, exact keys win over patterns.
+ * Mappings are a target name or an object with name, transform and synonyms.
+ * @param {Array<object>} maps
+ * @param {string} name
+ * @return {{name: string, transform: *, synonyms: object}|undefined}
+ */
+function findMapping(maps, name) {
+    for (let map of maps) {
+        if (!map) {
+            continue;
+        }
+        let mapping;
+        if (Object.prototype.hasOwnProperty.call(map, name)) {
+            mapping = toMapping(map[name], name);
+        } else {
+            let key = _.find(Object.keys(map), (key) => {
+                let regex = toRegExp(key);
+                return regex && regex.test(name);
+            });
+            if (key) {
+                let match = name.match(toRegExp(key));
+                mapping = toMapping(map[key], name);
+                mapping.name = replaceGroups(mapping.name, match);
+            }
+        }
+        if (mapping) {
+            return mapping;
+        }
+    }
+}
+
+/**
+ * Normalizes a map value to a mapping object
+ * @param {string|object} value
+ * @param {string} name mapped name, used if the value has no name
+ * @return {{name: string, transform: *, synonyms: object}}
+ */
+function toMapping(value, name) {
+    if (_.isString(value)) {
+        return {name: value};
+    }
+    return _.assign({name: name}, value);
+}
+
+/**
+ * Validates the pattern keys and transforms of a map,
+ * so that invalid maps fail when they are set
+ * @throws Error
+ * @param {object} map
+ */
+function validateMap(map) {
+    _.forEach(map, (value, key) => {
+        toRegExp(key);
+
+        if (!_.isPlainObject(value)) {
+            return;
+        }
+        _.castArray(value.transform || []).forEach((transform) => {
+            if (!_.isFunction(transform) && !TRANSFORMS[transform]) {
+                throw new Error('Transform ' + transform + ' is not supported.');
+            }
+        });
+    });
+}
+
+/**
+ * Applies the transforms and synonyms of a mapping to a value.
+ * Transforms are 'lowercase', 'uppercase', 'trim', a function
+ * or an array of them. Synonyms map canonical values to arrays of synonyms.
+ * @param {*} value
+ * @param {{transform: *, synonyms: object}} mapping
+ * @return {*}
+ */
+function transformValue(value, mapping) {
+    let transforms = _.castArray(mapping.transform || []);
+    for (let transform of transforms) {
+        if (_.isFunction(transform)) {
+            value = transform(value);
+        } else if (!TRANSFORMS[transform]) {
+            throw new Error('Transform ' + transform + ' is not supported.');
+        } else if (_.isString(value)) {
+            value = TRANSFORMS[transform](value);
+        }
+    }
+    if (mapping.synonyms && _.isString(value)) {
+        let canonical = _.findKey(mapping.synonyms, (synonyms, key) => {
+            return _.some([key].concat(synonyms), (synonym) => {
+                return synonym.toLowerCase() === value.toLowerCase();
+            });
+        });
+        if (canonical) {
+            value = canonical;
+        }
+    }
+    return value;
+}
+
+/**
+ * Applies the transforms and synonyms of a mapping to
+ * value and canonicalValue of an input object
+ * @param {*} input
+ * @param {{transform: *, synonyms: object}} mapping
+ * @return {*}
+ */
+function transformInput(input, mapping) {
+    if (!mapping.transform && !mapping.synonyms) {
+        return input;
+    }
+    if (!_.isPlainObject(input)) {
+        return transformValue(input, mapping);
+    }
+    let transformed = {
+        value: transformValue(input.value, mapping),
+    };
+    if (_.has(input, 'canonicalValue')) {
+        transformed.canonicalValue = transformValue(input.canonicalValue, mapping);
+    }
+    return _.assign({}, input, transformed);
+}
+
+/**
+ * Returns the maps for a locale ordered by priority:
+ * the map of the locale (e.g. 'de-DE'), the map of its language ('de')
+ * and the global map.
+ * @param {object} localeMaps locale -> map
+ * @param {object} globalMap
+ * @param {string} locale
+ * @return {Array<object>}
+ */
+function getMaps(localeMaps, globalMap, locale) {
+    let maps = [];
+    if (locale) {
+        maps.push(localeMaps[locale]);
+        maps.push(localeMaps[locale.split('-')[0]]);
+    }
+    maps.push(globalMap);
+    return maps;
+}
+
+module.exports.findMapping = findMapping;
+module.exports.validateMap = validateMap;
+module.exports.transformInput = transformInput;
+module.exports.getMaps = getMaps;
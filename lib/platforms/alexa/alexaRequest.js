@@ -118,7 +118,7 @@ class AlexaRequest {
      * @return {boolean}
      */
     isNewSession() {
-        return this.requestObj.request.session.new;
+        return _.get(this, 'requestObj.session.new', false);
     }
      /**
      * Returns platform's timestamp
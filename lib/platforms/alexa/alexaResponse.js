@@ -474,6 +474,22 @@ class AlexaResponse {
             this.responseObj.sessionAttributes = sessionAttributes;
         }
     }
+    /**
+     * Restores a response returned by getRepeatableResponse()
+     * @param {{speech: string, reprompt: string, card: *, displayTemplate: *}} lastResponse
+     * @return {AlexaResponse}
+     */
+    setRepeatableResponse(lastResponse) {
+        this.ask(lastResponse.speech, lastResponse.reprompt);
+        if (lastResponse.card) {
+            this.addCard(lastResponse.card);
+        }
+        if (lastResponse.displayTemplate) {
+            this.addDisplayRenderTemplateDirective(lastResponse.displayTemplate);
+        }
+        return this;
+    }
+
     /* GETTER **/
 
     /**
@@ -510,12 +526,36 @@ class AlexaResponse {
         return this.responseObj;
     }
 
+    /**
+     * Returns speech, reprompt, card and display template of the response,
+     * if it keeps the session open. Used to repeat the response.
+     * @return {*} undefined if there is nothing to repeat
+     */
+    getRepeatableResponse() {
+        let response = this.responseObj.response;
+        if (response.shouldEndSession !== false || !response.outputSpeech) {
+            return;
+        }
+        let displayDirective = _.find(response.directives, {type: 'Display.RenderTemplate'});
+
+        return _.omitBy({
+            speech: response.outputSpeech.ssml,
+            reprompt: _.get(response, 'reprompt.outputSpeech.ssml'),
+            card: response.card,
+            displayTemplate: _.get(displayDirective, 'template'),
+        }, _.isUndefined);
+    }
+
     /**
      * Returns speech text without <speak> tags
      * @return {XML|string}
      */
     getSpeechText() {
-        return removeSpeakTags(_.get(this, 'responseObj.response.outputSpeech.ssml'));
+        let ssml = _.get(this, 'responseObj.response.outputSpeech.ssml');
+        if (ssml) {
+            return removeSpeakTags(ssml);
+        }
+        return '';
     }
 
     /**
@@ -8,6 +8,7 @@ const AlexaRequest = require('./alexaRequest').AlexaRequest;
 const CardBuilder = AlexaResponse.CardBuilder;
 const AudioPlayer = require('./audioPlayer').AudioPlayer;
 const Platform = require('./../plaform').Platform;
+const registerPlatform = require('./../plaform').registerPlatform;
 const request = require('request');
 const AlexaSpeechBuilder = require('./alexaSpeechBuilder').AlexaSpeechBuilder;
 const AlexaUser = require('./alexaUser').AlexaUser;
@@ -30,11 +31,20 @@ class AlexaSkill extends Platform {
         super();
         this.jovo = jovo;
         this.request = new AlexaRequest(request);
-        this.response = new AlexaResponse();
+        this.response = this.createResponse();
 
         this.response.setSessionAttributes(this.request.getSessionAttributes());
     }
 
+    /**
+     * Replaces the response with an empty one
+     * @public
+     */
+    resetResponse() {
+        this.response = this.createResponse();
+        this.response.setSessionAttributes(this.request.getSessionAttributes());
+    }
+
     /** **
      * Request getter
      */
@@ -97,15 +107,6 @@ class AlexaSkill extends Platform {
      *
      ************************************/
 
-    /**
-     * Creates alexa user instance
-     * @param {*} config
-     * @return {AlexaUser}
-     */
-    makeUser(config) {
-        return new AlexaUser(this, config);
-    }
-
     /**
      * Returns request type
      * LaunchRequest, IntentRequest, OnElementSelected SessionEndedRequest
@@ -163,10 +164,10 @@ class AlexaSkill extends Platform {
     /**
      * Returns intent parameters filled by the user.
      * "My name is {John Doe} and I live in {New York}"
-     * Returns object with name => value objects
+     * Returns object with name => input objects
      * {
-     *   name : "John Doe",
-     *   city : "New York"
+     *   name : {value: "John Doe", ...},
+     *   city : {value: "NYC", canonicalValue: "New York", id: "NY", ...}
      * }
      * @public
      * @return {*}
@@ -182,7 +183,7 @@ class AlexaSkill extends Platform {
 
         for (let i = 0; i < slotNames.length; i++) {
             let key = slotNames[i];
-            inputs[key] = this.request.getSlots()[key].value;
+            inputs[key] = toInput(this.request.getSlots()[key]);
         }
         return inputs;
     }
@@ -190,20 +191,12 @@ class AlexaSkill extends Platform {
     /**
      * Get input object by name
      * @param {string} name
-     * @return {string}
+     * @return {*}
      */
     getInput(name) {
         return this.getInputs()[name];
     }
 
-    /**
-     * Returns type of platform
-     * @return {string}
-     */
-    getType() {
-        return jovo.PLATFORM_ENUM.ALEXA_SKILL;
-    }
-
 
     /**
      * Returns platform's api endpoint
@@ -302,10 +295,11 @@ class AlexaSkill extends Platform {
      * Creates object with reprompt.
      * Keeps session open
      * @param {string} speech
-     * @param {string} repromptSpeech
+     * @param {string|Array<string>} repromptSpeech only the first reprompt is used
      */
     ask(speech, repromptSpeech) {
-        this.response.ask(speech, repromptSpeech);
+        // Alexa has only one reprompt
+        this.response.ask(speech, _.isArray(repromptSpeech) ? repromptSpeech[0] : repromptSpeech);
     }
 
     /**
@@ -588,13 +582,6 @@ class AlexaSkill extends Platform {
         return new AudioPlayer(this.jovo);
     }
 
-    /**
-     * Returns alexa specific speechbuilder
-     * @return {AlexaSpeechBuilder}
-     */
-    getSpeechBuilder() {
-        return new AlexaSpeechBuilder();
-    }
 
     /**
      * Returns template builder by type
@@ -642,6 +629,41 @@ class AlexaSkill extends Platform {
     }
 }
 
+/**
+ * Creates the input object of a slot. Uses the first
+ * successful match of the entity resolution.
+ * @param {*} slot
+ * @return {{value: string, canonicalValue: string, id: string, spokenValue: string,
+ * isMatch: boolean, confirmationStatus: string}}
+ */
+function toInput(slot) {
+    let resolutions = _.get(slot, 'resolutions.resolutionsPerAuthority');
+    let match = _.find(resolutions, (resolution) => {
+        return _.get(resolution, 'status.code') === 'ER_SUCCESS_MATCH';
+    });
+    let resolvedValue = _.get(match, 'values[0].value');
+
+    return {
+        value: slot.value,
+        canonicalValue: resolvedValue ? resolvedValue.name : slot.value,
+        id: _.get(resolvedValue, 'id'),
+        spokenValue: slot.value,
+        // slots without entity resolution match if they have a value
+        isMatch: resolutions ? !!match : typeof slot.value !== 'undefined',
+        confirmationStatus: slot.confirmationStatus,
+    };
+}
+
+registerPlatform({
+    name: 'ALEXA_SKILL',
+    type: 'AlexaSkill',
+    platform: AlexaSkill,
+    isPlatformRequest: (request) => _.has(request, 'request.type'),
+    user: AlexaUser,
+    speechBuilder: AlexaSpeechBuilder,
+    response: AlexaResponse,
+});
+
 module.exports.AlexaSkill = AlexaSkill;
 module.exports.AlexaSkill.SimpleCard = require('./alexaCards').SimpleCard;
 module.exports.AlexaSkill.StandardCard = require('./alexaCards').StandardCard;
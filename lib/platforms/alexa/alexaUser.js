@@ -1,6 +1,8 @@
 'use strict';
 const request = require('request');
 const User = require('./../../user').User;
+const JovoError = require('./../../jovoError').JovoError;
+const ERROR_TYPE_ENUM = require('./../../jovoError').ERROR_TYPE_ENUM;
 
 /**
  * Class AlexaUser
@@ -229,8 +231,10 @@ class AlexaList {
                         return el.value.toUpperCase() === oldValue.toUpperCase();
                     });
                     if (oldValueItems.length === 0) {
-                        let error = new Error('No items with this value found');
-                        error.code = 'ITEM_NOT_FOUND';
+                        let error = new JovoError(
+                            'No items with this value found',
+                            ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                            'ITEM_NOT_FOUND');
                         reject(error);
                         return;
                     }
@@ -286,8 +290,10 @@ class AlexaList {
     updateListItem(listId, itemId, valueObj) {
         return new Promise((resolve, reject) => {
             if (!this.permissionToken) {
-                let error = new Error('No permissions from user');
-                error.code = 'NO_USER_PERMISSION';
+                let error = new JovoError(
+                    'No permissions from user',
+                    ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                    'NO_USER_PERMISSION');
                 reject(error);
             }
             let options = {
@@ -305,16 +311,21 @@ class AlexaList {
             };
             request(options, (error, response, data) => {
                 if (error) {
-                    return reject(error);
+                    return reject(
+                        JovoError.wrap(error, ERROR_TYPE_ENUM.PLATFORM_API_ERROR));
                 }
                 if (response.statusCode === 403 && data.type === 'ACCESS_NOT_REQUESTED') {
-                    let error = new Error(data.message);
-                    error.code = data.type;
+                    let error = new JovoError(
+                        data.message,
+                        ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                        data.type);
                     return reject(error);
                 }
                 if (response.statusCode === 403 && JSON.parse(data).Message === 'Not all permissions are authorized.') {
-                    let error = new Error(JSON.parse(data).Message);
-                    error.code = 'NO_USER_PERMISSION';
+                    let error = new JovoError(
+                        JSON.parse(data).Message,
+                        ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                        'NO_USER_PERMISSION');
                     return reject(error);
                 }
 
@@ -332,8 +343,10 @@ class AlexaList {
     createListItem(listId, valueObj) {
         return new Promise((resolve, reject) => {
             if (!this.permissionToken) {
-                let error = new Error('No permissions from user');
-                error.code = 'NO_USER_PERMISSION';
+                let error = new JovoError(
+                    'No permissions from user',
+                    ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                    'NO_USER_PERMISSION');
                 reject(error);
             }
             let options = {
@@ -351,16 +364,21 @@ class AlexaList {
             };
             request(options, (error, response, data) => {
                 if (error) {
-                    return reject(error);
+                    return reject(
+                        JovoError.wrap(error, ERROR_TYPE_ENUM.PLATFORM_API_ERROR));
                 }
                 if (response.statusCode === 403 && data.type === 'ACCESS_NOT_REQUESTED') {
-                    let error = new Error(data.message);
-                    error.code = data.type;
+                    let error = new JovoError(
+                        data.message,
+                        ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                        data.type);
                     return reject(error);
                 }
                 if (response.statusCode === 403 && JSON.parse(data).Message === 'Not all permissions are authorized.') {
-                    let error = new Error(JSON.parse(data).Message);
-                    error.code = 'NO_USER_PERMISSION';
+                    let error = new JovoError(
+                        JSON.parse(data).Message,
+                        ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                        'NO_USER_PERMISSION');
                     return reject(error);
                 }
 
@@ -413,8 +431,10 @@ class AlexaList {
     requestList(path) {
         return new Promise((resolve, reject) => {
             if (!this.permissionToken) {
-                let error = new Error('No permissions from user');
-                error.code = 'NO_USER_PERMISSION';
+                let error = new JovoError(
+                    'No permissions from user',
+                    ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                    'NO_USER_PERMISSION');
                 reject(error);
             }
             let options = {
@@ -430,25 +450,32 @@ class AlexaList {
             };
             request(options, (error, response, data) => {
                 if (error) {
-                    return reject(error);
+                    return reject(
+                        JovoError.wrap(error, ERROR_TYPE_ENUM.PLATFORM_API_ERROR));
                 }
                 if (response.statusCode !== 200) {
                     if (data.length === 0) {
-                        let error = new Error('HTTP Error code ' + response.statusCode);
-                        error.code = 'HTTP_ERROR';
+                        let error = new JovoError(
+                            'HTTP Error code ' + response.statusCode,
+                            ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                            'HTTP_ERROR');
                         return reject(error);
                     }
                     data = JSON.parse(data);
 
                     // different types of error responses :/
                     if (!data.type) {
-                        let error = new Error('No permissions from user');
-                        error.code = 'NO_USER_PERMISSION';
+                        let error = new JovoError(
+                            'No permissions from user',
+                            ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                            'NO_USER_PERMISSION');
                         reject(error);
                     }
 
-                    let error = new Error(data.message);
-                    error.code = data.type;
+                    let error = new JovoError(
+                        data.message,
+                        ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                        data.type);
                     return reject(error);
                 }
 
@@ -483,8 +510,10 @@ class AlexaDeviceAddress {
     getLocation(type) {
         return new Promise((resolve, reject) => {
             if (!this.permissionToken) {
-                let error = new Error('No permissions from user');
-                error.code = 'NO_USER_PERMISSION';
+                let error = new JovoError(
+                    'No permissions from user',
+                    ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                    'NO_USER_PERMISSION');
                 reject(error);
             }
             let options = {
@@ -498,17 +527,22 @@ class AlexaDeviceAddress {
             };
             request(options, (error, response, data) => {
                 if (error) {
-                    return reject(error);
+                    return reject(
+                        JovoError.wrap(error, ERROR_TYPE_ENUM.PLATFORM_API_ERROR));
                 }
                 if (response.statusCode !== 200) {
                     if (data.length === 0) {
-                        let error = new Error('HTTP Error code ' + response.statusCode);
-                        error.code = 'HTTP_ERROR';
+                        let error = new JovoError(
+                            'HTTP Error code ' + response.statusCode,
+                            ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                            'HTTP_ERROR');
                         return reject(error);
                     }
                     data = JSON.parse(data);
-                    let error = new Error(data.message);
-                    error.code = data.type;
+                    let error = new JovoError(
+                        data.message,
+                        ERROR_TYPE_ENUM.PLATFORM_API_ERROR,
+                        data.type);
                     return reject(error);
                 }
 
@@ -63,7 +63,7 @@ class AudioPlayer {
         }
         this.response.audioPlayerPlay(playBehavior, this.createAudioItem(url, token));
         if (this.jovo.isAudioPlayerRequest()) {
-            this.jovo.emit('respond', this.jovo);
+            this.jovo.respond();
         } else {
             return this.jovo;
         }
@@ -96,7 +96,7 @@ class AudioPlayer {
     stop() {
        this.response.audioPlayerStop();
         if (this.jovo.isAudioPlayerRequest()) {
-            this.jovo.emit('respond', this.jovo);
+            this.jovo.respond();
         } else {
             return this.jovo;
         }
@@ -114,7 +114,7 @@ class AudioPlayer {
         this.response.audioPlayerClearQueue(clearBehavior);
 
         if (this.jovo.isAudioPlayerRequest()) {
-            this.jovo.emit('respond', this.jovo);
+            this.jovo.respond();
         } else {
             return this.jovo;
         }
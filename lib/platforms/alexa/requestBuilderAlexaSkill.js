@@ -190,6 +190,16 @@ class RequestBuilderAlexaSkill {
         return this;
     }
 
+    /**
+     * Sets if the request is the first one of the session
+     * @param {boolean} isNew
+     * @return {RequestBuilderAlexaSkill}
+     */
+    setNewSession(isNew) {
+        this.session().new = isNew;
+        return this;
+    }
+
     /**
      * Sets session attributes
      * @param {*} attributes
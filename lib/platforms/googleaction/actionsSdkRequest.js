@@ -0,0 +1,94 @@
+'use strict';
+
+const _ = require('lodash');
+
+const GoogleActionRequest = require('./googleActionRequest').GoogleActionRequest;
+
+/**
+ * ActionsSdkRequest Class
+ * Request of the Actions SDK conversation webhook
+ * (inputs, conversation, user, surface)
+ */
+class ActionsSdkRequest extends GoogleActionRequest {
+    /**
+     * Constructor
+     * @param {{}} requestObj
+     */
+    constructor(requestObj) {
+        super(requestObj);
+        this.match = {};
+    }
+
+    /**
+     * Returns original request object.
+     * The conversation webhook receives it directly.
+     * @return {*}
+     */
+    getOriginalRequest() {
+        return this.requestObj;
+    }
+
+    /**
+     * Returns the Actions on Google request
+     * @return {*}
+     */
+    getOriginalRequestData() {
+        return this.requestObj;
+    }
+
+    /**
+     * Sets intent and parameters the text has been matched to
+     * @param {{intent: string, parameters: object}} match
+     */
+    setMatch(match) {
+        this.match = match;
+    }
+
+    /**
+     * Returns the matched intent or the Actions on Google intent
+     * @return {string}
+     */
+    getIntentName() {
+        return this.match.intent || this.getInputIntent();
+    }
+
+    /**
+     * Returns raw text of the user's input
+     * @return {string}
+     */
+    getResolvedQuery() {
+        return _.get(this.requestObj, 'inputs[0].rawInputs[0].query');
+    }
+
+    /**
+     * Returns the parameters of the matched intent
+     * @return {*}
+     */
+    getParameters() {
+        return this.match.parameters || {};
+    }
+
+    /**
+     * Returns the session attributes of the conversation token
+     * as session context
+     * @return {*}
+     */
+    getContexts() {
+        let parameters;
+        try {
+            parameters = JSON.parse(_.get(this.requestObj, 'conversation.conversationToken'));
+        } catch (e) {
+            // tokens of other fulfillments are ignored
+        }
+        if (!_.isPlainObject(parameters)) {
+            return [];
+        }
+        return [{
+            name: 'session',
+            lifespan: 10000,
+            parameters: parameters,
+        }];
+    }
+}
+
+module.exports.ActionsSdkRequest = ActionsSdkRequest;
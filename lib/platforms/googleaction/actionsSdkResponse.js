@@ -0,0 +1,113 @@
+'use strict';
+
+const _ = require('lodash');
+
+const GoogleActionResponse = require('./googleActionResponse').GoogleActionResponse;
+
+/**
+ * ActionsSdkResponse Class
+ * The response is built like the Google payload of Dialogflow responses
+ * and converted to the conversation webhook format
+ * (conversationToken, userStorage, expectedInputs, finalResponse) by getResponseObject().
+ */
+class ActionsSdkResponse extends GoogleActionResponse {
+    /**
+     * Constructor
+     * @param {*=} responseObj
+     */
+    constructor(responseObj) {
+        super(responseObj || {
+            expectUserResponse: true,
+            richResponse: {
+                items: [],
+            },
+            contextOut: [],
+        });
+    }
+
+    /**
+     * Returns the Actions on Google part of the response
+     * @return {object}
+     */
+    getGooglePayload() {
+        return this.responseObj;
+    }
+
+    /**
+     * The conversation webhook has no fulfillment speech,
+     * the speech is the first simple response
+     * @param {string} speech
+     */
+    setFulfillmentSpeech(speech) {
+    }
+
+    /**
+     * Returns the speech of the first simple response
+     * @return {string}
+     */
+    getFulfillmentSpeech() {
+        return _.get(this.responseObj, 'richResponse.items[0].simpleResponse.ssml');
+    }
+
+    /**
+     * Returns the possible intents of the expected input
+     * @return {Array}
+     */
+    getPossibleIntents() {
+        let google = this.getGooglePayload();
+
+        if (google.systemIntent) {
+            return [{
+                intent: google.systemIntent.intent,
+                inputValueData: google.systemIntent.data,
+            }];
+        }
+        if (google.expectedInputs) {
+            return _.flatMap(google.expectedInputs, 'possibleIntents');
+        }
+        if (google.permissions_request) {
+            return [{
+                intent: 'actions.intent.PERMISSION',
+                inputValueData: _.assign({
+                    '@type': 'type.googleapis.com/google.actions.v2.PermissionValueSpec',
+                }, google.permissions_request),
+            }];
+        }
+        return [{
+            intent: 'actions.intent.TEXT',
+        }];
+    }
+
+    /**
+     * Returns the response in the conversation webhook format.
+     * Session attributes are sent as conversation token.
+     * @return {object}
+     */
+    getResponseObject() {
+        let google = this.getGooglePayload();
+
+        if (google.expectUserResponse === false) {
+            return _.omitBy({
+                expectUserResponse: false,
+                finalResponse: {
+                    richResponse: google.richResponse,
+                },
+                userStorage: google.userStorage,
+            }, _.isUndefined);
+        }
+        return _.omitBy({
+            expectUserResponse: true,
+            conversationToken: JSON.stringify(this.getContextOut('session').parameters || {}),
+            userStorage: google.userStorage,
+            expectedInputs: [{
+                inputPrompt: _.omitBy({
+                    richInitialPrompt: google.richResponse,
+                    noInputPrompts: google.noInputPrompts,
+                }, _.isUndefined),
+                possibleIntents: this.getPossibleIntents(),
+            }],
+        }, _.isUndefined);
+    }
+}
+
+module.exports.ActionsSdkResponse = ActionsSdkResponse;
@@ -0,0 +1,138 @@
+'use strict';
+
+const _ = require('lodash');
+
+const GoogleActionRequest = require('./googleActionRequest').GoogleActionRequest;
+
+/**
+ * DialogflowV2Request Class
+ * Request of the Dialogflow V2 webhook format
+ * (queryResult, outputContexts, originalDetectIntentRequest)
+ */
+class DialogflowV2Request extends GoogleActionRequest {
+    /**
+     * Constructor
+     * @param {{}} requestObj
+     */
+    constructor(requestObj) {
+        super(requestObj);
+    }
+
+    /**
+     * Returns original request object.
+     * Does not work with Dialogflow testing.
+     * @return {*}
+     */
+    getOriginalRequest() {
+        return _.get(this, 'requestObj.originalDetectIntentRequest');
+    }
+
+    /**
+     * Returns the Actions on Google request of the original request
+     * @return {*}
+     */
+    getOriginalRequestData() {
+        return _.get(this.getOriginalRequest(), 'payload');
+    }
+
+    /**
+     * Returns the session path
+     * (projects/<project id>/agent/sessions/<session id>)
+     * @return {string}
+     */
+    getSession() {
+        return this.requestObj.session;
+    }
+
+    /**
+     * Returns intent name
+     * @return {string}
+     */
+    getIntentName() {
+        return this.requestObj.queryResult.intent.displayName;
+    }
+
+    /**
+     * Returns users' locale
+     * @return {String} locale
+     */
+    getLocale() {
+        return _.get(this.getOriginalRequestData(), 'user.locale') ||
+            _.get(this.requestObj, 'queryResult.languageCode') ||
+            super.getLocale();
+    }
+
+    /**
+     * Returns resolved query
+     * @return {string}
+     */
+    getResolvedQuery() {
+        return this.requestObj.queryResult.queryText;
+    }
+
+    /**
+     * Returns true if required parameters are missing,
+     * undefined if the request doesn't tell
+     * @return {boolean|undefined}
+     */
+    isActionIncomplete() {
+        let allRequiredParamsPresent = _.get(this.requestObj, 'queryResult.allRequiredParamsPresent');
+        if (typeof allRequiredParamsPresent === 'boolean') {
+            return !allRequiredParamsPresent;
+        }
+    }
+
+    /**
+     * Returns the speech Dialogflow has prepared for the intent
+     * (e.g. the prompt for a missing parameter)
+     * @return {string}
+     */
+    getFulfillmentSpeech() {
+        let fulfillmentText = _.get(this.requestObj, 'queryResult.fulfillmentText');
+        if (fulfillmentText) {
+            return fulfillmentText;
+        }
+        let textMessage = _.find(_.get(this.requestObj, 'queryResult.fulfillmentMessages'), 'text');
+        return _.get(textMessage, 'text.text[0]', '');
+    }
+
+    /**
+     * Returns intent parameters
+     * @return {*}
+     */
+    getParameters() {
+        return this.requestObj.queryResult.parameters || {};
+    }
+
+    /**
+     * Returns the output contexts. Their names are the full paths
+     * (<session>/contexts/<name>).
+     * @return {*}
+     */
+    getContexts() {
+        return this.requestObj.queryResult.outputContexts || [];
+    }
+
+    /**
+     * Returns contextout object by (short) name
+     * @param {string} name
+     * @return {*}
+     */
+    getContextOut(name) {
+        return _.find(this.getContexts(), (context) => {
+            return getContextName(context.name) === name;
+        }) || {};
+    }
+}
+
+/**
+ * Returns the short name of a context (last part of the context path)
+ * @param {string} path
+ * @return {string}
+ */
+function getContextName(path) {
+    return _.last(_.split(path, '/contexts/'));
+}
+
+module.exports.DialogflowV2Request = DialogflowV2Request;
+module.exports.getContextName = getContextName;
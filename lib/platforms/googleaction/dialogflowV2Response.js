@@ -0,0 +1,104 @@
+'use strict';
+
+const _ = require('lodash');
+
+const GoogleActionResponse = require('./googleActionResponse').GoogleActionResponse;
+const getContextName = require('./dialogflowV2Request').getContextName;
+
+/**
+ * DialogflowV2Response Class
+ * Response of the Dialogflow V2 webhook format
+ * (fulfillmentText, payload.google, outputContexts)
+ */
+class DialogflowV2Response extends GoogleActionResponse {
+    /**
+     * Constructor
+     * @param {*=} responseObj
+     */
+    constructor(responseObj) {
+        super(responseObj || {
+            fulfillmentText: '<speak></speak>',
+            payload: {
+                google: {
+                    expectUserResponse: true,
+                    richResponse: {
+                        items: [],
+                    },
+                },
+            },
+            outputContexts: [],
+        });
+    }
+
+    /**
+     * Sets the session path, which output contexts are added to
+     * @param {string} session
+     * @return {DialogflowV2Response}
+     */
+    setSession(session) {
+        this.session = session;
+        return this;
+    }
+
+    /**
+     * Returns the Actions on Google part of the response
+     * @return {object}
+     */
+    getGooglePayload() {
+        return _.get(this.responseObj, 'payload.google');
+    }
+
+    /**
+     * Sets the speech of the Dialogflow fulfillment
+     * @param {string} speech
+     */
+    setFulfillmentSpeech(speech) {
+        this.responseObj.fulfillmentText = speech;
+    }
+
+    /**
+     * Returns the speech of the Dialogflow fulfillment
+     * @return {string}
+     */
+    getFulfillmentSpeech() {
+        return this.responseObj.fulfillmentText;
+    }
+
+    /**
+     * Returns an output context by the given (short) name
+     * @param {string} name
+     * @return {*}
+     */
+    getContextOut(name) {
+        return _.find(this.responseObj.outputContexts, (context) => {
+            return getContextName(context.name) === name;
+        }) || {};
+    }
+
+    /**
+     * Sets the output contexts
+     * @param {array} contexts
+     */
+    setContextOut(contexts) {
+        this.responseObj.outputContexts = contexts;
+    }
+
+    /**
+     * Adds context to the output contexts.
+     * Short names are prefixed with the session path,
+     * a lifespan is set as lifespanCount.
+     * @param {object} context
+     */
+    addContextOutObject(context) {
+        let outputContext = _.omit(context, 'lifespan');
+        if (context.name.indexOf('/contexts/') === -1) {
+            outputContext.name = this.session + '/contexts/' + context.name;
+        }
+        if (typeof context.lifespan !== 'undefined') {
+            outputContext.lifespanCount = context.lifespan;
+        }
+        this.responseObj.outputContexts.push(outputContext);
+    }
+}
+
+module.exports.DialogflowV2Response = DialogflowV2Response;
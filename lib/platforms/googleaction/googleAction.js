@@ -9,13 +9,30 @@ const BasicCard = require('./googleActionResponse').BasicCard;
 const Carousel = require('./googleActionResponse').Carousel;
 const List = require('./googleActionResponse').List;
 const OptionItem = require('./googleActionResponse').OptionItem;
+const Table = require('./googleActionResponse').Table;
+const BrowsingCarousel = require('./googleActionResponse').BrowsingCarousel;
+const BrowsingCarouselItem = require('./googleActionResponse').BrowsingCarouselItem;
+const MediaResponse = require('./googleActionResponse').MediaResponse;
+const MediaObject = require('./googleActionResponse').MediaObject;
+const PERMISSIONS_ENUM = require('./googleActionResponse').PERMISSIONS_ENUM;
+const GoogleActionAudioPlayer = require('./googleActionAudioPlayer').GoogleActionAudioPlayer;
 const GoogleActionSpeechBuilder = require('./googleActionSpeechBuilder').GoogleActionSpeechBuilder;
 const GoogleActionUser = require('./googleActionUser').GoogleActionUser;
+const GoogleVerifier = require('../../verification/googleVerifier').GoogleVerifier;
 
 
 const CardBuilder = GoogleActionResponse.CardBuilder;
 
 const Platform = require('./../plaform').Platform;
+const registerPlatform = require('./../plaform').registerPlatform;
+
+// helper intents and the request types of their results
+const HELPER_INTENTS = {
+    'actions.intent.PERMISSION': 'ON_PERMISSION',
+    'actions.intent.CONFIRMATION': 'ON_CONFIRMATION',
+    'actions.intent.DATETIME': 'ON_DATETIME',
+    'actions.intent.PLACE': 'ON_PLACE',
+};
 
 /**
  * Class GoogleAction (GoogleHome + GoogleAssistant)
@@ -31,23 +48,43 @@ class GoogleAction extends Platform {
     constructor(jovo, request) {
         super();
         this.jovo = jovo;
-        this.request = new GoogleActionRequest(request);
-        this.response = new GoogleActionResponse();
+        this.request = this.createRequest(request);
+        this.response = this.createResponse();
 
         this.response.setContextOut(this.request.getContexts());
     }
 
+    /**
+     * Creates the request object of the webhook format
+     * @param {object} request
+     * @return {GoogleActionRequest}
+     */
+    createRequest(request) {
+        return new GoogleActionRequest(request);
+    }
+
+    /**
+     * Replaces the response with an empty one
+     * @public
+     */
+    resetResponse() {
+        this.response = this.createResponse();
+        this.response.setContextOut(this.request.getContexts());
+    }
+
     /** **
      * Request getter
      */
 
     /**
-     * Returns application ID  of the request
-     * NO APPLICATION ID FROM GOOGLE REQUESTS
+     * Returns the project ID of the request (from the Dialogflow V2 session
+     * or the Google-Assistant-Signature header of webhook requests).
+     * Not verified, use the GoogleVerifier to authenticate requests.
      * @return {String} applicationId
      */
     getApplicationId() {
-        return '';
+        return GoogleVerifier.getProjectId(
+            this.request.getRequestObject(), this.jovo.requestHeaders) || '';
     }
 
     /**
@@ -66,30 +103,35 @@ class GoogleAction extends Platform {
      *
      ************************************/
 
-    /**
-     * Creates google action user instance
-     * @param {*} config
-     * @return {GoogleActionUser}
-     */
-    makeUser(config) {
-        return new GoogleActionUser(this, config);
-    }
-
     /**
      * Gets request type and maps to jovo request types
+     * actions.intent.CANCEL, final actions.intent.NO_INPUT => END
+     * actions.intent.NO_INPUT => NO_INPUT
      * GOOGLE_ASSISTANT_WELCOME => LAUNCH
      * else => INTENT
-     * TODO: any ideas how to get end request?
      * @public
      * @return {string}
      */
     getRequestType() {
+        if (this.request.isCancelIntent()) {
+            return jovo.REQUEST_TYPE_ENUM.END;
+        }
+        if (this.request.isNoInputIntent()) {
+            return this.request.isFinalReprompt() ?
+                jovo.REQUEST_TYPE_ENUM.END : jovo.REQUEST_TYPE_ENUM.NO_INPUT;
+        }
         if (this.request.isOptionsIntent()) {
             return jovo.REQUEST_TYPE_ENUM.ON_ELEMENT_SELECTED;
         }
         if (this.request.isSignInIntent()) {
             return jovo.REQUEST_TYPE_ENUM.ON_SIGN_IN;
         }
+        if (this.request.isMediaStatusIntent()) {
+            return jovo.REQUEST_TYPE_ENUM.AUDIOPLAYER;
+        }
+        if (HELPER_INTENTS[this.request.getInputIntent()]) {
+            return jovo.REQUEST_TYPE_ENUM[HELPER_INTENTS[this.request.getInputIntent()]];
+        }
         if (this.request.getResolvedQuery() === 'GOOGLE_ASSISTANT_WELCOME') {
             return jovo.REQUEST_TYPE_ENUM.LAUNCH;
         }
@@ -97,14 +139,29 @@ class GoogleAction extends Platform {
     }
 
     /**
-     * TODO: possible with GoogleAction?
      * Returns reason when a session ended.
-     * Does not work with GoogleAction?
+     *
+     * USER_INITIATED = User has cancelled the conversation
+     * EXCEEDED_MAX_REPROMPTS = No user input on the final reprompt
      * @public
-     * @return {*}
+     * @return {string|undefined}
      */
     getEndReason() {
-        return 'DUMMY';
+        if (this.request.isCancelIntent()) {
+            return 'USER_INITIATED';
+        }
+        if (this.request.isNoInputIntent() && this.request.isFinalReprompt()) {
+            return 'EXCEEDED_MAX_REPROMPTS';
+        }
+    }
+
+    /**
+     * Returns how often the user hasn't responded in a row (NO_INPUT)
+     * @public
+     * @return {number}
+     */
+    getRepromptCount() {
+        return this.request.getRepromptCount();
     }
 
     /**
@@ -117,16 +174,34 @@ class GoogleAction extends Platform {
     /**
      * Returns intent parameters filled by the user.
      * "My name is {John Doe} and I live in {New York}"
-     * Returns object with name => value objects
+     * Returns object with name => input objects
      * {
-     *   name : "John Doe",
-     *   city : "New York"
+     *   name : {value: "John Doe", ...},
+     *   city : {value: "New York", spokenValue: "NYC", ...}
      * }
+     * The spoken value is taken from the '.original' context parameters.
      * @public
      * @return {*}
      */
     getInputs() {
-        return this.request.getParameters();
+        let contexts = this.request.getContexts();
+
+        return _.mapValues(this.request.getParameters(), (value, name) => {
+            let context = _.find(contexts, (context) => {
+                return _.has(context, ['parameters', name + '.original']);
+            });
+            let spokenValue = _.get(context, ['parameters', name + '.original']);
+
+            return {
+                value: value,
+                canonicalValue: value,
+                id: undefined,
+                spokenValue: typeof spokenValue !== 'undefined' ? spokenValue : value,
+                // Dialogflow leaves parameters without a matching entity empty
+                isMatch: value !== '' && typeof value !== 'undefined',
+                confirmationStatus: undefined,
+            };
+        });
     }
 
     /**
@@ -139,15 +214,6 @@ class GoogleAction extends Platform {
         return this.getInputs()[name];
     }
 
-    /**
-     * Returns type of platform
-     * @public
-     * @return {string}
-     */
-    getType() {
-        return jovo.PLATFORM_ENUM.GOOGLE_ACTION;
-    }
-
     /**
      * Returns token of the request
      * (Touched/Selected Element )
@@ -165,6 +231,64 @@ class GoogleAction extends Platform {
         return this.request.getSignInStatus();
     }
 
+    /**
+     * Returns true if the user has granted the requested permissions
+     * @return {boolean}
+     */
+    isPermissionGranted() {
+        return this.request.isPermissionGranted();
+    }
+
+    /**
+     * Returns true if the user has confirmed
+     * @return {boolean}
+     */
+    isConfirmed() {
+        return this.request.isConfirmed();
+    }
+
+    /**
+     * Returns date and time the user has chosen
+     * @return {{date: object, time: object}|undefined}
+     */
+    getDateTime() {
+        return this.request.getDateTime();
+    }
+
+    /**
+     * Returns the place the user has chosen
+     * @return {{coordinates: object, formattedAddress: string, name: string}|undefined}
+     */
+    getPlace() {
+        return this.request.getPlace();
+    }
+
+    /**
+     * Returns the result of a helper intent, passed to its handler
+     * ON_PERMISSION: {granted, name, coordinates, location}
+     * ON_CONFIRMATION: true if confirmed
+     * ON_DATETIME: {date, time}
+     * ON_PLACE: {coordinates, formattedAddress, name, placeId}
+     * @return {*}
+     */
+    getHelperResult() {
+        switch (this.getRequestType()) {
+            case jovo.REQUEST_TYPE_ENUM.ON_PERMISSION:
+                return {
+                    granted: this.isPermissionGranted(),
+                    name: _.get(this.request.getUserObject(), 'profile'),
+                    coordinates: _.get(this.request.getDeviceObject(), 'location.coordinates'),
+                    location: _.get(this.request.getDeviceObject(), 'location'),
+                };
+            case jovo.REQUEST_TYPE_ENUM.ON_CONFIRMATION:
+                return this.isConfirmed();
+            case jovo.REQUEST_TYPE_ENUM.ON_DATETIME:
+                return this.getDateTime();
+            case jovo.REQUEST_TYPE_ENUM.ON_PLACE:
+                return this.getPlace();
+        }
+    }
+
     /**
      * Returns state value stored in the request session
      * @public
@@ -273,7 +397,7 @@ class GoogleAction extends Platform {
      * Keeps session open
      * @public
      * @param {string} speech
-     * @param {string} repromptSpeech
+     * @param {string|Array<string>} repromptSpeech one or more no input prompts
      */
     ask(speech, repromptSpeech) {
         this.response.ask(speech, repromptSpeech);
@@ -387,6 +511,110 @@ class GoogleAction extends Platform {
         return this;
     }
 
+    /**
+     * Adds table card element to response
+     * Works only with SCREEN_OUTPUT devices
+     * @param {Table} table
+     * @return {GoogleAction}
+     */
+    showTable(table) {
+        if (this.hasScreenInterface()) {
+            this.response.addTable(table);
+        }
+        return this;
+    }
+
+    /**
+     * Adds browsing carousel element to response
+     * Works only with SCREEN_OUTPUT devices
+     * @param {BrowsingCarousel} browsingCarousel
+     * @return {GoogleAction}
+     */
+    showBrowsingCarousel(browsingCarousel) {
+        if (this.hasScreenInterface()) {
+            this.response.addBrowsingCarousel(browsingCarousel);
+        }
+        return this;
+    }
+
+    /**
+     * Asks the user for permissions and responds.
+     * The result is passed to ON_PERMISSION.
+     * @public
+     * @param {string|Array<string>} permissions NAME, DEVICE_PRECISE_LOCATION
+     * or DEVICE_COARSE_LOCATION
+     * @param {string} optContext reason, e.g. 'To address you by name'
+     */
+    askForPermission(permissions, optContext) {
+        this.response.askForPermission(permissions, optContext);
+        this.jovo.respond();
+    }
+
+    /**
+     * Asks the user for a yes/no confirmation and responds.
+     * The result is passed to ON_CONFIRMATION.
+     * @public
+     * @param {string} requestConfirmationText
+     */
+    askForConfirmation(requestConfirmationText) {
+        this.response.askForConfirmation(requestConfirmationText);
+        this.jovo.respond();
+    }
+
+    /**
+     * Asks the user for date and time and responds.
+     * The result is passed to ON_DATETIME.
+     * @public
+     * @param {string} requestDatetimeText initial question
+     * @param {string=} requestDateText question for a missing date
+     * @param {string=} requestTimeText question for a missing time
+     */
+    askForDateTime(requestDatetimeText, requestDateText, requestTimeText) {
+        this.response.askForDateTime(requestDatetimeText, requestDateText, requestTimeText);
+        this.jovo.respond();
+    }
+
+    /**
+     * Asks the user for a place and responds.
+     * The result is passed to ON_PLACE.
+     * @public
+     * @param {string} requestPrompt e.g. 'Where do you want to go?'
+     * @param {string} permissionContext reason for the location permission
+     */
+    askForPlace(requestPrompt, permissionContext) {
+        this.response.askForPlace(requestPrompt, permissionContext);
+        this.jovo.respond();
+    }
+
+    /**
+     * Adds media response element to response
+     * Works only with MEDIA_RESPONSE_AUDIO devices
+     * @param {MediaResponse} mediaResponse
+     * @return {GoogleAction}
+     */
+    showMediaResponse(mediaResponse) {
+        if (this.hasMediaResponseInterface()) {
+            this.response.addMediaResponse(mediaResponse);
+        }
+        return this;
+    }
+
+    /**
+     * Returns true if the device can play media responses
+     * @return {boolean}
+     */
+    hasMediaResponseInterface() {
+        return this.request.hasMediaResponseInterface();
+    }
+
+    /**
+     * Returns Google Action audio player instance
+     * @return {GoogleActionAudioPlayer}
+     */
+    audioPlayer() {
+        return new GoogleActionAudioPlayer(this.jovo);
+    }
+
     /**
      * Returns Google Assistant CardBuilder instance
      * @public
@@ -396,22 +624,15 @@ class GoogleAction extends Platform {
         return new CardBuilder();
     }
 
-    /**
-     * Returns google action specific speechbuilder
-     * @return {GoogleActionSpeechBuilder}
-     */
-    getSpeechBuilder() {
-        return new GoogleActionSpeechBuilder();
-    }
     /**
      * Returns state of dialog
      * @return {jovo.DIALOGSTATE_ENUM}
      */
     getDialogState() {
-        if (this.request.result.actionIncomplete === true) {
+        if (this.request.isActionIncomplete() === true) {
             return jovo.DIALOGSTATE_ENUM.IN_PROGRESS;
         }
-        if (this.request.result.actionIncomplete === false) {
+        if (this.request.isActionIncomplete() === false) {
             return jovo.DIALOGSTATE_ENUM.DONE;
         }
     }
@@ -420,8 +641,8 @@ class GoogleAction extends Platform {
      * Continues dialog.
      */
     continueDialog() {
-        this.ask(this.request.result.fulfillment.speech,
-            this.request.result.fulfillment.speech);
+        this.ask(this.request.getFulfillmentSpeech(),
+            this.request.getFulfillmentSpeech());
     }
 
     /**
@@ -435,10 +656,26 @@ class GoogleAction extends Platform {
 }
 
 
+registerPlatform({
+    name: 'GOOGLE_ACTION',
+    type: 'GoogleAction',
+    platform: GoogleAction,
+    isPlatformRequest: (request) => _.has(request, 'result'),
+    user: GoogleActionUser,
+    speechBuilder: GoogleActionSpeechBuilder,
+    response: GoogleActionResponse,
+});
+
 module.exports.GoogleAction = GoogleAction;
 module.exports.GoogleAction.BasicCard = BasicCard;
 module.exports.GoogleAction.Carousel = Carousel;
 module.exports.GoogleAction.List = List;
+module.exports.GoogleAction.Table = Table;
+module.exports.GoogleAction.BrowsingCarousel = BrowsingCarousel;
+module.exports.GoogleAction.BrowsingCarouselItem = BrowsingCarouselItem;
+module.exports.GoogleAction.MediaResponse = MediaResponse;
+module.exports.GoogleAction.MediaObject = MediaObject;
 
 module.exports.GoogleAction.OptionItem = OptionItem;
 module.exports.GoogleAction.GoogleActionSpeechBuilder = GoogleActionSpeechBuilder;
+module.exports.GoogleAction.PERMISSIONS_ENUM = PERMISSIONS_ENUM;
@@ -0,0 +1,68 @@
+'use strict';
+
+const _ = require('lodash');
+
+const MediaResponse = require('./googleActionResponse').MediaResponse;
+const MediaObject = require('./googleActionResponse').MediaObject;
+
+/**
+ * Class GoogleActionAudioPlayer
+ * Plays long-form audio with media responses.
+ * Status updates (actions.intent.MEDIA_STATUS) are passed
+ * to the AUDIOPLAYER handler, e.g. 'GoogleAction.Finished'
+ */
+class GoogleActionAudioPlayer {
+
+    /**
+     * Constructor
+     * @param {Jovo} jovo
+     */
+    constructor(jovo) {
+        this.jovo = jovo;
+        this.status = jovo.googleAction().getRequest().getMediaStatus();
+
+        if (this.status) {
+            this.type = 'GoogleAction.' + _.upperFirst(_.toLower(this.status));
+        }
+    }
+
+    /**
+     * Returns type of audioplayer request
+     * @return {string}
+     */
+    getType() {
+        return this.type;
+    }
+
+    /**
+     * Returns status of the media response, e.g. FINISHED
+     * @return {string}
+     */
+    getStatus() {
+        return this.status;
+    }
+
+    /**
+     * Adds a media response with one audio file.
+     * Works only with MEDIA_RESPONSE_AUDIO devices.
+     * Respond with tell or ask (with suggestion chips) afterwards.
+     * @param {string} url https url of the audio file
+     * @param {string} name
+     * @param {string=} description
+     * @return {Jovo}
+     */
+    play(url, name, description) {
+        let mediaObject = new MediaObject()
+            .setContentUrl(url)
+            .setName(name);
+
+        if (description) {
+            mediaObject.setDescription(description);
+        }
+        this.jovo.googleAction().showMediaResponse(
+            new MediaResponse().addMediaObject(mediaObject));
+        return this.jovo;
+    }
+}
+
+module.exports.GoogleActionAudioPlayer = GoogleActionAudioPlayer;
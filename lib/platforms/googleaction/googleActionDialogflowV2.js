@@ -0,0 +1,58 @@
+'use strict';
+
+const _ = require('lodash');
+
+const GoogleAction = require('./googleAction').GoogleAction;
+const DialogflowV2Request = require('./dialogflowV2Request').DialogflowV2Request;
+const DialogflowV2Response = require('./dialogflowV2Response').DialogflowV2Response;
+const GoogleActionSpeechBuilder = require('./googleActionSpeechBuilder').GoogleActionSpeechBuilder;
+const GoogleActionUser = require('./googleActionUser').GoogleActionUser;
+
+const registerPlatform = require('./../plaform').registerPlatform;
+
+/**
+ * Class GoogleActionDialogflowV2
+ * Google Action with the Dialogflow V2 webhook format.
+ * Handlers, session attributes, cards and lists work like with API.AI V1.
+ */
+class GoogleActionDialogflowV2 extends GoogleAction {
+
+    /**
+     * Constructor
+     * @public
+     * @param {Jovo} jovo
+     * @param {object} request
+     */
+    constructor(jovo, request) {
+        super(jovo, request);
+    }
+
+    /**
+     * Creates the request object of the webhook format
+     * @param {object} request
+     * @return {DialogflowV2Request}
+     */
+    createRequest(request) {
+        return new DialogflowV2Request(request);
+    }
+
+    /**
+     * Creates an empty response for the session of the request
+     * @return {DialogflowV2Response}
+     */
+    createResponse() {
+        return super.createResponse().setSession(this.request.getSession());
+    }
+}
+
+registerPlatform({
+    name: 'GOOGLE_ACTION',
+    type: 'GoogleAction',
+    platform: GoogleActionDialogflowV2,
+    isPlatformRequest: (request) => _.has(request, 'queryResult'),
+    user: GoogleActionUser,
+    speechBuilder: GoogleActionSpeechBuilder,
+    response: DialogflowV2Response,
+});
+
+module.exports.GoogleActionDialogflowV2 = GoogleActionDialogflowV2;
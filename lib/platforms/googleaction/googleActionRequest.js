@@ -22,10 +22,10 @@ class GoogleActionRequest {
      * @return {string} UserId
      */
     getUserId() {
-        if (!this.getOriginalRequest()) {
+        if (!this.getOriginalRequestData()) {
             return 'API.AI Debugging';
         }
-        return this.getOriginalRequest().data.user.userId;
+        return this.getOriginalRequestData().user.userId;
     }
 
     /**
@@ -37,6 +37,14 @@ class GoogleActionRequest {
         return _.get(this, 'requestObj.originalRequest');
     }
 
+    /**
+     * Returns the Actions on Google request of the original request
+     * @return {*}
+     */
+    getOriginalRequestData() {
+        return _.get(this.getOriginalRequest(), 'data');
+    }
+
     /**
      * Returns intent name
      * @return {string}
@@ -52,7 +60,7 @@ class GoogleActionRequest {
     getUserObject() {
         const defaultValue = {}; // API.AI Debugging
 
-        return _.get(this.getOriginalRequest(), 'data.user', defaultValue);
+        return _.get(this.getOriginalRequestData(), 'user', defaultValue);
     }
 
     /**
@@ -62,7 +70,7 @@ class GoogleActionRequest {
     getUserProfile() {
         const defaultValue = {}; // API.AI Debugging
 
-        return _.get(this.getOriginalRequest(), 'data.user.profile', defaultValue);
+        return _.get(this.getOriginalRequestData(), 'user.profile', defaultValue);
     }
 
     /**
@@ -72,7 +80,15 @@ class GoogleActionRequest {
     getAccessToken() {
         const defaultValue = ''; // API.AI Debugging
 
-        return _.get(this.getOriginalRequest(), 'data.user.accessToken', defaultValue);
+        return _.get(this.getOriginalRequestData(), 'user.accessToken', defaultValue);
+    }
+
+    /**
+     * Returns the user storage (JSON string) saved in previous responses
+     * @return {string|undefined} userStorage
+     */
+    getUserStorage() {
+        return _.get(this.getOriginalRequestData(), 'user.userStorage');
     }
 
     /**
@@ -82,7 +98,7 @@ class GoogleActionRequest {
     getGrantedPermissions() {
         const defaultValue = []; // API.AI Debugging
 
-        return _.get(this.getOriginalRequest(), 'data.user.permissions', defaultValue);
+        return _.get(this.getOriginalRequestData(), 'user.permissions', defaultValue);
     }
 
     /**
@@ -90,7 +106,7 @@ class GoogleActionRequest {
      * @return {String} locale
      */
     getLocale() {
-        return _.get(this.getOriginalRequest(), 'data.user.locale', DEFAULT_LOCALE);
+        return _.get(this.getOriginalRequestData(), 'user.locale', DEFAULT_LOCALE);
     }
 
     /**
@@ -100,7 +116,7 @@ class GoogleActionRequest {
     getDeviceObject() {
         const defaultValue = {}; // API.AI Debugging
 
-        return _.get(this.getOriginalRequest(), 'data.device', defaultValue);
+        return _.get(this.getOriginalRequestData(), 'device', defaultValue);
     }
 
     /**
@@ -170,7 +186,7 @@ class GoogleActionRequest {
     getDeviceCapabilities() {
         const defaultValue = []; // API.AI Debugging
 
-        return _.get(this.getOriginalRequest(), 'data.surface.capabilities', defaultValue);
+        return _.get(this.getOriginalRequestData(), 'surface.capabilities', defaultValue);
     }
 
     /**
@@ -180,7 +196,7 @@ class GoogleActionRequest {
     getConversation() {
         const defaultValue = {}; // API.AI Debugging
 
-        return _.get(this.getOriginalRequest(), 'data.conversation', defaultValue);
+        return _.get(this.getOriginalRequestData(), 'conversation', defaultValue);
     }
 
     /**
@@ -189,10 +205,10 @@ class GoogleActionRequest {
      */
     isNewSession() {
         // API.AI Debugging doesn't have an original request
-        if (!this.getOriginalRequest()) {
+        if (!this.getOriginalRequestData()) {
             return true;
         }
-        return this.getOriginalRequest().data.conversation.type === 'NEW';
+        return this.getOriginalRequestData().conversation.type === 'NEW';
     }
 
     /**
@@ -225,6 +241,21 @@ class GoogleActionRequest {
         return false;
     }
 
+    /**
+     * Returns media response capability of request device
+     * @return {boolean}
+     */
+    hasMediaResponseInterface() {
+        let capabilities = this.getDeviceCapabilities();
+
+        for (let obj of capabilities) {
+            if (obj.name === 'actions.capability.MEDIA_RESPONSE_AUDIO') {
+                return true;
+            }
+        }
+        return false;
+    }
+
     /**
      * Returns platform's timestamp
      * @return {String} timestamp
@@ -241,6 +272,24 @@ class GoogleActionRequest {
         return this.requestObj.result.resolvedQuery;
     }
 
+    /**
+     * Returns true if required parameters are missing,
+     * undefined if the request doesn't tell
+     * @return {boolean|undefined}
+     */
+    isActionIncomplete() {
+        return _.get(this.requestObj, 'result.actionIncomplete');
+    }
+
+    /**
+     * Returns the speech Dialogflow has prepared for the intent
+     * (e.g. the prompt for a missing parameter)
+     * @return {string}
+     */
+    getFulfillmentSpeech() {
+        return _.get(this.requestObj, 'result.fulfillment.speech');
+    }
+
     /**
      * Returns intent parameters
      * @return {*}
@@ -262,7 +311,7 @@ class GoogleActionRequest {
      * @return {string}
      */
     getRawInputType() {
-       return _.get(this.getOriginalRequest(), 'data.inputs[0].rawInputs[0].inputType');
+       return _.get(this.getOriginalRequestData(), 'inputs[0].rawInputs[0].inputType');
     }
 
     /**
@@ -273,12 +322,115 @@ class GoogleActionRequest {
         return this.getRawInputType() === 'TOUCH';
     }
 
+    /**
+     * Returns the Actions on Google intent of the first input
+     * (e.g. actions.intent.MAIN, actions.intent.CANCEL)
+     * @return {string}
+     */
+    getInputIntent() {
+        return _.get(this.getOriginalRequestData(), 'inputs[0].intent');
+    }
+
+    /**
+     * Returns argument of the first input by name
+     * @param {string} name
+     * @return {object|undefined}
+     */
+    getArgument(name) {
+        return _.find(_.get(this.getOriginalRequestData(), 'inputs[0].arguments'), {name: name});
+    }
+
+    /**
+     * Returns true if the user has ended the conversation
+     * @return {boolean}
+     */
+    isCancelIntent() {
+        return this.getInputIntent() === 'actions.intent.CANCEL';
+    }
+
+    /**
+     * Returns true if the user hasn't responded
+     * @return {boolean}
+     */
+    isNoInputIntent() {
+        return this.getInputIntent() === 'actions.intent.NO_INPUT';
+    }
+
+    /**
+     * Returns how often the user hasn't responded in a row
+     * @return {number}
+     */
+    getRepromptCount() {
+        return _.get(this.getArgument('REPROMPT_COUNT'), 'intValue', 0);
+    }
+
+    /**
+     * Returns true if the conversation ends after this reprompt
+     * @return {boolean}
+     */
+    isFinalReprompt() {
+        return _.get(this.getArgument('IS_FINAL_REPROMPT'), 'boolValue') === true;
+    }
+
+    /**
+     * Returns true if the user has granted the requested permissions
+     * (actions.intent.PERMISSION)
+     * @return {boolean}
+     */
+    isPermissionGranted() {
+        let argument = this.getArgument('PERMISSION');
+        return _.get(argument, 'boolValue') === true || _.get(argument, 'textValue') === 'true';
+    }
+
+    /**
+     * Returns true if the user has confirmed (actions.intent.CONFIRMATION)
+     * @return {boolean}
+     */
+    isConfirmed() {
+        return _.get(this.getArgument('CONFIRMATION'), 'boolValue') === true;
+    }
+
+    /**
+     * Returns date and time the user has chosen (actions.intent.DATETIME)
+     * @return {{date: {year: number, month: number, day: number},
+     * time: {hours: number, minutes: number}}|undefined}
+     */
+    getDateTime() {
+        return _.get(this.getArgument('DATETIME'), 'datetimeValue');
+    }
+
+    /**
+     * Returns the place the user has chosen (actions.intent.PLACE)
+     * @return {{coordinates: {latitude: number, longitude: number},
+     * formattedAddress: string, name: string, placeId: string}|undefined}
+     */
+    getPlace() {
+        return _.get(this.getArgument('PLACE'), 'placeValue');
+    }
+
+    /**
+     * Returns true if request is a status update of a media response
+     * (actions.intent.MEDIA_STATUS)
+     * @return {boolean}
+     */
+    isMediaStatusIntent() {
+        return this.getInputIntent() === 'actions.intent.MEDIA_STATUS';
+    }
+
+    /**
+     * Returns status of the media response, e.g. FINISHED
+     * @return {string|undefined}
+     */
+    getMediaStatus() {
+        return _.get(this.getArgument('MEDIA_STATUS'), 'extension.status');
+    }
+
     /**
      * Returns true if request is an 'options' intent
      * @return {boolean}
      */
     isOptionsIntent() {
-        return _.get(this.getOriginalRequest(), 'data.inputs[0].intent') === 'actions.intent.OPTION';
+        return _.get(this.getOriginalRequestData(), 'inputs[0].intent') === 'actions.intent.OPTION';
     }
 
     /**
@@ -286,7 +438,7 @@ class GoogleActionRequest {
      * @return {boolean}
      */
     isSignInIntent() {
-        return _.get(this.getOriginalRequest(), 'data.inputs[0].intent') === 'actions.intent.SIGN_IN';
+        return _.get(this.getOriginalRequestData(), 'inputs[0].intent') === 'actions.intent.SIGN_IN';
     }
 
     /**
@@ -294,7 +446,7 @@ class GoogleActionRequest {
      * @return {null|string}
      */
     getSignInStatus() {
-        for (let argument of this.getOriginalRequest().data.inputs[0]['arguments']) {
+        for (let argument of this.getOriginalRequestData().inputs[0]['arguments']) {
             if (argument.name === 'SIGN_IN') {
                return argument.extension.status;
             }
@@ -306,7 +458,7 @@ class GoogleActionRequest {
      * @return {string}
      */
     getTouchInputValue() {
-        return _.get(this.getOriginalRequest(), 'data.inputs[0].arguments[0].rawText');
+        return _.get(this.getOriginalRequestData(), 'inputs[0].arguments[0].rawText');
     }
 
     /**
@@ -314,10 +466,10 @@ class GoogleActionRequest {
      * @return {*}
      */
     getSelectedOptionItem() {
-        if (_.get(this.getOriginalRequest(), 'data.inputs[0].arguments[0].name') !== 'OPTION') {
+        if (_.get(this.getOriginalRequestData(), 'inputs[0].arguments[0].name') !== 'OPTION') {
             return;
         }
-        return _.get(this.getOriginalRequest(), 'data.inputs[0].arguments[0].textValue');
+        return _.get(this.getOriginalRequestData(), 'inputs[0].arguments[0].textValue');
     }
     /**
      * Returns contextout object by name
@@ -325,12 +477,7 @@ class GoogleActionRequest {
      * @return {*}
      */
     getContextOut(name) {
-        for (let i = 0; i < this.requestObj.result.contexts.length; i++) {
-            if (this.requestObj.result.contexts[i].name === name) {
-                return this.requestObj.result.contexts[i];
-            }
-        }
-        return {};
+        return _.find(this.getContexts(), {name: name}) || {};
     }
 
     /**
@@ -8,6 +8,8 @@ const PERMISSIONS_ENUM = Object.freeze({
     DEVICE_PRECISE_LOCATION: 'DEVICE_PRECISE_LOCATION',
 });
 
+const VALUE_SPEC_TYPE_PREFIX = 'type.googleapis.com/google.actions.v2.';
+
 /**
  * AlexaResponse Class
  */
@@ -34,18 +36,37 @@ class GoogleActionResponse {
         }
     }
 
+    /**
+     * Returns the Actions on Google part of the response
+     * @return {object}
+     */
+    getGooglePayload() {
+        return _.get(this.responseObj, 'data.google');
+    }
+
+    /**
+     * Sets the speech of the Dialogflow fulfillment
+     * @param {string} speech
+     */
+    setFulfillmentSpeech(speech) {
+        this.responseObj.speech = speech;
+    }
+
+    /**
+     * Returns the speech of the Dialogflow fulfillment
+     * @return {string}
+     */
+    getFulfillmentSpeech() {
+        return this.responseObj.speech;
+    }
+
     /**
      * Returns a contextOut object by the given name
      * @param {string} name
      * @return {*}
      */
     getContextOut(name) {
-        for (let i = 0; i < this.responseObj.contextOut.length; i++) {
-            if (this.responseObj.contextOut[i].name === name) {
-                return this.responseObj.contextOut[i];
-            }
-        }
-        return {};
+        return _.find(this.responseObj.contextOut, {name: name}) || {};
     }
 
 
@@ -92,12 +113,30 @@ class GoogleActionResponse {
         return context.parameters[parameterName];
     }
 
+    /**
+     * Sets the user storage, which is sent with the next requests of the user
+     * @param {string} userStorage
+     * @return {GoogleActionResponse}
+     */
+    setUserStorage(userStorage) {
+        this.getGooglePayload().userStorage = userStorage;
+        return this;
+    }
+
+    /**
+     * Returns the user storage of the response
+     * @return {string|undefined}
+     */
+    getUserStorage() {
+        return this.getGooglePayload().userStorage;
+    }
+
     /**
      * Returns permissions to ask to the user
      * @return {*}
      */
     getPermissions() {
-        return _.get(this, 'responseObj.data.google.permissions_request.permissions', []);
+        return _.get(this.getGooglePayload(), 'permissions_request.permissions', []);
     }
 
     /**
@@ -124,6 +163,75 @@ class GoogleActionResponse {
         return setPermissionToResponse.call(this, PERMISSIONS_ENUM.DEVICE_PRECISE_LOCATION);
     }
 
+    /**
+     * Asks the user for permissions (actions.intent.PERMISSION)
+     * @param {Array<string>} permissions see PERMISSIONS_ENUM
+     * @param {string} optContext reason, e.g. 'To address you by name'
+     * @return {GoogleActionResponse}
+     */
+    askForPermission(permissions, optContext) {
+        return setHelperIntent.call(this, 'PERMISSION', 'PermissionValueSpec', {
+            optContext: optContext,
+            permissions: _.castArray(permissions),
+        });
+    }
+
+    /**
+     * Asks the user for a yes/no confirmation (actions.intent.CONFIRMATION)
+     * @param {string} requestConfirmationText
+     * @return {GoogleActionResponse}
+     */
+    askForConfirmation(requestConfirmationText) {
+        return setHelperIntent.call(this, 'CONFIRMATION', 'ConfirmationValueSpec', {
+            dialogSpec: {
+                requestConfirmationText: requestConfirmationText,
+            },
+        });
+    }
+
+    /**
+     * Asks the user for date and time (actions.intent.DATETIME)
+     * @param {string} requestDatetimeText initial question
+     * @param {string=} requestDateText question for a missing date
+     * @param {string=} requestTimeText question for a missing time
+     * @return {GoogleActionResponse}
+     */
+    askForDateTime(requestDatetimeText, requestDateText, requestTimeText) {
+        return setHelperIntent.call(this, 'DATETIME', 'DateTimeValueSpec', {
+            dialogSpec: _.omitBy({
+                requestDatetimeText: requestDatetimeText,
+                requestDateText: requestDateText,
+                requestTimeText: requestTimeText,
+            }, _.isUndefined),
+        });
+    }
+
+    /**
+     * Asks the user for a place or an address (actions.intent.PLACE)
+     * @param {string} requestPrompt e.g. 'Where do you want to go?'
+     * @param {string} permissionContext reason for the location permission
+     * @return {GoogleActionResponse}
+     */
+    askForPlace(requestPrompt, permissionContext) {
+        return setHelperIntent.call(this, 'PLACE', 'PlaceValueSpec', {
+            dialogSpec: {
+                extension: {
+                    '@type': VALUE_SPEC_TYPE_PREFIX + 'PlaceValueSpec.PlaceDialogSpec',
+                    'requestPrompt': requestPrompt,
+                    'permissionContext': permissionContext,
+                },
+            },
+        });
+    }
+
+    /**
+     * Returns the helper intent the response asks for
+     * @return {string|undefined} e.g. actions.intent.PERMISSION
+     */
+    getHelperIntent() {
+        return _.get(this.getGooglePayload(), 'systemIntent.intent');
+    }
+
     /**
      *
      * Speaks and closes session
@@ -132,9 +240,9 @@ class GoogleActionResponse {
      * @return {GoogleActionResponse}
      */
     tell(speech) {
-        this.responseObj.speech = speech;
-        this.responseObj.data.google.expectUserResponse = false;
-        this.responseObj.data.google.richResponse.items.unshift(
+        this.setFulfillmentSpeech(speech);
+        this.getGooglePayload().expectUserResponse = false;
+        this.getGooglePayload().richResponse.items.unshift(
             {
                 simpleResponse: {
                     ssml: speech,
@@ -149,24 +257,24 @@ class GoogleActionResponse {
      * Keeps session open
      * JOVO function
      * @param {string} speech
-     * @param {string} repromptSpeech
+     * @param {string|Array<string>} repromptSpeech one or more no input prompts
      * @return {GoogleActionResponse}
      */
     ask(speech, repromptSpeech) {
-        this.responseObj.speech = speech;
-        this.responseObj.data.google.expectUserResponse = true;
-        this.responseObj.data.google.richResponse.items.unshift(
+        this.setFulfillmentSpeech(speech);
+        this.getGooglePayload().expectUserResponse = true;
+        this.getGooglePayload().richResponse.items.unshift(
             {
                 simpleResponse: {
                     ssml: speech,
                 },
             }
         );
-        this.responseObj.data.google.noInputPrompts = [
-            {
-                ssml: repromptSpeech,
-            },
-        ];
+        this.getGooglePayload().noInputPrompts = _.castArray(repromptSpeech).map((ssml) => {
+            return {
+                ssml: ssml,
+            };
+        });
         return this;
     }
 
@@ -188,11 +296,9 @@ class GoogleActionResponse {
      * @return {string}
      */
     getSpeechText() {
-        if (this.responseObj.data.google.richResponse.items[0]
-                .simpleResponse.ssml) {
-            return removeSpeakTags(this.responseObj.data
-                .google.richResponse.items[0]
-                .simpleResponse.ssml);
+        let ssml = _.get(this.getGooglePayload(), 'richResponse.items[0].simpleResponse.ssml');
+        if (ssml) {
+            return removeSpeakTags(ssml);
         }
         return '';
     }
@@ -206,7 +312,7 @@ class GoogleActionResponse {
      * @return {GoogleActionResponse} this
      */
     addBasicCard(title, formattedText) {
-        this.responseObj.data.google.richResponse.items.push(
+        this.getGooglePayload().richResponse.items.push(
             {
                 basicCard: new BasicCard()
                     .setTitle(title)
@@ -225,7 +331,7 @@ class GoogleActionResponse {
      * @return {GoogleActionResponse} this
      */
     addImageCard(title, formattedText, imageUrl, accessibilityText) {
-        this.responseObj.data.google.richResponse.items.push(
+        this.getGooglePayload().richResponse.items.push(
             new CardBuilder()
                 .createImageCard(
                     title,
@@ -243,10 +349,10 @@ class GoogleActionResponse {
      * @return {GoogleActionResponse} this
      */
     addAccountLinkingCard() {
-        const previousInputs = this.responseObj.data.google.expectedInputs || [];
+        const previousInputs = this.getGooglePayload().expectedInputs || [];
         previousInputs.push(getSignInInput());
 
-        this.responseObj.data.google.expectedInputs = previousInputs;
+        this.getGooglePayload().expectedInputs = previousInputs;
         return this;
     }
 
@@ -256,7 +362,7 @@ class GoogleActionResponse {
      * @return {GoogleActionResponse}
      */
     addRichResponseItem(item) {
-        this.responseObj.data.google.richResponse.items.push(
+        this.getGooglePayload().richResponse.items.push(
             item
         );
         return this;
@@ -269,9 +375,9 @@ class GoogleActionResponse {
      * @return {GoogleActionResponse}
      */
     addSuggestionChips(chips) {
-        _.set(this.responseObj, 'data.google.richResponse.suggestions', []);
+        _.set(this.getGooglePayload(), 'richResponse.suggestions', []);
         for (let chip of chips) {
-            this.responseObj.data.google.richResponse.suggestions.push({
+            this.getGooglePayload().richResponse.suggestions.push({
                 title: chip,
             });
         }
@@ -289,10 +395,45 @@ class GoogleActionResponse {
             destinationName: destinationName,
             url: url,
         };
-        _.set(this.responseObj, 'data.google.richResponse.linkOutSuggestion', linkOutSuggestion);
+        _.set(this.getGooglePayload(), 'richResponse.linkOutSuggestion', linkOutSuggestion);
         return this;
     }
 
+    /**
+     * Adds table card to rich response items
+     * @param {Table} table
+     * @return {GoogleActionResponse}
+     */
+    addTable(table) {
+        return this.addRichResponseItem({
+            tableCard: table,
+        });
+    }
+
+    /**
+     * Adds browsing carousel to rich response items.
+     * The items link out to web pages.
+     * @param {BrowsingCarousel} browsingCarousel
+     * @return {GoogleActionResponse}
+     */
+    addBrowsingCarousel(browsingCarousel) {
+        return this.addRichResponseItem({
+            carouselBrowse: browsingCarousel,
+        });
+    }
+
+    /**
+     * Adds media response to rich response items.
+     * Needs a simple response (tell/ask) and suggestion chips with ask.
+     * @param {MediaResponse} mediaResponse
+     * @return {GoogleActionResponse}
+     */
+    addMediaResponse(mediaResponse) {
+        return this.addRichResponseItem({
+            mediaResponse: mediaResponse,
+        });
+    }
+
     /**
      * Adds list to response
      * @param {Array<OptionItem>} list
@@ -307,7 +448,7 @@ class GoogleActionResponse {
             },
         };
 
-        _.set(this.responseObj, 'data.google.systemIntent', systemIntent);
+        _.set(this.getGooglePayload(), 'systemIntent', systemIntent);
         return this;
     }
 
@@ -325,10 +466,46 @@ class GoogleActionResponse {
             },
         };
 
-        _.set(this.responseObj, 'data.google.systemIntent', systemIntent);
+        _.set(this.getGooglePayload(), 'systemIntent', systemIntent);
+        return this;
+    }
+
+
+    /**
+     * Restores a response returned by getRepeatableResponse()
+     * @param {{speech: string, reprompt: *, card: *}} lastResponse
+     * @return {GoogleActionResponse}
+     */
+    setRepeatableResponse(lastResponse) {
+        this.ask(lastResponse.speech, lastResponse.reprompt);
+        if (lastResponse.card) {
+            this.addRichResponseItem({
+                basicCard: lastResponse.card,
+            });
+        }
         return this;
     }
 
+    /**
+     * Returns speech, reprompt and basic card of the response,
+     * if it keeps the session open. Used to repeat the response.
+     * @return {*} undefined if there is nothing to repeat
+     */
+    getRepeatableResponse() {
+        let google = this.getGooglePayload();
+        let speechItem = _.find(google.richResponse.items, 'simpleResponse');
+        if (google.expectUserResponse !== true || !speechItem) {
+            return;
+        }
+        let cardItem = _.find(google.richResponse.items, 'basicCard');
+        let reprompts = _.map(google.noInputPrompts, 'ssml');
+
+        return _.omitBy({
+            speech: speechItem.simpleResponse.ssml,
+            reprompt: reprompts.length > 1 ? reprompts : reprompts[0],
+            card: _.get(cardItem, 'basicCard'),
+        }, _.isUndefined);
+    }
 
     /**
      * Returns response object
@@ -345,15 +522,15 @@ class GoogleActionResponse {
      */
     isTell(speechText) {
         try {
-            if (this.responseObj.data.google.expectUserResponse !== false) {
+            if (this.getGooglePayload().expectUserResponse !== false) {
                 return false;
             }
 
             if (speechText) {
-                if ( this.responseObj.speech !== toSSML(speechText)) {
+                if ( this.getFulfillmentSpeech() !== toSSML(speechText)) {
                     return false;
                 }
-                if (this.responseObj.data.google.richResponse
+                if (this.getGooglePayload().richResponse
                         .items[0].simpleResponse.ssml !== toSSML(speechText)) {
                     return false;
                 }
@@ -368,27 +545,32 @@ class GoogleActionResponse {
     /**
      * Checks if response is an ask response.
      * @param {string} speechText
-     * @param {string} repromptText
+     * @param {string|Array<string>} repromptText all no input prompts, if it's an array
      * @return {boolean}
      */
     isAsk(speechText, repromptText) {
         try {
-            if (this.responseObj.data.google.expectUserResponse !== true) {
+            if (this.getGooglePayload().expectUserResponse !== true) {
                 return false;
             }
 
             if (speechText) {
-                if ( this.responseObj.speech !== toSSML(speechText) ) {
+                if ( this.getFulfillmentSpeech() !== toSSML(speechText) ) {
                     return false;
                 }
-                if (this.responseObj.data.google.richResponse
+                if (this.getGooglePayload().richResponse
                         .items[0].simpleResponse.ssml !==
                     toSSML(speechText)) {
                     return false;
                 }
             }
-            if (repromptText) {
-                if (this.responseObj.data.google.noInputPrompts[0]
+            if (_.isArray(repromptText)) {
+                let reprompts = _.map(this.getGooglePayload().noInputPrompts, 'ssml');
+                if (!_.isEqual(reprompts, repromptText.map(toSSML))) {
+                    return false;
+                }
+            } else if (repromptText) {
+                if (this.getGooglePayload().noInputPrompts[0]
                         .ssml !== toSSML(repromptText)) {
                     return false;
                 }
@@ -426,7 +608,7 @@ class GoogleActionResponse {
      */
     hasBasicCard(title, formattedText) {
         try {
-            let items = this.responseObj.data.google.richResponse.items;
+            let items = this.getGooglePayload().richResponse.items;
 
             let basicCards = items.filter(function(item) {
                 return item.basicCard;
@@ -466,7 +648,7 @@ class GoogleActionResponse {
             return false;
         }
         try {
-            let items = this.responseObj.data.google.richResponse.items;
+            let items = this.getGooglePayload().richResponse.items;
 
             let basicCards = items.filter(function(item) {
                 return item.basicCard;
@@ -515,6 +697,63 @@ class GoogleActionResponse {
         return true;
     }
 
+    /**
+     * Checks if response object contains a table card.
+     * @param {string=} title
+     * @param {number=} rowCount
+     * @return {boolean}
+     */
+    hasTable(title, rowCount) {
+        let item = _.find(this.getGooglePayload().richResponse.items, 'tableCard');
+
+        if (!item) {
+            return false;
+        }
+        if (title && item.tableCard.title !== title) {
+            return false;
+        }
+        if (rowCount && item.tableCard.rows.length !== rowCount) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Checks if response object contains a browsing carousel.
+     * With url, one of its items must link to that url.
+     * @param {string=} url
+     * @return {boolean}
+     */
+    hasBrowsingCarousel(url) {
+        let item = _.find(this.getGooglePayload().richResponse.items, 'carouselBrowse');
+
+        if (!item) {
+            return false;
+        }
+        if (url) {
+            return !!_.find(item.carouselBrowse.items, {openUrlAction: {url: url}});
+        }
+        return true;
+    }
+
+    /**
+     * Checks if response contains a media response.
+     * With contentUrl, one of its media objects must have that url.
+     * @param {string=} contentUrl
+     * @return {boolean}
+     */
+    hasMediaResponse(contentUrl) {
+        let item = _.find(this.getGooglePayload().richResponse.items, 'mediaResponse');
+
+        if (!item) {
+            return false;
+        }
+        if (contentUrl) {
+            return !!_.find(item.mediaResponse.mediaObjects, {contentUrl: contentUrl});
+        }
+        return true;
+    }
+
     /**
      * Checks if response has state
      * @param {string} state
@@ -636,7 +875,35 @@ function setPermissionToResponse(permission) {
     permissionArray.push(permission);
     permissionArray = _.uniq(permissionArray);
 
-    _.set(this, 'responseObj.data.google.permissions_request.permissions', permissionArray);
+    _.set(this.getGooglePayload(), 'permissions_request.permissions', permissionArray);
+    return this;
+}
+
+/**
+ * Sets a helper intent as system intent.
+ * The response needs a simple response, the question is asked by Google.
+ * @param {string} name e.g. PERMISSION
+ * @param {string} valueSpec type of the data, e.g. PermissionValueSpec
+ * @param {object} data
+ * @return {GoogleActionResponse}
+ */
+function setHelperIntent(name, valueSpec, data) {
+    let google = this.getGooglePayload();
+
+    google.expectUserResponse = true;
+    google.systemIntent = {
+        intent: 'actions.intent.' + name,
+        data: _.assign({
+            '@type': VALUE_SPEC_TYPE_PREFIX + valueSpec,
+        }, data),
+    };
+    if (!_.find(google.richResponse.items, 'simpleResponse')) {
+        google.richResponse.items.unshift({
+            simpleResponse: {
+                textToSpeech: 'PLACEHOLDER_FOR_' + name,
+            },
+        });
+    }
     return this;
 }
 
@@ -973,10 +1240,430 @@ class BasicCard {
 
 }
 
+/**
+ * Table card UI element for devices with SCREEN_OUTPUT
+ */
+class Table {
+    /**
+     * Constructor
+     * @param {Table=} table
+     */
+    constructor(table) {
+        this.columnProperties = [];
+        this.rows = [];
+
+        if (table) {
+            if (table.title) {
+                this.title = table.title;
+            }
+            if (table.subtitle) {
+                this.subtitle = table.subtitle;
+            }
+            if (table.image) {
+                this.image = table.image;
+            }
+            if (table.columnProperties) {
+                this.columnProperties = table.columnProperties;
+            }
+            if (table.rows) {
+                this.rows = table.rows;
+            }
+            if (table.buttons) {
+                this.buttons = table.buttons;
+            }
+        }
+    }
+
+    /**
+     * Sets title of table
+     * @param {string} title
+     * @return {Table}
+     */
+    setTitle(title) {
+        if (!title) {
+            throw new Error('title cannot be empty');
+        }
+        this.title = title;
+        return this;
+    }
+
+    /**
+     * Sets subtitle of table
+     * @param {string} subtitle
+     * @return {Table}
+     */
+    setSubtitle(subtitle) {
+        if (!subtitle) {
+            throw new Error('subtitle cannot be empty');
+        }
+        this.subtitle = subtitle;
+        return this;
+    }
+
+    /**
+     * Sets image of table
+     * @param {string} url
+     * @param {string} accessibilityText
+     * @return {Table}
+     */
+    setImage(url, accessibilityText) {
+        if (!url) {
+            throw new Error('url cannot be empty');
+        }
+        if (!accessibilityText) {
+            throw new Error('accessibilityText cannot be empty');
+        }
+        this.image = {
+            url: url,
+            accessibilityText: accessibilityText,
+        };
+        return this;
+    }
+
+    /**
+     * Adds column with header
+     * @param {string} header
+     * @param {'LEADING'|'CENTER'|'TRAILING'=} horizontalAlignment
+     * @return {Table}
+     */
+    addColumn(header, horizontalAlignment) {
+        let column = {
+            header: header,
+        };
+
+        if (horizontalAlignment) {
+            column.horizontalAlignment = horizontalAlignment;
+        }
+        this.columnProperties.push(column);
+        return this;
+    }
+
+    /**
+     * Adds row with one text per column
+     * @param {Array<string>} cells
+     * @param {boolean=} dividerAfter shows a divider after the row
+     * @return {Table}
+     */
+    addRow(cells, dividerAfter) {
+        if (!cells || cells.length === 0) {
+            throw new Error('cells cannot be empty');
+        }
+        let row = {
+            cells: cells.map((text) => {
+                return {
+                    text: text,
+                };
+            }),
+        };
+
+        if (dividerAfter) {
+            row.dividerAfter = true;
+        }
+        this.rows.push(row);
+        return this;
+    }
+
+    /**
+     * Adds button to table
+     * @param {string} text
+     * @param {string} url
+     * @return {Table}
+     */
+    addButton(text, url) {
+        if (!this.buttons) {
+            this.buttons = [];
+        }
+        if (!text) {
+            throw new Error('text cannot be empty');
+        }
+        if (!url) {
+            throw new Error('url cannot be empty');
+        }
+        this.buttons.push({
+            title: text,
+            openUrlAction: {
+                url: url,
+            },
+        });
+        return this;
+    }
+}
+
+/**
+ * Browsing carousel UI element for devices with SCREEN_OUTPUT.
+ * Items link out to web pages.
+ */
+class BrowsingCarousel extends Collection {
+    /**
+     * Constructor
+     * @param {Array<BrowsingCarouselItem>=} items
+     */
+    constructor(items) {
+        super(items);
+    }
+
+    /**
+     * Adds item to browsing carousel
+     * @param {BrowsingCarouselItem} item
+     * @return {BrowsingCarousel}
+     */
+    addItem(item) {
+        super.addItem(item);
+        return this;
+    }
+}
+
+/**
+ * Item of a browsing carousel
+ */
+class BrowsingCarouselItem {
+    /**
+     * Constructor
+     * @param {BrowsingCarouselItem=} item
+     */
+    constructor(item) {
+        if (item) {
+            if (item.title) {
+                this.title = item.title;
+            }
+            if (item.description) {
+                this.description = item.description;
+            }
+            if (item.footer) {
+                this.footer = item.footer;
+            }
+            if (item.image) {
+                this.image = item.image;
+            }
+            if (item.openUrlAction) {
+                this.openUrlAction = item.openUrlAction;
+            }
+        }
+    }
+
+    /**
+     * Sets title of item
+     * @param {string} title
+     * @return {BrowsingCarouselItem}
+     */
+    setTitle(title) {
+        if (!title) {
+            throw new Error('title cannot be empty');
+        }
+        this.title = title;
+        return this;
+    }
+
+    /**
+     * Sets description of item
+     * @param {string} description
+     * @return {BrowsingCarouselItem}
+     */
+    setDescription(description) {
+        if (!description) {
+            throw new Error('description cannot be empty');
+        }
+        this.description = description;
+        return this;
+    }
+
+    /**
+     * Sets footer of item
+     * @param {string} footer
+     * @return {BrowsingCarouselItem}
+     */
+    setFooter(footer) {
+        if (!footer) {
+            throw new Error('footer cannot be empty');
+        }
+        this.footer = footer;
+        return this;
+    }
+
+    /**
+     * Sets image of item
+     * @param {string} url
+     * @param {string} accessibilityText
+     * @return {BrowsingCarouselItem}
+     */
+    setImage(url, accessibilityText) {
+        if (!url) {
+            throw new Error('url cannot be empty');
+        }
+        if (!accessibilityText) {
+            throw new Error('accessibilityText cannot be empty');
+        }
+        this.image = {
+            url: url,
+            accessibilityText: accessibilityText,
+        };
+        return this;
+    }
+
+    /**
+     * Sets url of the web page the item links to
+     * @param {string} url
+     * @return {BrowsingCarouselItem}
+     */
+    setUrl(url) {
+        if (!url) {
+            throw new Error('url cannot be empty');
+        }
+        this.openUrlAction = {
+            url: url,
+        };
+        return this;
+    }
+}
+
+/**
+ * Media response UI element for long-form audio
+ */
+class MediaResponse {
+    /**
+     * Constructor
+     * @param {MediaResponse=} mediaResponse
+     */
+    constructor(mediaResponse) {
+        this.mediaType = 'AUDIO';
+        this.mediaObjects = [];
+
+        if (mediaResponse) {
+            if (mediaResponse.mediaObjects) {
+                this.mediaObjects = mediaResponse.mediaObjects;
+            }
+        }
+    }
+
+    /**
+     * Adds media object to media response
+     * @param {MediaObject} mediaObject
+     * @return {MediaResponse}
+     */
+    addMediaObject(mediaObject) {
+        this.mediaObjects.push(mediaObject);
+        return this;
+    }
+}
+
+/**
+ * Media object (audio file) of a media response
+ */
+class MediaObject {
+    /**
+     * Constructor
+     * @param {MediaObject=} mediaObject
+     */
+    constructor(mediaObject) {
+        if (mediaObject) {
+            if (mediaObject.name) {
+                this.name = mediaObject.name;
+            }
+            if (mediaObject.description) {
+                this.description = mediaObject.description;
+            }
+            if (mediaObject.contentUrl) {
+                this.contentUrl = mediaObject.contentUrl;
+            }
+            if (mediaObject.icon) {
+                this.icon = mediaObject.icon;
+            }
+            if (mediaObject.largeImage) {
+                this.largeImage = mediaObject.largeImage;
+            }
+        }
+    }
+
+    /**
+     * Sets name of media object
+     * @param {string} name
+     * @return {MediaObject}
+     */
+    setName(name) {
+        if (!name) {
+            throw new Error('name cannot be empty');
+        }
+        this.name = name;
+        return this;
+    }
+
+    /**
+     * Sets description of media object
+     * @param {string} description
+     * @return {MediaObject}
+     */
+    setDescription(description) {
+        if (!description) {
+            throw new Error('description cannot be empty');
+        }
+        this.description = description;
+        return this;
+    }
+
+    /**
+     * Sets url of the audio file (https)
+     * @param {string} contentUrl
+     * @return {MediaObject}
+     */
+    setContentUrl(contentUrl) {
+        if (!contentUrl) {
+            throw new Error('contentUrl cannot be empty');
+        }
+        this.contentUrl = contentUrl;
+        return this;
+    }
+
+    /**
+     * Sets icon of media object (36x36 dp)
+     * @param {string} url
+     * @param {string} accessibilityText
+     * @return {MediaObject}
+     */
+    setIcon(url, accessibilityText) {
+        if (!url) {
+            throw new Error('url cannot be empty');
+        }
+        if (!accessibilityText) {
+            throw new Error('accessibilityText cannot be empty');
+        }
+        this.icon = {
+            url: url,
+            accessibilityText: accessibilityText,
+        };
+        return this;
+    }
+
+    /**
+     * Sets large image of media object (480x270 dp)
+     * @param {string} url
+     * @param {string} accessibilityText
+     * @return {MediaObject}
+     */
+    setLargeImage(url, accessibilityText) {
+        if (!url) {
+            throw new Error('url cannot be empty');
+        }
+        if (!accessibilityText) {
+            throw new Error('accessibilityText cannot be empty');
+        }
+        this.largeImage = {
+            url: url,
+            accessibilityText: accessibilityText,
+        };
+        return this;
+    }
+}
+
 module.exports.GoogleActionResponse = GoogleActionResponse;
+module.exports.PERMISSIONS_ENUM = PERMISSIONS_ENUM;
 module.exports.BasicCard = BasicCard;
 module.exports.OptionItem = OptionItem;
 module.exports.Carousel = Carousel;
 module.exports.List = List;
+module.exports.Table = Table;
+module.exports.BrowsingCarousel = BrowsingCarousel;
+module.exports.BrowsingCarouselItem = BrowsingCarouselItem;
+module.exports.MediaResponse = MediaResponse;
+module.exports.MediaObject = MediaObject;
 
 module.exports.GoogleActionResponse.CardBuilder = CardBuilder;
@@ -0,0 +1,94 @@
+'use strict';
+
+const _ = require('lodash');
+
+const jovo = require('../../jovo');
+const GoogleAction = require('./googleAction').GoogleAction;
+const ActionsSdkRequest = require('./actionsSdkRequest').ActionsSdkRequest;
+const ActionsSdkResponse = require('./actionsSdkResponse').ActionsSdkResponse;
+const GoogleActionSpeechBuilder = require('./googleActionSpeechBuilder').GoogleActionSpeechBuilder;
+const GoogleActionUser = require('./googleActionUser').GoogleActionUser;
+
+const registerPlatform = require('./../plaform').registerPlatform;
+
+const MAIN_INTENT = 'actions.intent.MAIN';
+const TEXT_INTENT = 'actions.intent.TEXT';
+
+/**
+ * Class GoogleActionSdk
+ * Google Action built with the Actions SDK (conversation webhook) without Dialogflow.
+ * The text of actions.intent.TEXT requests is matched to intents
+ * with the actionsSdkMatcher of the config.
+ */
+class GoogleActionSdk extends GoogleAction {
+
+    /**
+     * Constructor
+     * @public
+     * @param {Jovo} jovo
+     * @param {object} request
+     */
+    constructor(jovo, request) {
+        super(jovo, request);
+
+        if (this.request.getInputIntent() === TEXT_INTENT) {
+            this.request.setMatch(this.matchText(this.request.getResolvedQuery()));
+        }
+    }
+
+    /**
+     * Creates the request object of the webhook format
+     * @param {object} request
+     * @return {ActionsSdkRequest}
+     */
+    createRequest(request) {
+        return new ActionsSdkRequest(request);
+    }
+
+    /**
+     * Matches the text with the actionsSdkMatcher of the config.
+     * The matcher returns an intent name, an object with intent and parameters
+     * or nothing if the text doesn't match an intent.
+     * @param {string} text
+     * @return {{intent: string, parameters: object}}
+     */
+    matchText(text) {
+        if (!_.isFunction(this.jovo.actionsSdkMatcher)) {
+            return {};
+        }
+        let match = this.jovo.actionsSdkMatcher(text, this.request.getLocale());
+
+        if (_.isString(match)) {
+            return {
+                intent: match,
+                parameters: {},
+            };
+        }
+        return match || {};
+    }
+
+    /**
+     * Gets request type and maps to jovo request types
+     * actions.intent.MAIN => LAUNCH
+     * @public
+     * @return {string}
+     */
+    getRequestType() {
+        if (this.request.getInputIntent() === MAIN_INTENT) {
+            return jovo.REQUEST_TYPE_ENUM.LAUNCH;
+        }
+        return super.getRequestType();
+    }
+}
+
+registerPlatform({
+    name: 'GOOGLE_ACTION',
+    type: 'GoogleAction',
+    platform: GoogleActionSdk,
+    isPlatformRequest: (request) => _.has(request, 'inputs') && _.has(request, 'conversation'),
+    user: GoogleActionUser,
+    speechBuilder: GoogleActionSpeechBuilder,
+    response: ActionsSdkResponse,
+});
+
+module.exports.GoogleActionSdk = GoogleActionSdk;
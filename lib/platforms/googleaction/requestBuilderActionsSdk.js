@@ -0,0 +1,178 @@
+'use strict';
+
+const _ = require('lodash');
+
+const webhookActionsSdkMain = {
+    body: {
+        user: {
+            userId: 'APhe68Ec5RA38YUKzHnc1rvN5VV6',
+            locale: 'en-US',
+        },
+        conversation: {
+            conversationId: '1516281024473',
+            type: 'NEW',
+        },
+        inputs: [
+            {
+                intent: 'actions.intent.MAIN',
+                rawInputs: [
+                    {
+                        inputType: 'VOICE',
+                        query: 'talk to my test app',
+                    },
+                ],
+            },
+        ],
+        surface: {
+            capabilities: [
+                {
+                    name: 'actions.capability.AUDIO_OUTPUT',
+                },
+            ],
+        },
+        isInSandbox: true,
+    },
+};
+
+const webhookActionsSdkText = {
+    body: {
+        user: {
+            userId: 'APhe68Ec5RA38YUKzHnc1rvN5VV6',
+            locale: 'en-US',
+        },
+        conversation: {
+            conversationId: '1516281024473',
+            type: 'ACTIVE',
+            conversationToken: '{}',
+        },
+        inputs: [
+            {
+                intent: 'actions.intent.TEXT',
+                rawInputs: [
+                    {
+                        inputType: 'VOICE',
+                        query: 'give me a space fact',
+                    },
+                ],
+                arguments: [
+                    {
+                        name: 'text',
+                        rawText: 'give me a space fact',
+                        textValue: 'give me a space fact',
+                    },
+                ],
+            },
+        ],
+        surface: {
+            capabilities: [
+                {
+                    name: 'actions.capability.AUDIO_OUTPUT',
+                },
+            ],
+        },
+        isInSandbox: true,
+    },
+};
+
+/**
+ * RequestBuilder builds Actions SDK (conversation webhook) request objects
+ */
+class RequestBuilderActionsSdk {
+
+    /**
+     * Creates actions.intent.MAIN request object
+     * @return {RequestBuilderActionsSdk}
+     */
+    launchRequest() {
+        this.req = _.cloneDeep(webhookActionsSdkMain);
+        return this;
+    }
+
+    /**
+     * Creates actions.intent.TEXT request object
+     * @param {string} text (optional)
+     * @return {RequestBuilderActionsSdk}
+     */
+    textRequest(text) {
+        this.req = _.cloneDeep(webhookActionsSdkText);
+        if (text) {
+            this.setText(text);
+        }
+        return this;
+    }
+
+    /**
+     * Sets text of the user's input
+     * @param {string} text
+     * @return {RequestBuilderActionsSdk}
+     */
+    setText(text) {
+        let input = this.req.body.inputs[0];
+        input.rawInputs[0].query = text;
+        input.arguments[0].rawText = text;
+        input.arguments[0].textValue = text;
+        return this;
+    }
+
+    /**
+     * Sets user id
+     * @param {string} userId
+     * @return {RequestBuilderActionsSdk}
+     */
+    setUserId(userId) {
+        this.req.body.user.userId = userId;
+        return this;
+    }
+
+    /**
+     * Sets user locale
+     * @param {string} locale
+     * @return {RequestBuilderActionsSdk}
+     */
+    setUserLocale(locale) {
+        this.req.body.user.locale = locale;
+        return this;
+    }
+
+    /**
+     * Sets state (jovo specific)
+     * @param {string} stateName
+     * @return {RequestBuilderActionsSdk}
+     */
+    setState(stateName) {
+        return this.setSessionAttribute('STATE', stateName);
+    }
+
+    /**
+     * Sets session attribute in the conversation token
+     * @param {string} name
+     * @param {*} value
+     * @return {RequestBuilderActionsSdk}
+     */
+    setSessionAttribute(name, value) {
+        let conversation = this.req.body.conversation;
+        let attributes = JSON.parse(conversation.conversationToken || '{}');
+
+        attributes[name] = value;
+        conversation.conversationToken = JSON.stringify(attributes);
+        return this;
+    }
+
+    /**
+     * Returns built request object
+     * @return {*}
+     */
+    build() {
+        return this.req;
+    }
+
+    /**
+     * Returns request body
+     * @return {*}
+     */
+    body() {
+        return this.req.body;
+    }
+}
+
+module.exports.RequestBuilderActionsSdk = RequestBuilderActionsSdk;
@@ -0,0 +1,288 @@
+'use strict';
+
+const _ = require('lodash');
+
+const SESSION = 'projects/jovo-test/agent/sessions/1516279227521';
+
+const webhookDialogflowV2Launch = {
+    body: {
+        responseId: '8b5c9bea-1ae6-4c1c-a7a4-1f1b3bb1e9c2',
+        queryResult: {
+            queryText: 'GOOGLE_ASSISTANT_WELCOME',
+            action: 'input.welcome',
+            parameters: {},
+            allRequiredParamsPresent: true,
+            fulfillmentText: '',
+            fulfillmentMessages: [],
+            outputContexts: [
+                {
+                    name: SESSION + '/contexts/google_assistant_welcome',
+                    parameters: {},
+                },
+                {
+                    name: SESSION + '/contexts/actions_capability_audio_output',
+                    parameters: {},
+                },
+                {
+                    name: SESSION + '/contexts/google_assistant_input_type_voice',
+                    parameters: {},
+                },
+            ],
+            intent: {
+                name: 'projects/jovo-test/agent/intents/340561df-dfad-4575-b11c-0eeb0a5acf36',
+                displayName: 'Default Welcome Intent',
+            },
+            intentDetectionConfidence: 1,
+            languageCode: 'en-us',
+        },
+        originalDetectIntentRequest: {
+            source: 'google',
+            version: '2',
+            payload: {
+                isInSandbox: true,
+                surface: {
+                    capabilities: [
+                        {
+                            name: 'actions.capability.AUDIO_OUTPUT',
+                        },
+                    ],
+                },
+                inputs: [
+                    {
+                        rawInputs: [
+                            {
+                                query: 'talk to my test app',
+                                inputType: 'VOICE',
+                            },
+                        ],
+                        intent: 'actions.intent.MAIN',
+                    },
+                ],
+                user: {
+                    locale: 'en-US',
+                    userId: 'APhe68Ec5RA38YUKzHnc1rvN5VV6',
+                },
+                conversation: {
+                    conversationId: '1516279227521',
+                    type: 'NEW',
+                },
+            },
+        },
+        session: SESSION,
+    },
+};
+
+const webhookDialogflowV2IntentRequest = {
+    body: {
+        responseId: '2e4e2b7a-5c7e-4d4b-9a3b-2b0c6f3c1f0e',
+        queryResult: {
+            queryText: 'give me a space fact',
+            parameters: {},
+            allRequiredParamsPresent: true,
+            fulfillmentText: '',
+            fulfillmentMessages: [],
+            outputContexts: [
+                {
+                    name: SESSION + '/contexts/actions_capability_audio_output',
+                    parameters: {},
+                },
+                {
+                    name: SESSION + '/contexts/google_assistant_input_type_voice',
+                    parameters: {},
+                },
+            ],
+            intent: {
+                name: 'projects/jovo-test/agent/intents/8230f8bd-ae08-4403-96f5-f3a146614dc3',
+                displayName: 'GetNewFactIntent',
+            },
+            intentDetectionConfidence: 1,
+            languageCode: 'en-us',
+        },
+        originalDetectIntentRequest: {
+            source: 'google',
+            version: '2',
+            payload: {
+                isInSandbox: true,
+                surface: {
+                    capabilities: [
+                        {
+                            name: 'actions.capability.AUDIO_OUTPUT',
+                        },
+                    ],
+                },
+                inputs: [
+                    {
+                        rawInputs: [
+                            {
+                                query: 'give me a space fact',
+                                inputType: 'VOICE',
+                            },
+                        ],
+                        arguments: [
+                            {
+                                rawText: 'give me a space fact',
+                                textValue: 'give me a space fact',
+                                name: 'text',
+                            },
+                        ],
+                        intent: 'actions.intent.TEXT',
+                    },
+                ],
+                user: {
+                    locale: 'en-US',
+                    userId: 'APhe68Ec5RA38YUKzHnc1rvN5VV6',
+                },
+                conversation: {
+                    conversationId: '1516279227521',
+                    type: 'ACTIVE',
+                    conversationToken: '[]',
+                },
+            },
+        },
+        session: SESSION,
+    },
+};
+
+const INTENT_REQUEST = 'IntentRequest';
+const LAUNCH_REQUEST = 'LaunchRequest';
+
+/**
+ * RequestBuilder builds Dialogflow V2 request objects
+ */
+class RequestBuilderDialogflowV2 {
+
+    /**
+     * Creates launch request object
+     * @return {RequestBuilderDialogflowV2}
+     */
+    launchRequest() {
+        this.type = LAUNCH_REQUEST;
+        this.req = _.cloneDeep(webhookDialogflowV2Launch);
+        return this;
+    }
+
+    /**
+     * Creates intent request object
+     * @param {string} intentName (optional)
+     * @return {RequestBuilderDialogflowV2}
+     */
+    intentRequest(intentName) {
+        this.type = INTENT_REQUEST;
+        this.req = _.cloneDeep(webhookDialogflowV2IntentRequest);
+        if (intentName) {
+            this.setIntentName(intentName);
+        }
+        return this;
+    }
+
+    /**
+     * Sets user id
+     * @param {string} userId
+     * @return {RequestBuilderDialogflowV2}
+     */
+    setUserId(userId) {
+        this.originalRequest().payload.user.userId = userId;
+        return this;
+    }
+
+    /**
+     * Sets user locale
+     * @param {string} locale
+     * @return {RequestBuilderDialogflowV2}
+     */
+    setUserLocale(locale) {
+        this.originalRequest().payload.user.locale = locale;
+        return this;
+    }
+
+    /**
+     * Sets state (jovo specific)
+     * @param {string} stateName
+     * @return {RequestBuilderDialogflowV2}
+     */
+    setState(stateName) {
+        this.addContextParameter('session', 'STATE', stateName);
+        return this;
+    }
+
+    /**
+     * Sets intent name
+     * @param {string} name
+     * @return {RequestBuilderDialogflowV2}
+     */
+    setIntentName(name) {
+        if (this.type !== INTENT_REQUEST) {
+            throw Error('Name can only be set for IntentRequests');
+        }
+        this.queryResult().intent.displayName = name;
+        return this;
+    }
+
+    /**
+     * Sets parameter
+     * @param {string} name
+     * @param {*} value
+     * @return {RequestBuilderDialogflowV2}
+     */
+    addParameter(name, value) {
+        this.queryResult().parameters[name] = value;
+        return this;
+    }
+
+    /**
+     * Adds parameter to context
+     * @param {string} contextName short name of the context
+     * @param {string} parameterName
+     * @param {*} value
+     * @return {RequestBuilderDialogflowV2}
+     */
+    addContextParameter(contextName, parameterName, value) {
+        let path = this.req.body.session + '/contexts/' + contextName;
+        let context = _.find(this.queryResult().outputContexts, {name: path});
+
+        if (!context) {
+            context = {
+                name: path,
+                lifespanCount: 10000,
+                parameters: {},
+            };
+            this.queryResult().outputContexts.push(context);
+        }
+        context.parameters[parameterName] = value;
+        return this;
+    }
+
+    /**
+     * Returns built request object
+     * @return {*}
+     */
+    build() {
+        return this.req;
+    }
+
+    /**
+     * Returns request body
+     * @return {*}
+     */
+    body() {
+        return this.req.body;
+    }
+
+    /**
+     * Original detect intent request
+     * @return {object}
+     */
+    originalRequest() {
+        return this.req.body.originalDetectIntentRequest;
+    }
+
+    /**
+     * Returns query result object
+     * @return {object}
+     */
+    queryResult() {
+        return this.req.body.queryResult;
+    }
+}
+
+module.exports.RequestBuilderDialogflowV2 = RequestBuilderDialogflowV2;
@@ -1,4 +1,19 @@
 'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Types of the registered platforms, extended by registerPlatform()
+ * (e.g. ALEXA_SKILL: 'AlexaSkill'). Types can't be changed or removed.
+ */
+const PLATFORM_ENUM = {};
+
+/**
+ * Adapters of the built-in platforms (Alexa, Google Assistant), in order of registration.
+ * Further platforms are added per app with app.addPlatform()
+ */
+const builtInAdapters = [];
+
 /**
  * Class Platform
  */
@@ -12,6 +27,57 @@ class Platform {
         this.jovo = {};
     }
 
+    /**
+     * Returns the adapter the platform class (or one of its parent classes)
+     * has been registered with
+     * @public
+     * @return {object}
+     */
+    getAdapter() {
+        let adapter = findAdapter(getAdapters(this.jovo), this.constructor);
+        if (!adapter) {
+            throw new Error('Platform ' + this.constructor.name + ' has not been registered.');
+        }
+        return adapter;
+    }
+
+    /**
+     * Returns type of platform
+     * @public
+     * @return {string}
+     */
+    getType() {
+        return this.getAdapter().type;
+    }
+
+    /**
+     * Creates the user instance with the registered user class
+     * @param {*} config
+     * @return {User}
+     */
+    makeUser(config) {
+        let User = this.getAdapter().user;
+        return new User(this, config);
+    }
+
+    /**
+     * Returns a platform specific speechbuilder
+     * @return {SpeechBuilder}
+     */
+    getSpeechBuilder() {
+        let SpeechBuilder = this.getAdapter().speechBuilder;
+        return new SpeechBuilder();
+    }
+
+    /**
+     * Creates an empty response with the registered response class
+     * @return {*}
+     */
+    createResponse() {
+        let Response = this.getAdapter().response;
+        return new Response();
+    }
+
     /**
      * Returns unique user id sent by the platforms.
      * @public
@@ -119,4 +185,99 @@ class Platform {
     }
 }
 
+/**
+ * Adds a type to PLATFORM_ENUM
+ * @throws Error if the name is used for another type
+ * @param {string} name e.g. 'ALEXA_SKILL'
+ * @param {string} type e.g. 'AlexaSkill'
+ */
+function addPlatformType(name, type) {
+    if (PLATFORM_ENUM[name] === type) {
+        return;
+    }
+    if (typeof PLATFORM_ENUM[name] !== 'undefined') {
+        throw new Error('Platform type ' + name + ' already exists.');
+    }
+    Object.defineProperty(PLATFORM_ENUM, name, {
+        value: type,
+        enumerable: true,
+    });
+}
+
+addPlatformType('ALL', 'All');
+
+/**
+ * Registers a platform adapter. Without a registry, the adapter is added to
+ * the built-in platforms, app.addPlatform() passes the registry of the app.
+ * Registered platforms are detected in order of registration.
+ * @throws Error if the adapter is invalid
+ * @param {{name: string, type: string, platform: function, isPlatformRequest: function,
+ * user: function, speechBuilder: function, response: function}} adapter
+ * name (key in PLATFORM_ENUM), type (returned by getType()),
+ * platform (subclass of Platform), isPlatformRequest(request) (detector)
+ * and the classes of user, speech builder and response
+ * @param {Array<object>=} adapters registry
+ */
+function registerPlatform(adapter, adapters) {
+    adapters = adapters || builtInAdapters;
+
+    if (!adapter || !_.isFunction(adapter.platform) ||
+        !(adapter.platform.prototype instanceof Platform)) {
+        throw new Error('Platform adapters need a subclass of Platform.');
+    }
+    ['isPlatformRequest', 'user', 'speechBuilder', 'response'].forEach((key) => {
+        if (!_.isFunction(adapter[key])) {
+            throw new Error('Platform adapter ' + adapter.type + ' needs ' + key + '.');
+        }
+    });
+    if (!_.isString(adapter.name) || !_.isString(adapter.type)) {
+        throw new Error('Platform adapters need a name and a type.');
+    }
+    addPlatformType(adapter.name, adapter.type);
+
+    _.remove(adapters, (registered) => registered.platform === adapter.platform);
+    adapters.push(adapter);
+}
+
+/**
+ * Returns the adapters for a request context: the platforms added
+ * to its app, followed by the built-in platforms
+ * @param {Jovo} jovo
+ * @return {Array<object>}
+ */
+function getAdapters(jovo) {
+    let app = jovo && _.isFunction(jovo.getApp) ? jovo.getApp() : {};
+    return (app.platformAdapters || []).concat(builtInAdapters);
+}
+
+/**
+ * Returns the adapter of the platform class or of its closest registered parent class
+ * @param {Array<object>} adapters
+ * @param {function} PlatformClass
+ * @return {object|undefined}
+ */
+function findAdapter(adapters, PlatformClass) {
+    while (PlatformClass && PlatformClass !== Platform) {
+        let adapter = _.find(adapters, {platform: PlatformClass});
+        if (adapter) {
+            return adapter;
+        }
+        PlatformClass = Object.getPrototypeOf(PlatformClass);
+    }
+}
+
+/**
+ * Returns the adapter of the first platform of the request context
+ * that detects the request
+ * @param {Jovo} jovo
+ * @param {object} request
+ * @return {object|undefined}
+ */
+function detectPlatform(jovo, request) {
+    return _.find(getAdapters(jovo), (adapter) => adapter.isPlatformRequest(request));
+}
+
 module.exports.Platform = Platform;
+module.exports.PLATFORM_ENUM = PLATFORM_ENUM;
+module.exports.registerPlatform = registerPlatform;
+module.exports.detectPlatform = detectPlatform;
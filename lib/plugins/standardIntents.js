@@ -0,0 +1,178 @@
+'use strict';
+
+const _ = require('lodash');
+
+const STANDARD_INTENT_ENUM = Object.freeze({
+    HELP: 'HelpIntent',
+    CANCEL: 'CancelIntent',
+    STOP: 'END',
+    REPEAT: 'RepeatIntent',
+    START_OVER: 'StartOverIntent',
+    YES: 'YesIntent',
+    NO: 'NoIntent',
+    FALLBACK: 'Unhandled',
+});
+
+/**
+ * Maps the platforms' built-in intents to the standard intents
+ */
+const INTENT_MAP = {
+    // Amazon Alexa
+    'AMAZON.HelpIntent': STANDARD_INTENT_ENUM.HELP,
+    'AMAZON.CancelIntent': STANDARD_INTENT_ENUM.CANCEL,
+    'AMAZON.StopIntent': STANDARD_INTENT_ENUM.STOP,
+    'AMAZON.RepeatIntent': STANDARD_INTENT_ENUM.REPEAT,
+    'AMAZON.StartOverIntent': STANDARD_INTENT_ENUM.START_OVER,
+    'AMAZON.YesIntent': STANDARD_INTENT_ENUM.YES,
+    'AMAZON.NoIntent': STANDARD_INTENT_ENUM.NO,
+    'AMAZON.FallbackIntent': STANDARD_INTENT_ENUM.FALLBACK,
+
+    // Google Assistant (Dialogflow)
+    'StopIntent': STANDARD_INTENT_ENUM.STOP,
+    'Default Fallback Intent': STANDARD_INTENT_ENUM.FALLBACK,
+    // follow-up intents are named '<parent intent> - yes' etc.
+    '* - yes': STANDARD_INTENT_ENUM.YES,
+    '* - no': STANDARD_INTENT_ENUM.NO,
+    '* - cancel': STANDARD_INTENT_ENUM.CANCEL,
+    '* - repeat': STANDARD_INTENT_ENUM.REPEAT,
+    '* - fallback': STANDARD_INTENT_ENUM.FALLBACK,
+};
+
+/**
+ * Texts of the Actions SDK (actions.intent.TEXT) that are matched
+ * to the standard intents, if the actionsSdkMatcher didn't match them
+ */
+const ACTIONS_SDK_TEXTS = {
+    'en': {
+        'help': STANDARD_INTENT_ENUM.HELP,
+        'cancel': STANDARD_INTENT_ENUM.CANCEL,
+        'stop': STANDARD_INTENT_ENUM.STOP,
+        'repeat': STANDARD_INTENT_ENUM.REPEAT,
+        'start over': STANDARD_INTENT_ENUM.START_OVER,
+        'yes': STANDARD_INTENT_ENUM.YES,
+        'no': STANDARD_INTENT_ENUM.NO,
+    },
+    'de': {
+        'hilfe': STANDARD_INTENT_ENUM.HELP,
+        'abbrechen': STANDARD_INTENT_ENUM.CANCEL,
+        'stopp': STANDARD_INTENT_ENUM.STOP,
+        'wiederholen': STANDARD_INTENT_ENUM.REPEAT,
+        'von vorne': STANDARD_INTENT_ENUM.START_OVER,
+        'ja': STANDARD_INTENT_ENUM.YES,
+        'nein': STANDARD_INTENT_ENUM.NO,
+    },
+};
+
+const LANGUAGE_RESOURCES = {
+    'en': {
+        translation: {
+            STANDARD_INTENTS: {
+                HELP: 'How can I help you?',
+                HELP_REPROMPT: 'How can I help you?',
+                GOODBYE: 'Goodbye!',
+                YES: 'Okay. What do you want to do?',
+                REPEAT_NOT_AVAILABLE: 'Sorry, I can\'t repeat that. What do you want to do?',
+                UNHANDLED: 'Sorry, I didn\'t get that. What do you want to do?',
+                UNHANDLED_REPROMPT: 'What do you want to do?',
+            },
+        },
+    },
+    'de': {
+        translation: {
+            STANDARD_INTENTS: {
+                HELP: 'Wie kann ich dir helfen?',
+                HELP_REPROMPT: 'Wie kann ich dir helfen?',
+                GOODBYE: 'Tschüss!',
+                YES: 'Okay. Was möchtest du tun?',
+                REPEAT_NOT_AVAILABLE: 'Das kann ich leider nicht wiederholen. Was möchtest du tun?',
+                UNHANDLED: 'Das habe ich leider nicht verstanden. Was möchtest du tun?',
+                UNHANDLED_REPROMPT: 'Was möchtest du tun?',
+            },
+        },
+    },
+};
+
+/**
+ * Default behaviors of the standard intents.
+ * Can be overridden in the app's handlers, globally or inside of a state.
+ */
+const HANDLERS = {
+    'HelpIntent': function() {
+        this.ask(this.t('STANDARD_INTENTS.HELP'), this.t('STANDARD_INTENTS.HELP_REPROMPT'));
+    },
+    'CancelIntent': function() {
+        this.tell(this.t('STANDARD_INTENTS.GOODBYE'));
+    },
+    'END': function() {
+        // Alexa doesn't accept speech in the response to a SessionEndedRequest
+        if (this.isEndRequest() && this.isAlexaSkill()) {
+            this.endSession();
+            return;
+        }
+        this.tell(this.t('STANDARD_INTENTS.GOODBYE'));
+    },
+    'RepeatIntent': function() {
+        if (this.repeat()) {
+            return;
+        }
+        this.ask(
+            this.t('STANDARD_INTENTS.REPEAT_NOT_AVAILABLE'),
+            this.t('STANDARD_INTENTS.UNHANDLED_REPROMPT'));
+    },
+    'StartOverIntent': function() {
+        this.removeState();
+        return this.toIntent('LAUNCH');
+    },
+    'YesIntent': function() {
+        this.ask(this.t('STANDARD_INTENTS.YES'), this.t('STANDARD_INTENTS.UNHANDLED_REPROMPT'));
+    },
+    'NoIntent': function() {
+        this.tell(this.t('STANDARD_INTENTS.GOODBYE'));
+    },
+    'Unhandled': function() {
+        this.ask(
+            this.t('STANDARD_INTENTS.UNHANDLED'),
+            this.t('STANDARD_INTENTS.UNHANDLED_REPROMPT'));
+    },
+};
+
+/**
+ * Matches the text of Actions SDK requests to the standard intents.
+ * Requests the actionsSdkMatcher of the app has matched are skipped.
+ * @param {Jovo} jovo
+ */
+function matchActionsSdkText(jovo) {
+    let request = jovo.getPlatform().getRequest();
+
+    if (!_.isFunction(request.setMatch) ||
+        request.getIntentName() !== 'actions.intent.TEXT') {
+        return;
+    }
+    let texts = ACTIONS_SDK_TEXTS[_.split(jovo.getLocale(), '-')[0]] || {};
+    let text = _.trim(_.toLower(request.getResolvedQuery()), ' .!?');
+
+    if (texts[text]) {
+        request.setMatch({
+            intent: texts[text],
+            parameters: {},
+        });
+    }
+}
+
+/**
+ * Plugin with default handlers for help, cancel, stop, repeat, start over,
+ * yes, no and fallback.
+ * Usage: app.use(StandardIntents)
+ */
+const StandardIntents = {
+    name: 'standard-intents',
+    hooks: {
+        'request': matchActionsSdkText,
+    },
+    intentMap: INTENT_MAP,
+    languageResources: LANGUAGE_RESOURCES,
+    handlers: HANDLERS,
+};
+
+module.exports.StandardIntents = StandardIntents;
+module.exports.STANDARD_INTENT_ENUM = STANDARD_INTENT_ENUM;
@@ -21,7 +21,7 @@ class User {
      */
     constructor(platform, config) {
         this.platform = platform;
-        this.config = DEFAULT_CONFIG;
+        this.config = _.clone(DEFAULT_CONFIG);
 
         this.metaData = {};
         this.data = {};
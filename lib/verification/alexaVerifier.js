@@ -0,0 +1,137 @@
+'use strict';
+
+const _ = require('lodash');
+const url = require('url');
+const path = require('path');
+const verifier = require('alexa-verifier');
+
+const TIMESTAMP_TOLERANCE = 150;
+const CERT_URL_HOSTNAME = 's3.amazonaws.com';
+const CERT_URL_PATH_START = '/echo.api/';
+
+/**
+ * Returns true if the Lambda event is an HTTP request
+ * (e.g. API Gateway proxy integration) with the raw body as string
+ * @param {object} event
+ * @return {boolean}
+ */
+function isHttpEvent(event) {
+    return _.isString(_.get(event, 'body'));
+}
+
+/**
+ * Returns the raw body of an HTTP event
+ * @param {object} event
+ * @return {string}
+ */
+function getRawBody(event) {
+    if (event.isBase64Encoded) {
+        return Buffer.from(event.body, 'base64').toString();
+    }
+    return event.body;
+}
+
+/**
+ * Returns the Alexa request of a Lambda event
+ * @throws Error if the body of an HTTP event is not valid JSON
+ * @param {object} event
+ * @return {object}
+ */
+function getRequest(event) {
+    if (!isHttpEvent(event)) {
+        return event;
+    }
+    try {
+        return JSON.parse(getRawBody(event));
+    } catch (e) {
+        throw new Error('Request body is not valid JSON.');
+    }
+}
+
+/**
+ * Validates the URL of the certificate chain: https, s3.amazonaws.com,
+ * port 443 and a (normalized) path starting with /echo.api/
+ * @param {string} certUrl
+ * @return {string|undefined} error message
+ */
+function validateCertUrl(certUrl) {
+    if (!certUrl) {
+        return 'Missing SignatureCertChainUrl header.';
+    }
+    let parsed = url.parse(certUrl);
+    if (parsed.protocol !== 'https:') {
+        return 'Certificate chain URL has to use https: ' + certUrl;
+    }
+    if (!parsed.hostname || parsed.hostname.toLowerCase() !== CERT_URL_HOSTNAME) {
+        return 'Certificate chain URL has to be on ' + CERT_URL_HOSTNAME + ': ' + certUrl;
+    }
+    if (parsed.port && parsed.port !== '443') {
+        return 'Certificate chain URL has to use port 443: ' + certUrl;
+    }
+    if (path.posix.normalize(parsed.pathname || '').indexOf(CERT_URL_PATH_START) !== 0) {
+        return 'Certificate chain URL path has to start with ' + CERT_URL_PATH_START + ': ' +
+            certUrl;
+    }
+}
+
+/**
+ * Validates that the request's timestamp is not more than
+ * 150 seconds away from now
+ * @param {object} request
+ * @return {string|undefined} error message
+ */
+function validateTimestamp(request) {
+    let timestamp = new Date(_.get(request, 'request.timestamp')).getTime();
+    if (isNaN(timestamp)) {
+        return 'Missing request timestamp.';
+    }
+    if (Math.abs(Date.now() - timestamp) > TIMESTAMP_TOLERANCE * 1000) {
+        return 'Request timestamp is more than ' + TIMESTAMP_TOLERANCE +
+            ' seconds away from now.';
+    }
+}
+
+/**
+ * Verifies an Alexa request of a Lambda event. The timestamp is always
+ * checked. HTTP events (API Gateway etc.) need a valid certificate chain URL
+ * and signature, direct Lambda invocations are authorized by AWS.
+ * @param {object} event
+ * @return {Promise<object>} resolves with the Alexa request, rejects with the reason
+ */
+function verify(event) {
+    let request;
+    try {
+        request = getRequest(event);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    let error = validateTimestamp(request);
+    if (error) {
+        return Promise.reject(new Error(error));
+    }
+    if (!isHttpEvent(event)) {
+        return Promise.resolve(request);
+    }
+
+    let headers = _.mapKeys(event.headers, (value, key) => key.toLowerCase());
+    error = validateCertUrl(headers.signaturecertchainurl);
+    if (error) {
+        return Promise.reject(new Error(error));
+    }
+    return new Promise((resolve, reject) => {
+        // loads and validates the certificate and checks the signature
+        verifier(headers.signaturecertchainurl, headers.signature, getRawBody(event), (err) => {
+            if (err) {
+                return reject(new Error(err));
+            }
+            resolve(request);
+        });
+    });
+}
+
+module.exports.verify = verify;
+module.exports.isHttpEvent = isHttpEvent;
+module.exports.getRequest = getRequest;
+module.exports.validateCertUrl = validateCertUrl;
+module.exports.validateTimestamp = validateTimestamp;
@@ -0,0 +1,242 @@
+'use strict';
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const request = require('request');
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v1/certs';
+const GOOGLE_ISSUER = 'https://accounts.google.com';
+const SIGNATURE_HEADER = 'google-assistant-signature';
+const CERTS_CACHE_TIME = 60 * 60 * 1000;
+
+/**
+ * Class GoogleVerifier
+ * Authenticates Google Assistant and Dialogflow requests with
+ * basic auth, secret headers and the project ID.
+ */
+class GoogleVerifier {
+
+    /**
+     * Constructor
+     * @public
+     * @param {object} config see setConfig
+     */
+    constructor(config) {
+        this.setConfig(config || {});
+    }
+
+    /**
+     * Sets the verification config:
+     * basicAuth ({username, password}), headers (name -> secret value),
+     * projectId (checked with the Google-Assistant-Signature, which is required
+     * without basic auth and headers, and the Dialogflow V2 session)
+     * and certs (key id -> PEM, default: Google's certs).
+     * @public
+     * @param {{basicAuth: object, headers: object, projectId: string, certs: object}} config
+     */
+    setConfig(config) {
+        this.config = config;
+        this.cachedCerts = undefined;
+    }
+
+    /**
+     * Returns true if at least one check has been configured
+     * @public
+     * @return {boolean}
+     */
+    isConfigured() {
+        return !!(this.config.basicAuth || !_.isEmpty(this.config.headers) ||
+            this.config.projectId);
+    }
+
+    /**
+     * Verifies a request with all configured checks
+     * @public
+     * @param {{headers: object, body: object}} req
+     * @return {Promise} rejects with the reason if the request is not valid
+     */
+    verify(req) {
+        if (!this.isConfigured()) {
+            return Promise.reject(new Error('Google request verification is not configured.'));
+        }
+        let headers = lowerCaseKeys(req.headers);
+
+        if (this.config.basicAuth) {
+            let credentials = this.config.basicAuth.username + ':' + this.config.basicAuth.password;
+            let expected = 'Basic ' + Buffer.from(credentials).toString('base64');
+            if (!safeEqual(headers.authorization, expected)) {
+                return Promise.reject(new Error('Invalid basic auth credentials.'));
+            }
+        }
+
+        let invalidHeader = _.findKey(this.config.headers, (value, name) => {
+            return !safeEqual(headers[name.toLowerCase()], value);
+        });
+        if (invalidHeader) {
+            return Promise.reject(new Error('Invalid value of header ' + invalidHeader + '.'));
+        }
+
+        if (!this.config.projectId) {
+            return Promise.resolve();
+        }
+        let sessionProjectId = GoogleVerifier.getSessionProjectId(req.body);
+        if (sessionProjectId && sessionProjectId !== this.config.projectId) {
+            return Promise.reject(new Error('Invalid project ID ' + sessionProjectId + '.'));
+        }
+        if (headers[SIGNATURE_HEADER]) {
+            return this.verifyToken(headers[SIGNATURE_HEADER]);
+        }
+        // the session can't authenticate a request, basic auth or headers have to
+        if (!this.config.basicAuth && _.isEmpty(this.config.headers)) {
+            return Promise.reject(new Error('Missing Google-Assistant-Signature header.'));
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Verifies signature, issuer, audience (project ID) and expiration
+     * of the Google-Assistant-Signature token
+     * @private
+     * @param {string} token
+     * @return {Promise}
+     */
+    verifyToken(token) {
+        let decoded = GoogleVerifier.decodeToken(token);
+        if (!decoded) {
+            return Promise.reject(new Error('Invalid Google-Assistant-Signature token.'));
+        }
+        if (decoded.header.alg !== 'RS256') {
+            return Promise.reject(new Error('Unsupported token algorithm ' +
+                decoded.header.alg + '.'));
+        }
+        return this.getCerts().then((certs) => {
+            let cert = certs[decoded.header.kid];
+            if (!cert) {
+                throw new Error('Unknown token key id ' + decoded.header.kid + '.');
+            }
+            let verifier = crypto.createVerify('RSA-SHA256');
+            verifier.update(decoded.signedContent);
+            if (!verifier.verify(cert, decoded.signature, 'base64')) {
+                throw new Error('Invalid token signature.');
+            }
+            if (decoded.payload.iss !== GOOGLE_ISSUER) {
+                throw new Error('Invalid token issuer ' + decoded.payload.iss + '.');
+            }
+            if (decoded.payload.aud !== this.config.projectId) {
+                throw new Error('Invalid project ID ' + decoded.payload.aud + '.');
+            }
+            if (!(decoded.payload.exp * 1000 > Date.now())) {
+                throw new Error('Token has expired.');
+            }
+        });
+    }
+
+    /**
+     * Returns the configured certs or Google's certs (cached for an hour)
+     * @private
+     * @return {Promise<object>} key id -> PEM
+     */
+    getCerts() {
+        if (this.config.certs) {
+            return Promise.resolve(this.config.certs);
+        }
+        if (this.cachedCerts && this.cachedCerts.expiresAt > Date.now()) {
+            return Promise.resolve(this.cachedCerts.certs);
+        }
+        return new Promise((resolve, reject) => {
+            request({url: GOOGLE_CERTS_URL, json: true}, (error, response, body) => {
+                if (error || response.statusCode !== 200) {
+                    return reject(new Error('Could not load Google certs.'));
+                }
+                this.cachedCerts = {
+                    certs: body,
+                    expiresAt: Date.now() + CERTS_CACHE_TIME,
+                };
+                resolve(body);
+            });
+        });
+    }
+
+    /**
+     * Splits a JSON web token without verifying it
+     * @public
+     * @param {string} token
+     * @return {{header: object, payload: object, signedContent: string,
+     * signature: string}|undefined}
+     */
+    static decodeToken(token) {
+        let parts = _.isString(token) ? token.split('.') : [];
+        if (parts.length !== 3) {
+            return;
+        }
+        try {
+            return {
+                header: JSON.parse(Buffer.from(parts[0], 'base64').toString()),
+                payload: JSON.parse(Buffer.from(parts[1], 'base64').toString()),
+                signedContent: parts[0] + '.' + parts[1],
+                signature: parts[2].replace(/-/g, '+').replace(/_/g, '/'),
+            };
+        } catch (e) {
+            return;
+        }
+    }
+
+    /**
+     * Returns the project ID of the session of Dialogflow V2 requests
+     * @public
+     * @param {object} body
+     * @return {string|undefined}
+     */
+    static getSessionProjectId(body) {
+        let match = _.isString(_.get(body, 'session')) &&
+            body.session.match(/^projects\/([^/]+)\//);
+        if (match) {
+            return match[1];
+        }
+    }
+
+    /**
+     * Returns the (unverified) project ID of a Google request from the
+     * Dialogflow V2 session or the Google-Assistant-Signature header
+     * @public
+     * @param {object} body
+     * @param {object} headers
+     * @return {string|undefined}
+     */
+    static getProjectId(body, headers) {
+        let projectId = GoogleVerifier.getSessionProjectId(body);
+        if (projectId) {
+            return projectId;
+        }
+        let decoded = GoogleVerifier.decodeToken(lowerCaseKeys(headers)[SIGNATURE_HEADER]);
+        if (decoded) {
+            return decoded.payload.aud;
+        }
+    }
+}
+
+/**
+ * Returns the headers with lower case names
+ * @param {object} headers
+ * @return {object}
+ */
+function lowerCaseKeys(headers) {
+    return _.mapKeys(headers, (value, key) => key.toLowerCase());
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} value
+ * @param {string} expected
+ * @return {boolean}
+ */
+function safeEqual(value, expected) {
+    if (!_.isString(value) || !_.isString(expected)) {
+        return false;
+    }
+    let a = Buffer.from(value);
+    let b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports.GoogleVerifier = GoogleVerifier;
@@ -0,0 +1,47 @@
+'use strict';
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const alexaVerifier = require('alexa-verifier-middleware');
+
+/**
+ * Returns true if the request has the signature headers of Alexa requests
+ * @param {*} req
+ * @return {boolean}
+ */
+function isAlexaRequest(req) {
+    return !!(req.headers.signaturecertchainurl || req.headers.signature);
+}
+
+/**
+ * Creates a router that verifies every request before it reaches the routes.
+ * Alexa requests (with signature headers) are checked with the
+ * alexa-verifier-middleware, all other requests are handled as Google requests
+ * and have to pass the checks of the GoogleVerifier.
+ * Invalid requests get a 401 response.
+ * @param {GoogleVerifier} googleVerifier
+ * @return {*} express router
+ */
+function createVerifiedRouter(googleVerifier) {
+    const router = express.Router(); // eslint-disable-line
+    const jsonParser = bodyParser.json();
+
+    router.use(function(req, res, next) {
+        if (isAlexaRequest(req)) {
+            return alexaVerifier(req, res, next);
+        }
+        jsonParser(req, res, function(err) {
+            if (err) {
+                return next(err);
+            }
+            googleVerifier.verify(req).then(() => {
+                next();
+            }, (error) => {
+                res.status(401).json({status: 'failure', reason: error.message});
+            });
+        });
+    });
+    return router;
+}
+
+module.exports.createVerifiedRouter = createVerifiedRouter;
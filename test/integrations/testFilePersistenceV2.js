@@ -0,0 +1,35 @@
+'use strict';
+let assert = require('chai').assert;
+const FilePersistence = require('../../lib/integrations/db/filePersistenceV2').FilePersistence;
+
+const fs = require('fs');
+describe('FilePersistenceV2 Class', function() {
+    describe('saveFullObject', function() {
+        it('should keep the file valid if data is saved at the same time', function(done) {
+            this.timeout(2000);
+            let filename = './db/testdbv2.json';
+            let saveCount = 20;
+            let saved = 0;
+
+            let callback = function(err) {
+                assert.notOk(err);
+                if (++saved < saveCount) {
+                    return;
+                }
+                let userArray = JSON.parse(fs.readFileSync(filename, 'utf8'));
+                assert.ok(userArray.length > 0);
+                fs.unlinkSync(filename);
+                done();
+            };
+
+            // large and small files, written while others are read
+            for (let i = 0; i < saveCount; i++) {
+                setTimeout(function() {
+                    let fp = new FilePersistence('testdbv2');
+                    let text = i % 2 === 0 ? 'a'.repeat(100000) : 'b';
+                    fp.setMainKey('user' + i).saveFullObject('userData', {text: text}, callback);
+                }, i);
+            }
+        });
+    });
+});
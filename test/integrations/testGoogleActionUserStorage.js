@@ -0,0 +1,234 @@
+'use strict';
+let assert = require('chai').assert;
+
+let Jovo = require('../../lib/jovo');
+const GoogleActionUserStorage = require('../../lib/integrations/db/googleActionUserStorage').GoogleActionUserStorage;
+const RequestBuilderGoogleAction = require('../../lib/platforms/googleaction/requestBuilderGoogleAction').RequestBuilderGoogleAction;
+const RequestBuilderActionsSdk = require('../../lib/platforms/googleaction/requestBuilderActionsSdk').RequestBuilderActionsSdk;
+const RequestBuilderAlexaSkill = require('../../lib/platforms/alexa/requestBuilderAlexaSkill').RequestBuilderAlexaSkill;
+
+/**
+ * Returns app with the user storage as default db
+ * @return {Jovo}
+ */
+function createApp() {
+    let app = new Jovo.Jovo();
+    app.setGoogleActionUserStorage();
+    return app;
+}
+
+/**
+ * Returns Dialogflow request with the given user storage
+ * @param {string=} userStorage
+ * @return {*}
+ */
+function createRequest(userStorage) {
+    let request = (new RequestBuilderGoogleAction())
+        .intentRequest('HelloWorldIntent')
+        .build();
+    if (typeof userStorage !== 'undefined') {
+        request.body.originalRequest.data.user.userStorage = userStorage;
+    }
+    return request;
+}
+
+describe('GoogleActionUserStorage Class', function() {
+    describe('user data', function() {
+        it('should create user data for new users and send it as user storage', function(done) {
+            let app = createApp();
+
+            app.handleRequest(createRequest(), {
+                json: function(json) {
+                    let userStorage = JSON.parse(json.data.google.userStorage);
+                    assert.strictEqual(userStorage.userData.data.name, 'John');
+                    assert.strictEqual(userStorage.userData.metaData.sessionsCount, 1);
+                    done();
+                },
+            }, {
+                'HelloWorldIntent': function() {
+                    assert.isTrue(this.user().isNewUser());
+                    this.user().data.name = 'John';
+                    this.tell('Hello');
+                },
+            }).execute();
+        });
+
+        it('should load user data from the user storage of the request', function(done) {
+            let app = createApp();
+            let request = createRequest(JSON.stringify({
+                userData: {
+                    data: {
+                        name: 'John',
+                    },
+                    metaData: {
+                        sessionsCount: 3,
+                    },
+                },
+            }));
+
+            app.handleRequest(request, {
+                json: function(json) {
+                    let userStorage = JSON.parse(json.data.google.userStorage);
+                    assert.strictEqual(userStorage.userData.data.visits, 1);
+                    assert.strictEqual(userStorage.userData.metaData.sessionsCount, 4);
+                    done();
+                },
+            }, {
+                'HelloWorldIntent': function() {
+                    assert.isFalse(this.user().isNewUser());
+                    assert.strictEqual(this.user().data.name, 'John');
+                    this.user().data.visits = 1;
+                    this.tell('Welcome back ' + this.user().data.name);
+                },
+            }).execute();
+        });
+
+        it('should send the response without the user storage if it exceeds the size limit', function(done) {
+            let app = createApp();
+
+            app.handleRequest(createRequest(), {
+                json: function(json) {
+                    assert.isUndefined(json.data.google.userStorage);
+                    assert.strictEqual(json.speech, '<speak>Hello</speak>');
+                    done();
+                },
+            }, {
+                'HelloWorldIntent': function() {
+                    this.user().data.text = new Array(
+                        GoogleActionUserStorage.MAX_USER_STORAGE_SIZE + 1).join('a');
+                    this.tell('Hello');
+                },
+                'ON_ERROR': function(error) {
+                    done(new Error('ON_ERROR should not be called'));
+                },
+            }).execute();
+        });
+
+        it('should reject writes that exceed the size limit', function(done) {
+            let app = createApp();
+            let jovo = app.handleRequest(createRequest(), {}, {});
+            let text = new Array(GoogleActionUserStorage.MAX_USER_STORAGE_SIZE + 1).join('a');
+
+            jovo.db().save('text', text, function(err) {
+                assert.strictEqual(err.code, GoogleActionUserStorage.ERR_SIZE_LIMIT_EXCEEDED);
+                assert.isUndefined(jovo.googleAction().getResponse().getUserStorage());
+                done();
+            });
+        });
+
+        it('should save the user data of other platforms in the default db', function(done) {
+            let saved = {};
+            let app = new Jovo.Jovo();
+            app.setDb('memory', {
+                setMainKey: function(mainKey) {
+                    this.mainKey = mainKey;
+                    return this;
+                },
+                loadObject: function(callback) {
+                    let err = new Error('Mainkey not found');
+                    err.code = 'ERR_MAIN_KEY_NOT_FOUND';
+                    callback(err, null);
+                },
+                saveFullObject: function(key, newData, callback) {
+                    saved[this.mainKey] = newData;
+                    callback(null);
+                },
+            });
+            app.setGoogleActionUserStorage();
+
+            let request = (new RequestBuilderAlexaSkill())
+                .intentRequest()
+                .setIntentName('HelloWorldIntent')
+                .build();
+            let jovo = app.handleRequest(request, {
+                json: function(json) {
+                    assert.strictEqual(saved[jovo.getUserId()].data.name, 'John');
+                    assert.strictEqual(json.response.outputSpeech.ssml, '<speak>Hello</speak>');
+                    done();
+                },
+            }, {
+                'HelloWorldIntent': function() {
+                    this.user().data.name = 'John';
+                    this.tell('Hello');
+                },
+            });
+            jovo.execute();
+        });
+
+        it('should send the user storage with the Actions SDK', function(done) {
+            let app = createApp();
+            let request = (new RequestBuilderActionsSdk())
+                .textRequest('hello')
+                .build();
+
+            app.handleRequest(request, {
+                json: function(json) {
+                    let userStorage = JSON.parse(json.userStorage);
+                    assert.strictEqual(userStorage.userData.data.name, 'John');
+                    assert.isDefined(json.finalResponse);
+                    done();
+                },
+            }, {
+                'actions.intent.TEXT': function() {
+                    this.user().data.name = 'John';
+                    this.tell('Hello');
+                },
+            }).execute();
+        });
+    });
+
+    describe('save, load and delete', function() {
+        it('should save, load and delete values', function(done) {
+            let app = createApp();
+            let jovo = app.handleRequest(createRequest(JSON.stringify({
+                data: {
+                    color: 'blue',
+                },
+            })), {}, {});
+            let db = jovo.db();
+            let response = jovo.googleAction().getResponse();
+
+            db.load('color', function(err, color) {
+                assert.strictEqual(color, 'blue');
+
+                db.save('size', 'XL', function(err) {
+                    assert.isNull(err);
+                    assert.deepEqual(JSON.parse(response.getUserStorage()), {
+                        data: {
+                            color: 'blue',
+                            size: 'XL',
+                        },
+                    });
+
+                    db.deleteData('color', function(err, deleted) {
+                        assert.isTrue(deleted);
+                        db.load('color', function(err) {
+                            assert.strictEqual(
+                                err.code, GoogleActionUserStorage.ERR_DATA_KEY_NOT_FOUND);
+
+                            db.deleteUser(function(err, deleted) {
+                                assert.isTrue(deleted);
+                                assert.strictEqual(response.getUserStorage(), '');
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should return an error for other platforms without a default db', function(done) {
+            let app = new Jovo.Jovo();
+            app.setDb('userstorage', new GoogleActionUserStorage());
+            let request = (new RequestBuilderAlexaSkill())
+                .intentRequest('HelloWorldIntent')
+                .build();
+            let jovo = app.handleRequest(request, {}, {});
+
+            jovo.db().loadObject(function(err) {
+                assert.strictEqual(err.code, GoogleActionUserStorage.ERR_NO_GOOGLE_ACTION);
+                done();
+            });
+        });
+    });
+});
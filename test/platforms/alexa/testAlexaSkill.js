@@ -54,3 +54,109 @@ describe('alexaSkill()', function() {
         assert(app.alexaSkill().getType() === Jovo.PLATFORM_ENUM.ALEXA_SKILL, 'ALEXA_SKILL');
     });
 });
+
+describe('getInputs()', function() {
+    it('should return input objects with entity resolution data', function() {
+        let app = new Jovo.Jovo();
+
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('OrderIntent')
+            .addSlot('size', 'big')
+            .addSlot('amount', '2')
+            .build();
+        request.body.request.intent.slots.size.confirmationStatus = 'NONE';
+        request.body.request.intent.slots.size.resolutions = {
+            resolutionsPerAuthority: [
+                {
+                    authority: 'amzn1.er-authority.echo-sdk.amzn1.ask.skill.123.SIZE',
+                    status: {
+                        code: 'ER_SUCCESS_MATCH',
+                    },
+                    values: [
+                        {
+                            value: {
+                                name: 'large',
+                                id: 'SIZE_L',
+                            },
+                        },
+                    ],
+                },
+            ],
+        };
+
+        app = app.handleRequest(request, response, {
+            'OrderIntent': function() {
+            },
+        });
+        assert.deepEqual(app.alexaSkill().getInput('size'), {
+            value: 'big',
+            canonicalValue: 'large',
+            id: 'SIZE_L',
+            spokenValue: 'big',
+            isMatch: true,
+            confirmationStatus: 'NONE',
+        });
+        assert.deepEqual(app.alexaSkill().getInput('amount'), {
+            value: '2',
+            canonicalValue: '2',
+            id: undefined,
+            spokenValue: '2',
+            isMatch: true,
+            confirmationStatus: undefined,
+        });
+    });
+
+    it('should not match without successful entity resolution', function() {
+        let app = new Jovo.Jovo();
+
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('OrderIntent')
+            .addSlot('size', 'gigantic')
+            .build();
+        request.body.request.intent.slots.size.resolutions = {
+            resolutionsPerAuthority: [
+                {
+                    authority: 'amzn1.er-authority.echo-sdk.amzn1.ask.skill.123.SIZE',
+                    status: {
+                        code: 'ER_SUCCESS_NO_MATCH',
+                    },
+                },
+            ],
+        };
+
+        app = app.handleRequest(request, response, {
+            'OrderIntent': function() {
+            },
+        });
+        let input = app.getPlatform().getInput('size');
+        assert.strictEqual(input.isMatch, false);
+        assert.strictEqual(input.canonicalValue, 'gigantic');
+        assert.strictEqual(input.id, undefined);
+    });
+});
+
+describe('ask() with multiple reprompts', function() {
+    it('should use the first reprompt', function(done) {
+        let app = new Jovo.Jovo();
+
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .build();
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(
+                    json.response.reprompt.outputSpeech.ssml,
+                    '<speak>What is your name?</speak>');
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.ask('Hello', ['What is your name?', 'Please tell me your name']);
+            },
+        }).execute();
+    });
+});
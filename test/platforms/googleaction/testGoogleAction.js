@@ -3,6 +3,7 @@ let assert = require('chai').assert;
 
 let Jovo = require('../../../lib/jovo');
 let RequestBuilderGoogleAction = require('../../../lib/platforms/googleaction/requestBuilderGoogleAction').RequestBuilderGoogleAction;
+const GoogleAction = require('../../../lib/platforms/googleaction/googleAction').GoogleAction;
 
 const webhookAlexaIntentRequestResponseJSON = '{"domain":null,"_events":{},"_eventsCount":1,"output":[],"outputEncodings":[],"outputCallbacks":[],"outputSize":0,"writable":true,"_last":false,"upgrading":false,"chunkedEncoding":false,"shouldKeepAlive":true,"useChunkedEncodingByDefault":true,"sendDate":true,"_removedHeader":{},"_contentLength":null,"_hasBody":true,"_trailer":"","finished":false,"_headerSent":false,"socket":{"connecting":false,"_hadError":false,"_handle":{"bytesRead":2006,"_externalStream":{},"fd":-1,"reading":true,"owner":"~socket","onconnection":null,"writeQueueSize":0},"_parent":null,"_host":null,"_readableState":{"objectMode":false,"highWaterMark":16384,"buffer":{"head":null,"tail":null,"length":0},"length":0,"pipes":null,"pipesCount":0,"flowing":true,"ended":false,"endEmitted":false,"reading":true,"sync":false,"needReadable":true,"emittedReadable":false,"readableListening":false,"resumeScheduled":false,"defaultEncoding":"utf8","ranOut":false,"awaitDrain":0,"readingMore":false,"decoder":null,"encoding":null},"readable":true,"domain":null,"_events":{"end":[null,null],"drain":[null,null],"close":[null,null]},"_eventsCount":10,"_writableState":{"objectMode":false,"highWaterMark":16384,"needDrain":false,"ending":false,"ended":false,"finished":false,"decodeStrings":false,"defaultEncoding":"utf8","length":0,"writing":false,"corked":0,"sync":true,"bufferProcessing":false,"writecb":null,"writelen":0,"bufferedRequest":null,"lastBufferedRequest":null,"pendingcb":0,"prefinished":false,"errorEmitted":false,"bufferedRequestCount":0,"corkedRequestsFree":{"next":null,"entry":null}},"writable":true,"allowHalfOpen":true,"destroyed":false,"_bytesDispatched":0,"_sockname":null,"_pendingData":null,"_pendingEncoding":"","server":{"domain":null,"_events":{},"_eventsCount":2,"_connections":1,"_handle":{"bytesRead":0,"_externalStream":{},"fd":-1,"reading":false,"owner":"~socket~server","onread":null,"writeQueueSize":0},"_usingSlaves":false,"_slaves":[],"_unref":false,"allowHalfOpen":true,"pauseOnConnect":false,"httpAllowHalfOpen":false,"timeout":120000,"_pendingResponseData":0,"_connectionKey":"6::::3000"},"_server":"~socket~server","_idleTimeout":120000,"_idleNext":{"_idleNext":"~socket","_idlePrev":"~socket","_timer":{"_list":"~socket~_idleNext"},"_unrefed":true,"msecs":120000},"_idlePrev":"~socket~_idleNext","_idleStart":8664,"parser":{"_headers":[],"_url":"","_consumed":true,"socket":"~socket","incoming":{"_readableState":{"objectMode":false,"highWaterMark":16384,"buffer":{"head":null,"tail":null,"length":0},"length":0,"pipes":null,"pipesCount":0,"flowing":true,"ended":true,"endEmitted":true,"reading":false,"sync":false,"needReadable":false,"emittedReadable":false,"readableListening":false,"resumeScheduled":false,"defaultEncoding":"utf8","ranOut":false,"awaitDrain":0,"readingMore":false,"decoder":null,"encoding":null},"readable":false,"domain":null,"_events":{},"_eventsCount":0,"socket":"~socket","connection":"~socket","httpVersionMajor":1,"httpVersionMinor":1,"httpVersion":"1.1","complete":true,"headers":{"content-type":"application/json; charset=utf-8","accept":"application/json","accept-charset":"utf-8","signature":"aZyyXmQqNdcUTJ1Z7T7TTsJsTO58oRGVg1uBgpU5luS2+HIVmk+NMAs/ocp0T/IL7lGOJ3TtjIiDTHQs5FlndJhdTN7bjyYtpqfc6XgqZNXVuzBeu2rKJyc4iEI6dkiKusF5BXrArGVsKOv0El52Obi9lB5XEOJatpDRHL9pl+42hYHN6h1GTSIZdtkqPN0DeMbrmaK+SYGSvb0AjaEz07hie9Sf89R2Yw1PGvMp6Uk/2Y4YuD3xcYn+KfIix0UMfI2tLFm828mHNhabMAGbGAZ5iQLDW35kXvpRZ/PEWvmbIxGgsqXpeaXa1SXyp+U9qKUofubRk+t9ndzWf5XdGw==","signaturecertchainurl":"https://s3.amazonaws.com/echo.api/echo-api-cert-4.pem","content-length":"1290","host":"31bdcaa9.ngrok.io","user-agent":"Apache-HttpClient/4.5.x (Java/1.8.0_112)","x-forwarded-proto":"https","x-forwarded-for":"72.21.217.175"},"rawHeaders":["Content-Type","application/json; charset=utf-8","Accept","application/json","Accept-Charset","utf-8","Signature","aZyyXmQqNdcUTJ1Z7T7TTsJsTO58oRGVg1uBgpU5luS2+HIVmk+NMAs/ocp0T/IL7lGOJ3TtjIiDTHQs5FlndJhdTN7bjyYtpqfc6XgqZNXVuzBeu2rKJyc4iEI6dkiKusF5BXrArGVsKOv0El52Obi9lB5XEOJatpDRHL9pl+42hYHN6h1GTSIZdtkqPN0DeMbrmaK+SYGSvb0AjaEz07hie9Sf89R2Yw1PGvMp6Uk/2Y4YuD3xcYn+KfIix0UMfI2tLFm828mHNhabMAGbGAZ5iQLDW35kXvpRZ/PEWvmbIxGgsqXpeaXa1SXyp+U9qKUofubRk+t9ndzWf5XdGw==","SignatureCertChainUrl","https://s3.amazonaws.com/echo.api/echo-api-cert-4.pem","Content-Length","1290","Host","31bdcaa9.ngrok.io","User-Agent","Apache-HttpClient/4.5.x (Java/1.8.0_112)","X-Forwarded-Proto","https","X-Forwarded-For","72.21.217.175"],"trailers":{},"rawTrailers":[],"upgrade":false,"url":"/webhook","method":"POST","statusCode":null,"statusMessage":null,"client":"~socket","_consuming":true,"_dumped":false,"baseUrl":"","originalUrl":"/webhook","_parsedUrl":{"protocol":null,"slashes":null,"auth":null,"host":null,"port":null,"hostname":null,"hash":null,"search":null,"query":null,"pathname":"/webhook","path":"/webhook","href":"/webhook","_raw":"/webhook"},"params":{},"query":{},"res":"~","body":{"version":"1.0","session":{"new":true,"sessionId":"amzn1.echo-api.session.ce892f42-d6be-4097-a684-6f01f1bf31be","application":{"applicationId":"amzn1.ask.skill.da189077-4646-4d7f-9b90-722a59a8e6c4"},"user":{"userId":"amzn1.ask.account.AFO32TGCNESUA3D5SUYB3YAMT5WVPYYZENYDI7IXZUJQCNOZLFMQFS7EXOSJ5HIRGDN5NO7MFXG4TC37GNG6HTHRRYKQLUF2BVV3LSKZNDU57T3F7ADY2LICCXV7LVL5LIZS5IWWENFM3NKG4AP4P4QRH3GSJJ4DIO65R6JVXOGX2V4CLDUCT4K735WZILHGUDKQATPHZQIMW4Y"}},"context":{"AudioPlayer":{"playerActivity":"STOPPED"},"System":{"application":{"applicationId":"amzn1.ask.skill.da189077-4646-4d7f-9b90-722a59a8e6c4"},"user":{"userId":"amzn1.ask.account.AFO32TGCNESUA3D5SUYB3YAMT5WVPYYZENYDI7IXZUJQCNOZLFMQFS7EXOSJ5HIRGDN5NO7MFXG4TC37GNG6HTHRRYKQLUF2BVV3LSKZNDU57T3F7ADY2LICCXV7LVL5LIZS5IWWENFM3NKG4AP4P4QRH3GSJJ4DIO65R6JVXOGX2V4CLDUCT4K735WZILHGUDKQATPHZQIMW4Y"},"device":{"deviceId":"amzn1.ask.device.AHTBHAUKNGBO44QH6IDG4UHF2VHTKD4B7ZLLZVUQHTNNNSGBHABNZWMRXNDJJKKGB5A4QKZ4D72XEHVG4HKCRTR73XH7TPIVB3RTCQJZC4FQZPFG3DXKB4KXB3ZDTUACJ3VOZTUQCZDHY5Y62RUMMW5YN7EA","supportedInterfaces":{"AudioPlayer":{}}},"apiEndpoint":"https://api.amazonalexa.com"}},"request":{"type":"LaunchRequest","requestId":"amzn1.echo-api.request.4812a2af-8a96-47fb-9c1d-00b46c85cb12","timestamp":"2017-06-12T15:41:07Z","locale":"en-US"}},"_body":true,"route":{"path":"/webhook","stack":[{"name":"<anonymous>","keys":[],"regexp":{"fast_star":false,"fast_slash":false},"method":"post"}],"methods":{"post":true}}},"outgoing":null,"maxHeaderPairs":2000},"_paused":false,"_consuming":true,"_httpMessage":"~"},"connection":"~socket","_header":null,"_headers":{"x-powered-by":"Express"},"_headerNames":{"x-powered-by":"X-Powered-By"},"req":"~socket~parser~incoming","locals":{}}';
 let response = JSON.parse(webhookAlexaIntentRequestResponseJSON);
@@ -53,3 +54,619 @@ describe('googleAction()', function() {
         assert(app.googleAction().getType() === Jovo.PLATFORM_ENUM.GOOGLE_ACTION, 'GOOGLE_ACTION');
     });
 });
+
+describe('getInputs()', function() {
+    it('should return input objects with the original value', function() {
+        let app = new Jovo.Jovo();
+
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest()
+            .setIntentName('OrderIntent')
+            .addParameter('size', 'large')
+            .addParameter('topping', '')
+            .addContextParameter('order', 'size.original', 'big')
+            .build();
+
+        app = app.handleRequest(request, response, {
+            'OrderIntent': function() {
+            },
+        });
+        assert.deepEqual(app.googleAction().getInput('size'), {
+            value: 'large',
+            canonicalValue: 'large',
+            id: undefined,
+            spokenValue: 'big',
+            isMatch: true,
+            confirmationStatus: undefined,
+        });
+        assert.strictEqual(app.googleAction().getInput('topping').isMatch, false);
+    });
+});
+
+describe('getApplicationId()', function() {
+    it('should return the project ID of the Google-Assistant-Signature', function() {
+        let app = new Jovo.Jovo();
+
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest()
+            .build();
+        let payload = Buffer.from(JSON.stringify({aud: 'my-project'})).toString('base64');
+        request.headers = {
+            'google-assistant-signature': 'eyJhbGciOiJSUzI1NiJ9.' + payload + '.signature',
+        };
+
+        app = app.handleRequest(request, response, {});
+        assert.strictEqual(app.getPlatform().getApplicationId(), 'my-project');
+    });
+
+    it('should return an empty string without project ID', function() {
+        let app = new Jovo.Jovo();
+
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest()
+            .build();
+
+        app = app.handleRequest(request, response, {});
+        assert.strictEqual(app.getPlatform().getApplicationId(), '');
+    });
+});
+
+/**
+ * Returns an intent request with the Actions on Google intent and arguments
+ * @param {string} intent e.g. actions.intent.CANCEL
+ * @param {Array=} args
+ * @return {*}
+ */
+function actionsIntentRequest(intent, args) {
+    let request = (new RequestBuilderGoogleAction())
+        .intentRequest()
+        .build();
+    request.body.originalRequest.data.inputs[0] = {
+        intent: intent,
+        rawInputs: [{inputType: 'VOICE'}],
+        arguments: args || [],
+    };
+    return request;
+}
+
+describe('END and NO_INPUT', function() {
+    it('should map actions.intent.CANCEL to END', function(done) {
+        let app = new Jovo.Jovo();
+        let request = actionsIntentRequest('actions.intent.CANCEL');
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(json.data.google.expectUserResponse, false);
+                assert.strictEqual(
+                    json.data.google.richResponse.items[0].simpleResponse.ssml,
+                    '<speak>Goodbye</speak>');
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                done(new Error('HelloWorldIntent should not be called'));
+            },
+            'END': function() {
+                assert.isTrue(this.isEndRequest());
+                assert.strictEqual(this.getEndReason(), 'USER_INITIATED');
+                assert.strictEqual(this.getHandlerPath(), 'END:USER_INITIATED');
+                this.tell('Goodbye');
+            },
+        }).execute();
+    });
+
+    it('should end the conversation without END handler', function(done) {
+        let app = new Jovo.Jovo();
+        let request = actionsIntentRequest('actions.intent.CANCEL');
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(json.data.google.expectUserResponse, false);
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+            },
+        }).execute();
+    });
+
+    it('should call NO_INPUT with the reprompt count', function(done) {
+        let app = new Jovo.Jovo();
+        let request = actionsIntentRequest('actions.intent.NO_INPUT', [
+            {name: 'REPROMPT_COUNT', intValue: 2},
+            {name: 'IS_FINAL_REPROMPT', boolValue: false},
+        ]);
+        request.body.result.contexts.push({
+            name: 'session',
+            lifespan: 10000,
+            parameters: {STATE: 'QuizState'},
+        });
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(json.data.google.expectUserResponse, true);
+                assert.strictEqual(
+                    json.data.google.richResponse.items[0].simpleResponse.ssml,
+                    '<speak>Are you still there?</speak>');
+                done();
+            },
+        }, {
+            'QuizState': {
+                'AnswerIntent': function() {
+                },
+                'NO_INPUT': function(repromptCount) {
+                    assert.isTrue(this.isNoInputRequest());
+                    assert.strictEqual(repromptCount, 2);
+                    this.ask('Are you still there?');
+                },
+            },
+        }).execute();
+    });
+
+    it('should map the final actions.intent.NO_INPUT to END', function(done) {
+        let app = new Jovo.Jovo();
+        let request = actionsIntentRequest('actions.intent.NO_INPUT', [
+            {name: 'REPROMPT_COUNT', intValue: 3},
+            {name: 'IS_FINAL_REPROMPT', boolValue: true},
+        ]);
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(json.data.google.expectUserResponse, false);
+                done();
+            },
+        }, {
+            'NO_INPUT': function() {
+                done(new Error('NO_INPUT should not be called'));
+            },
+            'END': function() {
+                assert.strictEqual(this.getEndReason(), 'EXCEEDED_MAX_REPROMPTS');
+                this.tell('Talk to you later');
+            },
+        }).execute();
+    });
+
+    it('should repeat the last response without NO_INPUT handler', function(done) {
+        let app = new Jovo.Jovo();
+        let request = actionsIntentRequest('actions.intent.NO_INPUT', [
+            {name: 'REPROMPT_COUNT', intValue: 1},
+        ]);
+        request.body.result.contexts.push({
+            name: 'session',
+            lifespan: 10000,
+            parameters: {
+                LAST_RESPONSE: {
+                    speech: '<speak>Which color?</speak>',
+                    reprompt: ['<speak>Red or blue?</speak>', '<speak>Say red or blue</speak>'],
+                },
+            },
+        });
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.deepEqual(json.data.google.noInputPrompts, [
+                    {ssml: '<speak>Red or blue?</speak>'},
+                    {ssml: '<speak>Say red or blue</speak>'},
+                ]);
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+            },
+        }).execute();
+    });
+});
+
+describe('ask() with multiple reprompts', function() {
+    it('should set all reprompts as no input prompts', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest('HelloWorldIntent')
+            .build();
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.deepEqual(json.data.google.noInputPrompts, [
+                    {ssml: '<speak>What is your name?</speak>'},
+                    {ssml: '<speak>Please tell me your name</speak>'},
+                    {ssml: '<speak>Are you still there?</speak>'},
+                ]);
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.ask('Hello', [
+                    'What is your name?',
+                    this.speechBuilder().addText('Please tell me your name'),
+                    'Are you still there?',
+                ]);
+                assert.isTrue(this.googleAction().getResponse().isAsk('Hello', [
+                    'What is your name?',
+                    'Please tell me your name',
+                    'Are you still there?',
+                ]));
+            },
+        }).execute();
+    });
+});
+
+describe('helper intents', function() {
+    it('should ask for permission with a system intent', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest('HelloWorldIntent')
+            .build();
+
+        app.handleRequest(request, {
+            json: function(json) {
+                let google = json.data.google;
+                assert.strictEqual(google.expectUserResponse, true);
+                assert.deepEqual(google.systemIntent, {
+                    intent: 'actions.intent.PERMISSION',
+                    data: {
+                        '@type': 'type.googleapis.com/google.actions.v2.PermissionValueSpec',
+                        'optContext': 'To address you by name',
+                        'permissions': ['NAME'],
+                    },
+                });
+                assert.strictEqual(
+                    google.richResponse.items[0].simpleResponse.textToSpeech,
+                    'PLACEHOLDER_FOR_PERMISSION');
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.googleAction().askForPermission(
+                    this.googleAction().constructor.PERMISSIONS_ENUM.NAME,
+                    'To address you by name');
+            },
+        }).execute();
+    });
+
+    it('should call ON_PERMISSION with the granted name and coordinates', function(done) {
+        let app = new Jovo.Jovo();
+        let request = actionsIntentRequest('actions.intent.PERMISSION', [
+            {name: 'PERMISSION', boolValue: true, textValue: 'true'},
+        ]);
+        let data = request.body.originalRequest.data;
+        data.user.profile = {
+            displayName: 'John Doe',
+            givenName: 'John',
+            familyName: 'Doe',
+        };
+        data.device = {
+            location: {
+                coordinates: {
+                    latitude: 52.5,
+                    longitude: 13.4,
+                },
+            },
+        };
+
+        app.handleRequest(request, {
+            json: function(json) {
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                done(new Error('HelloWorldIntent should not be called'));
+            },
+            'ON_PERMISSION': function(permission) {
+                assert.isTrue(this.getPlatform().isPermissionGranted());
+                assert.isTrue(permission.granted);
+                assert.strictEqual(permission.name.givenName, 'John');
+                assert.deepEqual(permission.coordinates, {
+                    latitude: 52.5,
+                    longitude: 13.4,
+                });
+                this.tell('Hello ' + permission.name.givenName);
+            },
+        }).execute();
+    });
+
+    it('should call ON_CONFIRMATION in the state with the confirmation', function(done) {
+        let app = new Jovo.Jovo();
+        let request = actionsIntentRequest('actions.intent.CONFIRMATION', [
+            {name: 'CONFIRMATION', boolValue: false},
+        ]);
+        request.body.result.contexts.push({
+            name: 'session',
+            lifespan: 10000,
+            parameters: {STATE: 'OrderState'},
+        });
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(
+                    json.data.google.richResponse.items[0].simpleResponse.ssml,
+                    '<speak>Order cancelled</speak>');
+                done();
+            },
+        }, {
+            'OrderState': {
+                'OrderIntent': function() {
+                    this.googleAction().askForConfirmation('Do you want to order?');
+                },
+                'ON_CONFIRMATION': function(confirmed) {
+                    assert.isFalse(confirmed);
+                    this.tell(confirmed ? 'Order placed' : 'Order cancelled');
+                },
+            },
+        }).execute();
+    });
+
+    it('should call ON_DATETIME and ON_PLACE with the chosen values', function(done) {
+        let app = new Jovo.Jovo();
+        let dateTime = {
+            date: {year: 2018, month: 1, day: 20},
+            time: {hours: 19, minutes: 30},
+        };
+        let request = actionsIntentRequest('actions.intent.DATETIME', [
+            {name: 'DATETIME', datetimeValue: dateTime},
+        ]);
+
+        app.handleRequest(request, {
+            json: function(json) {
+                let place = {
+                    coordinates: {latitude: 52.5, longitude: 13.4},
+                    formattedAddress: 'Alexanderplatz, Berlin',
+                    name: 'Alexanderplatz',
+                };
+                let placeRequest = actionsIntentRequest('actions.intent.PLACE', [
+                    {name: 'PLACE', placeValue: place},
+                ]);
+
+                app.handleRequest(placeRequest, {
+                    json: function(json) {
+                        done();
+                    },
+                }, {
+                    'ON_PLACE': function(result) {
+                        assert.deepEqual(result, place);
+                        this.tell('Going to ' + result.name);
+                    },
+                }).execute();
+            },
+        }, {
+            'ON_DATETIME': function(result) {
+                assert.deepEqual(result, dateTime);
+                this.googleAction().askForPlace('Where do you want to go?', 'To find a table');
+            },
+        }).execute();
+    });
+
+    it('should throw an error without handler for the helper intent', function() {
+        let app = new Jovo.Jovo();
+        let request = actionsIntentRequest('actions.intent.CONFIRMATION', [
+            {name: 'CONFIRMATION', boolValue: true},
+        ]);
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+            },
+        });
+
+        assert.throws(
+            function() {
+                jovo.handleHelperRequest();
+            },
+            Error,
+            'Error: ON_CONFIRMATION has not been defined in the handler.'
+        );
+    });
+});
+
+describe('media responses', function() {
+    it('should add a media response on devices with MEDIA_RESPONSE_AUDIO', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest('PlayIntent')
+            .build();
+        request.body.originalRequest.data.surface.capabilities.push({
+            name: 'actions.capability.MEDIA_RESPONSE_AUDIO',
+        });
+
+        app.handleRequest(request, {
+            json: function(json) {
+                let items = json.data.google.richResponse.items;
+                assert.strictEqual(items[0].simpleResponse.ssml, '<speak>Here is episode 1</speak>');
+                assert.deepEqual(items[1].mediaResponse, {
+                    mediaType: 'AUDIO',
+                    mediaObjects: [{
+                        name: 'Episode 1',
+                        description: 'The first episode',
+                        contentUrl: 'https://example.com/episode1.mp3',
+                    }],
+                });
+                done();
+            },
+        }, {
+            'PlayIntent': function() {
+                this.googleAction().audioPlayer()
+                    .play('https://example.com/episode1.mp3', 'Episode 1', 'The first episode');
+                this.googleAction().showSuggestionChips(['Next episode']);
+                this.ask('Here is episode 1', 'Say next episode');
+                assert.isTrue(this.googleAction().getResponse()
+                    .hasMediaResponse('https://example.com/episode1.mp3'));
+            },
+        }).execute();
+    });
+
+    it('should skip the media response on devices without MEDIA_RESPONSE_AUDIO', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest('PlayIntent')
+            .build();
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.lengthOf(json.data.google.richResponse.items, 1);
+                done();
+            },
+        }, {
+            'PlayIntent': function() {
+                let mediaResponse = new GoogleAction.MediaResponse().addMediaObject(
+                    new GoogleAction.MediaObject()
+                        .setName('Episode 1')
+                        .setContentUrl('https://example.com/episode1.mp3')
+                        .setIcon('https://example.com/icon.png', 'Podcast icon'));
+                this.googleAction().showMediaResponse(mediaResponse);
+                assert.isFalse(this.googleAction().getResponse().hasMediaResponse());
+                this.tell('Sorry, this device can\'t play podcasts');
+            },
+        }).execute();
+    });
+
+    it('should pass actions.intent.MEDIA_STATUS to the AUDIOPLAYER handler', function(done) {
+        let app = new Jovo.Jovo();
+        let request = actionsIntentRequest('actions.intent.MEDIA_STATUS', [{
+            name: 'MEDIA_STATUS',
+            extension: {
+                '@type': 'type.googleapis.com/google.actions.v2.MediaStatus',
+                'status': 'FINISHED',
+            },
+        }]);
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(json.data.google.expectUserResponse, false);
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                done(new Error('HelloWorldIntent should not be called'));
+            },
+            'AUDIOPLAYER': {
+                'GoogleAction.Finished': function() {
+                    assert.isTrue(this.isAudioPlayerRequest());
+                    assert.strictEqual(this.googleAction().audioPlayer().getStatus(), 'FINISHED');
+                    this.tell('That was the last episode');
+                },
+            },
+        }).execute();
+    });
+});
+
+describe('table cards and browsing carousels', function() {
+    /**
+     * Returns request of a device with SCREEN_OUTPUT
+     * @return {*}
+     */
+    function screenRequest() {
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest('CatalogIntent')
+            .build();
+        request.body.originalRequest.data.surface.capabilities.push({
+            name: 'actions.capability.SCREEN_OUTPUT',
+        });
+        return request;
+    }
+
+    it('should add a table card with columns, rows and buttons', function(done) {
+        let app = new Jovo.Jovo();
+
+        app.handleRequest(screenRequest(), {
+            json: function(json) {
+                assert.deepEqual(json.data.google.richResponse.items[1].tableCard, {
+                    title: 'Products',
+                    columnProperties: [
+                        {header: 'Name'},
+                        {header: 'Price', horizontalAlignment: 'TRAILING'},
+                    ],
+                    rows: [{
+                        cells: [{text: 'Shirt'}, {text: '19.99'}],
+                        dividerAfter: true,
+                    }, {
+                        cells: [{text: 'Shoes'}, {text: '59.99'}],
+                    }],
+                    buttons: [{
+                        title: 'Shop',
+                        openUrlAction: {
+                            url: 'https://example.com/shop',
+                        },
+                    }],
+                });
+                done();
+            },
+        }, {
+            'CatalogIntent': function() {
+                let table = new GoogleAction.Table()
+                    .setTitle('Products')
+                    .addColumn('Name')
+                    .addColumn('Price', 'TRAILING')
+                    .addRow(['Shirt', '19.99'], true)
+                    .addRow(['Shoes', '59.99'])
+                    .addButton('Shop', 'https://example.com/shop');
+
+                this.googleAction().showTable(table);
+                this.tell('Here are our products');
+                let response = this.googleAction().getResponse();
+                assert.isTrue(response.hasTable('Products', 2));
+                assert.isFalse(response.hasTable('Services'));
+                assert.isFalse(response.hasBrowsingCarousel());
+            },
+        }).execute();
+    });
+
+    it('should add a browsing carousel with link out items', function(done) {
+        let app = new Jovo.Jovo();
+
+        app.handleRequest(screenRequest(), {
+            json: function(json) {
+                let items = json.data.google.richResponse.items[1].carouselBrowse.items;
+                assert.lengthOf(items, 2);
+                assert.deepEqual(items[0], {
+                    title: 'Shirt',
+                    description: 'Cotton shirt',
+                    footer: '19.99',
+                    image: {
+                        url: 'https://example.com/shirt.png',
+                        accessibilityText: 'Shirt',
+                    },
+                    openUrlAction: {
+                        url: 'https://example.com/shirt',
+                    },
+                });
+                done();
+            },
+        }, {
+            'CatalogIntent': function() {
+                let browsingCarousel = new GoogleAction.BrowsingCarousel()
+                    .addItem(new GoogleAction.BrowsingCarouselItem()
+                        .setTitle('Shirt')
+                        .setDescription('Cotton shirt')
+                        .setFooter('19.99')
+                        .setImage('https://example.com/shirt.png', 'Shirt')
+                        .setUrl('https://example.com/shirt'))
+                    .addItem(new GoogleAction.BrowsingCarouselItem()
+                        .setTitle('Shoes')
+                        .setUrl('https://example.com/shoes'));
+
+                this.googleAction().showBrowsingCarousel(browsingCarousel);
+                this.tell('Here are our products');
+                let response = this.googleAction().getResponse();
+                assert.isTrue(response.hasBrowsingCarousel('https://example.com/shoes'));
+                assert.isFalse(response.hasBrowsingCarousel('https://example.com/hats'));
+            },
+        }).execute();
+    });
+
+    it('should skip table cards on devices without SCREEN_OUTPUT', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest('CatalogIntent')
+            .build();
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.lengthOf(json.data.google.richResponse.items, 1);
+                done();
+            },
+        }, {
+            'CatalogIntent': function() {
+                this.googleAction().showTable(
+                    new GoogleAction.Table().addRow(['Shirt', '19.99']));
+                this.tell('We sell shirts');
+            },
+        }).execute();
+    });
+});
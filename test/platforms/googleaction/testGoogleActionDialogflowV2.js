@@ -0,0 +1,187 @@
+'use strict';
+let assert = require('chai').assert;
+
+let Jovo = require('../../../lib/jovo');
+const GoogleAction = require('../../../lib/platforms/googleaction/googleAction').GoogleAction;
+const GoogleActionDialogflowV2 = require('../../../lib/platforms/googleaction/googleActionDialogflowV2').GoogleActionDialogflowV2;
+const DialogflowV2Response = require('../../../lib/platforms/googleaction/dialogflowV2Response').DialogflowV2Response;
+const RequestBuilderDialogflowV2 = require('../../../lib/platforms/googleaction/requestBuilderDialogflowV2').RequestBuilderDialogflowV2;
+
+const SESSION = 'projects/jovo-test/agent/sessions/1516279227521';
+
+describe('GoogleActionDialogflowV2', function() {
+    it('should handle Dialogflow V2 requests as Google Action', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderDialogflowV2())
+            .launchRequest()
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(json.fulfillmentText, '<speak>Welcome</speak>');
+                assert.strictEqual(json.payload.google.expectUserResponse, true);
+                assert.strictEqual(
+                    json.payload.google.richResponse.items[0].simpleResponse.ssml,
+                    '<speak>Welcome</speak>');
+                assert.strictEqual(
+                    json.payload.google.noInputPrompts[0].ssml,
+                    '<speak>Say a fact</speak>');
+                assert.isUndefined(json.data);
+                done();
+            },
+        }, {
+            'LAUNCH': function() {
+                assert.ok(this.getPlatform() instanceof GoogleActionDialogflowV2);
+                assert.isTrue(this.isGoogleAction());
+                assert.strictEqual(this.getType(), Jovo.PLATFORM_ENUM.GOOGLE_ACTION);
+                assert.strictEqual(this.getUserId(), 'APhe68Ec5RA38YUKzHnc1rvN5VV6');
+                assert.strictEqual(this.getLocale(), 'en-US');
+                assert.isTrue(this.isNewSession());
+                this.ask('Welcome', 'Say a fact');
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should route intents and store session attributes in the session context', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderDialogflowV2())
+            .intentRequest('OrderIntent')
+            .setState('OrderState')
+            .addContextParameter('session', 'count', 1)
+            .addParameter('size', 'large')
+            .addContextParameter('order', 'size.original', 'big')
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                let session = json.outputContexts.find((context) => {
+                    return context.name === SESSION + '/contexts/session';
+                });
+                assert.strictEqual(session.parameters.STATE, 'OrderState');
+                assert.strictEqual(session.parameters.count, 2);
+                assert.strictEqual(session.lifespanCount, 10000);
+                assert.strictEqual(json.outputContexts.length, 4);
+                done();
+            },
+        }, {
+            'OrderState': {
+                'OrderIntent': function() {
+                    let size = this.getInput('size');
+                    assert.strictEqual(size.value, 'large');
+                    assert.strictEqual(size.spokenValue, 'big');
+                    assert.isFalse(this.isNewSession());
+                    this.setSessionAttribute('count', this.getSessionAttribute('count') + 1);
+                    this.ask('How many?', 'How many?');
+                },
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should add the session context to the session path', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderDialogflowV2())
+            .intentRequest('HelloWorldIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                let response = new DialogflowV2Response(json).setSession(SESSION);
+                assert.isTrue(response.hasState('HelloState'));
+                assert.isTrue(response.isAsk('Hello', 'Say hello'));
+                assert.strictEqual(response.getContextOut('session').name,
+                    SESSION + '/contexts/session');
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.followUpState('HelloState').ask('Hello', 'Say hello');
+            },
+            'HelloState': {
+                'HelloWorldIntent': function() {
+                },
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should add cards and lists to the Google payload', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderDialogflowV2())
+            .intentRequest('HelloWorldIntent')
+            .build();
+        request.body.originalDetectIntentRequest.payload.surface.capabilities.push({
+            name: 'actions.capability.SCREEN_OUTPUT',
+        });
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                let google = json.payload.google;
+                assert.deepEqual(google.richResponse.items[1], {
+                    basicCard: {
+                        title: 'Title',
+                        formattedText: 'Content',
+                    },
+                });
+                assert.strictEqual(google.systemIntent.intent, 'actions.intent.OPTION');
+                assert.strictEqual(google.systemIntent.data.listSelect.title, 'List');
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                let list = new GoogleAction.List();
+                list.setTitle('List');
+                list.addItem(
+                    (new GoogleAction.OptionItem())
+                        .setTitle('Item')
+                        .setKey('item'));
+                this.showSimpleCard('Title', 'Content');
+                this.googleAction().showList(list);
+                this.ask('Choose', 'Choose');
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should continue the dialog with the fulfillment text', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderDialogflowV2())
+            .intentRequest('OrderIntent')
+            .build();
+        request.body.queryResult.allRequiredParamsPresent = false;
+        request.body.queryResult.fulfillmentMessages = [{
+            text: {
+                text: ['Which size?'],
+            },
+        }];
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(
+                    json.payload.google.richResponse.items[0].simpleResponse.ssml,
+                    'Which size?');
+                done();
+            },
+        }, {
+            'OrderIntent': function() {
+                assert.strictEqual(this.getDialogState(), Jovo.DIALOGSTATE_ENUM.IN_PROGRESS);
+                this.googleAction().continueDialog();
+                this.respond();
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should return the project ID of the session as application ID', function() {
+        let app = new Jovo.Jovo();
+        app.setAllowedApplicationIds(['jovo-test']);
+        let request = (new RequestBuilderDialogflowV2())
+            .intentRequest('OrderIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, {json: function() {}}, {});
+        assert.strictEqual(jovo.getPlatform().getApplicationId(), 'jovo-test');
+        assert.isTrue(jovo.isRequestAllowed());
+    });
+});
@@ -0,0 +1,205 @@
+'use strict';
+let assert = require('chai').assert;
+
+let Jovo = require('../../../lib/jovo');
+const GoogleActionSdk = require('../../../lib/platforms/googleaction/googleActionSdk').GoogleActionSdk;
+const RequestBuilderActionsSdk = require('../../../lib/platforms/googleaction/requestBuilderActionsSdk').RequestBuilderActionsSdk;
+
+describe('GoogleActionSdk', function() {
+    it('should map actions.intent.MAIN to LAUNCH', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderActionsSdk())
+            .launchRequest()
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(json.expectUserResponse, true);
+                assert.strictEqual(JSON.parse(json.conversationToken).STATE, 'FactState');
+                let expectedInput = json.expectedInputs[0];
+                assert.strictEqual(
+                    expectedInput.inputPrompt.richInitialPrompt.items[0].simpleResponse.ssml,
+                    '<speak>Welcome</speak>');
+                assert.strictEqual(
+                    expectedInput.inputPrompt.noInputPrompts[0].ssml,
+                    '<speak>Say a fact</speak>');
+                assert.deepEqual(expectedInput.possibleIntents, [{
+                    intent: 'actions.intent.TEXT',
+                }]);
+                done();
+            },
+        }, {
+            'LAUNCH': function() {
+                assert.ok(this.getPlatform() instanceof GoogleActionSdk);
+                assert.isTrue(this.isGoogleAction());
+                assert.strictEqual(this.getUserId(), 'APhe68Ec5RA38YUKzHnc1rvN5VV6');
+                assert.isTrue(this.isNewSession());
+                this.followUpState('FactState').ask('Welcome', 'Say a fact');
+            },
+            'FactState': {
+                'FactIntent': function() {
+                },
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should match text to intents with the actionsSdkMatcher', function(done) {
+        let app = new Jovo.Jovo();
+        app.setConfig({
+            actionsSdkMatcher: function(text, locale) {
+                assert.strictEqual(locale, 'en-US');
+                let match = text.match(/fact about (\w+)/);
+                if (match) {
+                    return {
+                        intent: 'FactIntent',
+                        parameters: {
+                            topic: match[1],
+                        },
+                    };
+                }
+            },
+        });
+        let request = (new RequestBuilderActionsSdk())
+            .textRequest('tell me a fact about space')
+            .setState('FactState')
+            .setSessionAttribute('count', 1)
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.deepEqual(json, {
+                    expectUserResponse: false,
+                    finalResponse: {
+                        richResponse: {
+                            items: [{
+                                simpleResponse: {
+                                    ssml: '<speak>Fact 2 about space</speak>',
+                                },
+                            }],
+                        },
+                    },
+                });
+                done();
+            },
+        }, {
+            'FactState': {
+                'FactIntent': function() {
+                    assert.isFalse(this.isNewSession());
+                    let count = this.getSessionAttribute('count') + 1;
+                    this.tell('Fact ' + count + ' about ' + this.getInput('topic').value);
+                },
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should map intent names returned by the matcher', function(done) {
+        let app = new Jovo.Jovo();
+        app.setConfig({
+            actionsSdkMatcher: function(text) {
+                return text === 'help' ? 'help-intent' : undefined;
+            },
+            intentMap: {
+                'help-intent': 'HelpIntent',
+            },
+        });
+        let request = (new RequestBuilderActionsSdk())
+            .textRequest('help')
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                done();
+            },
+        }, {
+            'HelpIntent': function() {
+                this.tell('Help');
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should keep actions.intent.TEXT as intent name without a match', function(done) {
+        let app = new Jovo.Jovo();
+        app.setIntentMap({
+            'actions.intent.TEXT': 'FallbackIntent',
+        });
+        let request = (new RequestBuilderActionsSdk())
+            .textRequest('something else')
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                done();
+            },
+        }, {
+            'FactIntent': function() {
+                done(new Error('FactIntent should not be called'));
+            },
+            'FallbackIntent': function() {
+                assert.strictEqual(this.getPlatform().getIntentName(), 'actions.intent.TEXT');
+                this.tell('Sorry');
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should send lists as possible intent', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderActionsSdk())
+            .textRequest('show me a list')
+            .build();
+        request.body.surface.capabilities.push({
+            name: 'actions.capability.SCREEN_OUTPUT',
+        });
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                let possibleIntent = json.expectedInputs[0].possibleIntents[0];
+                assert.strictEqual(possibleIntent.intent, 'actions.intent.OPTION');
+                assert.strictEqual(possibleIntent.inputValueData.listSelect.title, 'List');
+                done();
+            },
+        }, {
+            'actions.intent.TEXT': function() {
+                let list = new GoogleActionSdk.List();
+                list.setTitle('List');
+                list.addItem(
+                    (new GoogleActionSdk.OptionItem())
+                        .setTitle('Item')
+                        .setKey('item'));
+                this.googleAction().showList(list);
+                this.ask('Choose', 'Choose');
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should send helper intents as possible intent', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderActionsSdk())
+            .textRequest('order a pizza')
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.deepEqual(json.expectedInputs[0].possibleIntents, [{
+                    intent: 'actions.intent.CONFIRMATION',
+                    inputValueData: {
+                        '@type': 'type.googleapis.com/google.actions.v2.ConfirmationValueSpec',
+                        'dialogSpec': {
+                            requestConfirmationText: 'Do you want to order a pizza?',
+                        },
+                    },
+                }]);
+                done();
+            },
+        }, {
+            'actions.intent.TEXT': function() {
+                this.googleAction().askForConfirmation('Do you want to order a pizza?');
+            },
+        });
+        jovo.execute();
+    });
+});
@@ -10,9 +10,16 @@ chai.should();
 
 // let should = chai.should;
 let Jovo = require('../../lib/jovo');
+let JovoError = require('../../lib/jovoError').JovoError;
+let AlexaSkill = require('../../lib/platforms/alexa/alexaSkill').AlexaSkill;
+let AlexaUser = require('../../lib/platforms/alexa/alexaUser').AlexaUser;
+let AlexaSpeechBuilder = require('../../lib/platforms/alexa/alexaSpeechBuilder').AlexaSpeechBuilder;
+let AlexaResponse = require('../../lib/platforms/alexa/alexaResponse').AlexaResponse;
+let StandardIntents = require('../../lib/plugins/standardIntents').StandardIntents;
 
 let RequestBuilderAlexaSkill = require('../../lib/platforms/alexa/requestBuilderAlexaSkill').RequestBuilderAlexaSkill;
 let RequestBuilderGoogleAction = require('../../lib/platforms/googleaction/requestBuilderGoogleAction').RequestBuilderGoogleAction;
+let RequestBuilderActionsSdk = require('../../lib/platforms/googleaction/requestBuilderActionsSdk').RequestBuilderActionsSdk;
 const webhookAlexaIntentRequestResponseJSON = '{"domain":null,"_events":{},"_eventsCount":1,"output":[],"outputEncodings":[],"outputCallbacks":[],"outputSize":0,"writable":true,"_last":false,"upgrading":false,"chunkedEncoding":false,"shouldKeepAlive":true,"useChunkedEncodingByDefault":true,"sendDate":true,"_removedHeader":{},"_contentLength":null,"_hasBody":true,"_trailer":"","finished":false,"_headerSent":false,"socket":{"connecting":false,"_hadError":false,"_handle":{"bytesRead":2006,"_externalStream":{},"fd":-1,"reading":true,"owner":"~socket","onconnection":null,"writeQueueSize":0},"_parent":null,"_host":null,"_readableState":{"objectMode":false,"highWaterMark":16384,"buffer":{"head":null,"tail":null,"length":0},"length":0,"pipes":null,"pipesCount":0,"flowing":true,"ended":false,"endEmitted":false,"reading":true,"sync":false,"needReadable":true,"emittedReadable":false,"readableListening":false,"resumeScheduled":false,"defaultEncoding":"utf8","ranOut":false,"awaitDrain":0,"readingMore":false,"decoder":null,"encoding":null},"readable":true,"domain":null,"_events":{"end":[null,null],"drain":[null,null],"close":[null,null]},"_eventsCount":10,"_writableState":{"objectMode":false,"highWaterMark":16384,"needDrain":false,"ending":false,"ended":false,"finished":false,"decodeStrings":false,"defaultEncoding":"utf8","length":0,"writing":false,"corked":0,"sync":true,"bufferProcessing":false,"writecb":null,"writelen":0,"bufferedRequest":null,"lastBufferedRequest":null,"pendingcb":0,"prefinished":false,"errorEmitted":false,"bufferedRequestCount":0,"corkedRequestsFree":{"next":null,"entry":null}},"writable":true,"allowHalfOpen":true,"destroyed":false,"_bytesDispatched":0,"_sockname":null,"_pendingData":null,"_pendingEncoding":"","server":{"domain":null,"_events":{},"_eventsCount":2,"_connections":1,"_handle":{"bytesRead":0,"_externalStream":{},"fd":-1,"reading":false,"owner":"~socket~server","onread":null,"writeQueueSize":0},"_usingSlaves":false,"_slaves":[],"_unref":false,"allowHalfOpen":true,"pauseOnConnect":false,"httpAllowHalfOpen":false,"timeout":120000,"_pendingResponseData":0,"_connectionKey":"6::::3000"},"_server":"~socket~server","_idleTimeout":120000,"_idleNext":{"_idleNext":"~socket","_idlePrev":"~socket","_timer":{"_list":"~socket~_idleNext"},"_unrefed":true,"msecs":120000},"_idlePrev":"~socket~_idleNext","_idleStart":8664,"parser":{"_headers":[],"_url":"","_consumed":true,"socket":"~socket","incoming":{"_readableState":{"objectMode":false,"highWaterMark":16384,"buffer":{"head":null,"tail":null,"length":0},"length":0,"pipes":null,"pipesCount":0,"flowing":true,"ended":true,"endEmitted":true,"reading":false,"sync":false,"needReadable":false,"emittedReadable":false,"readableListening":false,"resumeScheduled":false,"defaultEncoding":"utf8","ranOut":false,"awaitDrain":0,"readingMore":false,"decoder":null,"encoding":null},"readable":false,"domain":null,"_events":{},"_eventsCount":0,"socket":"~socket","connection":"~socket","httpVersionMajor":1,"httpVersionMinor":1,"httpVersion":"1.1","complete":true,"headers":{"content-type":"application/json; charset=utf-8","accept":"application/json","accept-charset":"utf-8","signature":"aZyyXmQqNdcUTJ1Z7T7TTsJsTO58oRGVg1uBgpU5luS2+HIVmk+NMAs/ocp0T/IL7lGOJ3TtjIiDTHQs5FlndJhdTN7bjyYtpqfc6XgqZNXVuzBeu2rKJyc4iEI6dkiKusF5BXrArGVsKOv0El52Obi9lB5XEOJatpDRHL9pl+42hYHN6h1GTSIZdtkqPN0DeMbrmaK+SYGSvb0AjaEz07hie9Sf89R2Yw1PGvMp6Uk/2Y4YuD3xcYn+KfIix0UMfI2tLFm828mHNhabMAGbGAZ5iQLDW35kXvpRZ/PEWvmbIxGgsqXpeaXa1SXyp+U9qKUofubRk+t9ndzWf5XdGw==","signaturecertchainurl":"https://s3.amazonaws.com/echo.api/echo-api-cert-4.pem","content-length":"1290","host":"31bdcaa9.ngrok.io","user-agent":"Apache-HttpClient/4.5.x (Java/1.8.0_112)","x-forwarded-proto":"https","x-forwarded-for":"72.21.217.175"},"rawHeaders":["Content-Type","application/json; charset=utf-8","Accept","application/json","Accept-Charset","utf-8","Signature","aZyyXmQqNdcUTJ1Z7T7TTsJsTO58oRGVg1uBgpU5luS2+HIVmk+NMAs/ocp0T/IL7lGOJ3TtjIiDTHQs5FlndJhdTN7bjyYtpqfc6XgqZNXVuzBeu2rKJyc4iEI6dkiKusF5BXrArGVsKOv0El52Obi9lB5XEOJatpDRHL9pl+42hYHN6h1GTSIZdtkqPN0DeMbrmaK+SYGSvb0AjaEz07hie9Sf89R2Yw1PGvMp6Uk/2Y4YuD3xcYn+KfIix0UMfI2tLFm828mHNhabMAGbGAZ5iQLDW35kXvpRZ/PEWvmbIxGgsqXpeaXa1SXyp+U9qKUofubRk+t9ndzWf5XdGw==","SignatureCertChainUrl","https://s3.amazonaws.com/echo.api/echo-api-cert-4.pem","Content-Length","1290","Host","31bdcaa9.ngrok.io","User-Agent","Apache-HttpClient/4.5.x (Java/1.8.0_112)","X-Forwarded-Proto","https","X-Forwarded-For","72.21.217.175"],"trailers":{},"rawTrailers":[],"upgrade":false,"url":"/webhook","method":"POST","statusCode":null,"statusMessage":null,"client":"~socket","_consuming":true,"_dumped":false,"baseUrl":"","originalUrl":"/webhook","_parsedUrl":{"protocol":null,"slashes":null,"auth":null,"host":null,"port":null,"hostname":null,"hash":null,"search":null,"query":null,"pathname":"/webhook","path":"/webhook","href":"/webhook","_raw":"/webhook"},"params":{},"query":{},"res":"~","body":{"version":"1.0","session":{"new":true,"sessionId":"amzn1.echo-api.session.ce892f42-d6be-4097-a684-6f01f1bf31be","application":{"applicationId":"amzn1.ask.skill.da189077-4646-4d7f-9b90-722a59a8e6c4"},"user":{"userId":"amzn1.ask.account.AFO32TGCNESUA3D5SUYB3YAMT5WVPYYZENYDI7IXZUJQCNOZLFMQFS7EXOSJ5HIRGDN5NO7MFXG4TC37GNG6HTHRRYKQLUF2BVV3LSKZNDU57T3F7ADY2LICCXV7LVL5LIZS5IWWENFM3NKG4AP4P4QRH3GSJJ4DIO65R6JVXOGX2V4CLDUCT4K735WZILHGUDKQATPHZQIMW4Y"}},"context":{"AudioPlayer":{"playerActivity":"STOPPED"},"System":{"application":{"applicationId":"amzn1.ask.skill.da189077-4646-4d7f-9b90-722a59a8e6c4"},"user":{"userId":"amzn1.ask.account.AFO32TGCNESUA3D5SUYB3YAMT5WVPYYZENYDI7IXZUJQCNOZLFMQFS7EXOSJ5HIRGDN5NO7MFXG4TC37GNG6HTHRRYKQLUF2BVV3LSKZNDU57T3F7ADY2LICCXV7LVL5LIZS5IWWENFM3NKG4AP4P4QRH3GSJJ4DIO65R6JVXOGX2V4CLDUCT4K735WZILHGUDKQATPHZQIMW4Y"},"device":{"deviceId":"amzn1.ask.device.AHTBHAUKNGBO44QH6IDG4UHF2VHTKD4B7ZLLZVUQHTNNNSGBHABNZWMRXNDJJKKGB5A4QKZ4D72XEHVG4HKCRTR73XH7TPIVB3RTCQJZC4FQZPFG3DXKB4KXB3ZDTUACJ3VOZTUQCZDHY5Y62RUMMW5YN7EA","supportedInterfaces":{"AudioPlayer":{}}},"apiEndpoint":"https://api.amazonalexa.com"}},"request":{"type":"LaunchRequest","requestId":"amzn1.echo-api.request.4812a2af-8a96-47fb-9c1d-00b46c85cb12","timestamp":"2017-06-12T15:41:07Z","locale":"en-US"}},"_body":true,"route":{"path":"/webhook","stack":[{"name":"<anonymous>","keys":[],"regexp":{"fast_star":false,"fast_slash":false},"method":"post"}],"methods":{"post":true}}},"outgoing":null,"maxHeaderPairs":2000},"_paused":false,"_consuming":true,"_httpMessage":"~"},"connection":"~socket","_header":null,"_headers":{"x-powered-by":"Express"},"_headerNames":{"x-powered-by":"X-Powered-By"},"req":"~socket~parser~incoming","locals":{}}';
 let response = JSON.parse(webhookAlexaIntentRequestResponseJSON);
 
@@ -37,6 +44,1650 @@ describe('enableResponseLogging()', function() {
     });
 });
 
+describe('handleRequest()', function() {
+    it('should return a request context that inherits the app configuration', function() {
+        let app = new Jovo.Jovo();
+        app.setIntentMap({
+            'NameIntent': 'HelloWorldIntent',
+        });
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('NameIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+            },
+        });
+
+        assert.ok(jovo !== app);
+        assert.ok(jovo.getApp() === app);
+        assert.ok(jovo.getIntentName() === 'HelloWorldIntent');
+        assert.ok(jovo.hasOwnProperty('platform'));
+    });
+
+    it('should execute the latest request context with app.execute()', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .build();
+
+        app.on('respond', function() {
+            assert.ok(app.getPlatform().getResponse().isTell('Hello World'));
+            done();
+        });
+
+        app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                app.tell('Hello World');
+            },
+        });
+        app.execute();
+    });
+
+    it('should throw an error if execute() is called before handleRequest()', function() {
+        let app = new Jovo.Jovo();
+
+        assert.throws(
+            function() {
+                app.execute();
+            },
+            Error,
+            'Error: handleRequest() has to be called before execute().'
+        );
+    });
+
+    it('should keep overlapping requests apart', function(done) {
+        this.timeout(1000);
+
+        let app = new Jovo.Jovo();
+        let responses = {};
+
+        app.on('respond', function(jovo) {
+            responses[jovo.getPlatform().getType()] =
+                jovo.getPlatform().getResponse();
+
+            if (Object.keys(responses).length === 2) {
+                assert.ok(responses[Jovo.PLATFORM_ENUM.ALEXA_SKILL].isTell('Hello Alexa'));
+                assert.ok(responses[Jovo.PLATFORM_ENUM.GOOGLE_ACTION].isTell('Hello Google'));
+                done();
+            }
+        });
+
+        let handlers = {
+            'HelloWorldIntent': function() {
+                return new Promise((resolve) => {
+                    setTimeout(resolve, this.isAlexaSkill() ? 20 : 0);
+                }).then(() => {
+                    this.tell(this.isAlexaSkill() ? 'Hello Alexa' : 'Hello Google');
+                });
+            },
+        };
+
+        let requestAlexa = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .build();
+        let requestGoogleAction = (new RequestBuilderGoogleAction())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .build();
+
+        app.handleRequest(requestAlexa, response, handlers).execute();
+        app.handleRequest(requestGoogleAction, response, handlers).execute();
+    });
+
+    it('should send the response of app.tell() with app.execute()', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .build();
+
+        app.handleRequest(request, {
+            json: function(json) {
+                assert.ok(json.response.outputSpeech.ssml === '<speak>Hello World</speak>');
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                app.tell('Hello World');
+            },
+        });
+        app.execute();
+    });
+
+    it('should send the responses of overlapping requests to their response objects', function(done) {
+        this.timeout(1000);
+
+        let app = new Jovo.Jovo();
+        let bodies = {};
+
+        let handlers = {
+            'NameIntent': function(name) {
+                return new Promise((resolve) => {
+                    setTimeout(resolve, name === 'Alice' ? 20 : 0);
+                }).then(() => {
+                    this.tell('Hello ' + name);
+                });
+            },
+        };
+        let handleRequest = function(name) {
+            let request = (new RequestBuilderAlexaSkill())
+                .intentRequest()
+                .setIntentName('NameIntent')
+                .addSlot('name', name)
+                .build();
+
+            app.handleRequest(request, {
+                json: function(json) {
+                    bodies[name] = json.response.outputSpeech.ssml;
+
+                    if (Object.keys(bodies).length === 2) {
+                        assert.ok(bodies['Alice'] === '<speak>Hello Alice</speak>');
+                        assert.ok(bodies['Bob'] === '<speak>Hello Bob</speak>');
+                        done();
+                    }
+                },
+            }, handlers);
+            app.execute();
+        };
+
+        handleRequest('Alice');
+        handleRequest('Bob');
+    });
+
+    it('should not mix up the data of overlapping requests that use the app', function(done) {
+        this.timeout(1000);
+
+        let app = new Jovo.Jovo();
+        let bodies = {};
+
+        let handlers = {
+            'NameIntent': function(name) {
+                return new Promise((resolve) => {
+                    setTimeout(resolve, name === 'Alice' ? 20 : 0);
+                }).then(() => {
+                    app.tell('Hello ' + app.getInput('name').value);
+                });
+            },
+            'ON_ERROR': function(error) {
+                this.tell(error.message);
+            },
+        };
+        let handleRequest = function(name) {
+            let request = (new RequestBuilderAlexaSkill())
+                .intentRequest()
+                .setIntentName('NameIntent')
+                .addSlot('name', name)
+                .build();
+
+            app.handleRequest(request, {
+                json: function(json) {
+                    bodies[name] = json.response.outputSpeech.ssml;
+
+                    if (Object.keys(bodies).length === 2) {
+                        let error = '<speak>Error: The app is executing several requests ' +
+                            'at the same time. Use this instead of the app inside of the handlers.</speak>';
+                        // Bob's handler is called while both requests are executed
+                        assert.ok(bodies['Bob'] === error);
+                        assert.ok(bodies['Alice'] === '<speak>Hello Alice</speak>');
+                        done();
+                    }
+                },
+            }, handlers);
+            app.execute();
+        };
+
+        handleRequest('Alice');
+        handleRequest('Bob');
+    });
+});
+
+describe('execute()', function() {
+    let request = (new RequestBuilderAlexaSkill())
+        .intentRequest()
+        .setIntentName('HelloWorldIntent')
+        .build();
+
+    it('should wait for the promise returned by the handler', function() {
+        let app = new Jovo.Jovo();
+
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                return new Promise((resolve) => {
+                    setTimeout(resolve, 10);
+                }).then(() => {
+                    this.tell('Hello World');
+                });
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Hello World'));
+        });
+    });
+
+    it('should wait for intents called with toIntent', function() {
+        let app = new Jovo.Jovo();
+
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                return this.toIntent('OtherIntent', 'John Doe');
+            },
+            'OtherIntent': function(name) {
+                return Promise.resolve().then(() => {
+                    this.tell('Hello ' + name);
+                });
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Hello John Doe'));
+        });
+    });
+
+    it('should end the session if the handler returns without responding', function(done) {
+        let app = new Jovo.Jovo();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(json.response.shouldEndSession, true);
+                assert.notProperty(json.response, 'outputSpeech');
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                return Promise.resolve();
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should end the session when the handler rejects', function() {
+        let app = new Jovo.Jovo();
+        let respondCount = 0;
+
+        app.on('respond', function() {
+            respondCount++;
+        });
+
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                return Promise.reject(new Error('API not available'));
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(respondCount === 1);
+            assert.ok(jovo.getPlatform().getResponse().isEmptyResponse());
+        });
+    });
+
+    it('should respond only once per request', function() {
+        let app = new Jovo.Jovo();
+        let respondCount = 0;
+
+        app.on('respond', function() {
+            respondCount++;
+        });
+
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                this.tell('Hello World');
+                this.tell('Hello again');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(respondCount === 1);
+        });
+    });
+});
+
+describe('ON_ERROR', function() {
+    it('should call the global ON_ERROR handler if the intent is missing', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('MissingIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                this.tell('Hello World');
+            },
+            'ON_ERROR': function(error) {
+                assert.ok(error instanceof JovoError);
+                assert.ok(error.type === Jovo.ERROR_TYPE_ENUM.INTENT_NOT_FOUND);
+                this.tell('Sorry, something went wrong');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse()
+                .isTell('Sorry, something went wrong'));
+        });
+    });
+
+    it('should call the global ON_ERROR handler if the state is missing', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .setState('MissingState')
+            .build();
+
+        let errorType;
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                this.tell('Hello World');
+            },
+            'ON_ERROR': function(error) {
+                errorType = error.type;
+                this.tell('Sorry, something went wrong');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(errorType === Jovo.ERROR_TYPE_ENUM.STATE_NOT_FOUND);
+        });
+    });
+
+    it('should prefer the ON_ERROR handler in the state', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .setState('OrderState')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'ON_ERROR': function(error) {
+                this.tell('Global error');
+            },
+            'OrderState': {
+                'HelloWorldIntent': function() {
+                    return Promise.reject(new Error('API not available'));
+                },
+                'ON_ERROR': function(error) {
+                    assert.ok(error.type === Jovo.ERROR_TYPE_ENUM.UNKNOWN_ERROR);
+                    assert.ok(error.message === 'API not available');
+                    assert.ok(error.originalError instanceof Error);
+                    this.tell('State error');
+                },
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('State error'));
+        });
+    });
+
+    it('should pass db errors to the ON_ERROR handler', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .build();
+
+        app.setDb('failing', {
+            setMainKey: function(mainKey) {
+                return this;
+            },
+            loadObject: function(callback) {
+                let error = new Error('Connection timed out');
+                error.code = 'TIMEOUT';
+                callback(error);
+            },
+        });
+
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                this.tell('Hello World');
+            },
+            'ON_ERROR': function(error) {
+                assert.ok(error.type === Jovo.ERROR_TYPE_ENUM.DB_ERROR);
+                assert.ok(error.code === 'TIMEOUT');
+                this.getPlatform().endSession();
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isEmptyResponse());
+        });
+    });
+
+    it('should pass the second response to the ON_ERROR handler', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .build();
+
+        let errorType;
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                this.tell('Hello World');
+                this.tell('Hello again');
+            },
+            'ON_ERROR': function(error) {
+                errorType = error.type;
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(errorType === Jovo.ERROR_TYPE_ENUM.RESPONDED_TWICE);
+        });
+    });
+
+    it('should end the session if the ON_ERROR handler fails', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('MissingIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                this.tell('Hello World');
+            },
+            'ON_ERROR': function(error) {
+                throw new Error('ON_ERROR failed');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.responded);
+            assert.ok(jovo.getPlatform().getResponse().isEmptyResponse());
+        });
+    });
+});
+
+describe('hook()', function() {
+    let request = (new RequestBuilderAlexaSkill())
+        .intentRequest()
+        .setIntentName('HelloWorldIntent')
+        .build();
+
+    it('should throw an error if the hook does not exist', function() {
+        let app = new Jovo.Jovo();
+        expect(() => app.hook('unknown', function() {}))
+            .to.throw('Hook unknown does not exist.');
+    });
+
+    it('should call the hooks in the order of the request lifecycle', function(done) {
+        let app = new Jovo.Jovo();
+        let calls = [];
+
+        Object.keys(Jovo.HOOK_ENUM).forEach((key) => {
+            app.hook(Jovo.HOOK_ENUM[key], function(jovo) {
+                assert.ok(this === jovo);
+                calls.push(Jovo.HOOK_ENUM[key]);
+            });
+        });
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.deepEqual(calls, [
+                    'request',
+                    'platform.init',
+                    'user.load',
+                    'handler.before',
+                    'handler',
+                    'handler.after',
+                    'user.save',
+                    'response',
+                ]);
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                calls.push('handler');
+                return Promise.resolve().then(() => {
+                    this.tell('Hello World');
+                });
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should wait for hooks returning a promise', function() {
+        let app = new Jovo.Jovo();
+
+        app.hook('user.load', function() {
+            return new Promise((resolve) => {
+                setTimeout(() => {
+                    this.customer = {name: 'John Doe'};
+                    resolve();
+                }, 10);
+            });
+        });
+
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                this.tell('Hello ' + this.customer.name);
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Hello John Doe'));
+        });
+    });
+
+    it('should let response hooks modify the response', function(done) {
+        let app = new Jovo.Jovo();
+
+        app.hook('response', function() {
+            this.getPlatform().getResponse().shouldEndSession(false);
+        });
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.ok(json.response.shouldEndSession === false);
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.tell('Hello World');
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should pass errors in hooks to ON_ERROR', function() {
+        let app = new Jovo.Jovo();
+        let handlerCalled = false;
+
+        app.hook('handler.before', function() {
+            return Promise.reject(new Error('CRM not available'));
+        });
+
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function() {
+                handlerCalled = true;
+            },
+            'ON_ERROR': function(error) {
+                this.tell(error.message);
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(handlerCalled === false);
+            assert.ok(jovo.getPlatform().getResponse().isTell('CRM not available'));
+        });
+    });
+});
+
+describe('use()', function() {
+    let request = (new RequestBuilderAlexaSkill())
+        .intentRequest()
+        .setIntentName('HelpIntent')
+        .build();
+
+    it('should throw an error if the plugin has no name', function() {
+        let app = new Jovo.Jovo();
+        expect(() => app.use({})).to.throw('Plugin has to have a name.');
+    });
+
+    it('should throw an error if the plugin has already been installed', function() {
+        let app = new Jovo.Jovo();
+        app.use({name: 'crm'});
+        expect(() => app.use({name: 'crm'}))
+            .to.throw('Plugin crm has already been installed.');
+    });
+
+    it('should add handlers that can be overridden by the app', function() {
+        let app = new Jovo.Jovo();
+        app.use({
+            name: 'common-intents',
+            handlers: {
+                'HelpIntent': function() {
+                    this.ask('Plugin help', 'Plugin help');
+                },
+                'StopIntent': function() {
+                    this.tell('Plugin stop');
+                },
+            },
+        });
+
+        let jovo = app.handleRequest(request, response, {
+            'HelpIntent': function() {
+                this.ask('App help', 'App help');
+            },
+        });
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isAsk('App help', 'App help'));
+            assert.ok(typeof jovo.handlers['StopIntent'] === 'function');
+        });
+    });
+
+    it('should add hooks and methods using the plugin config', function() {
+        let app = new Jovo.Jovo();
+        app.use({
+            name: 'crm',
+            config: {
+                greeting: 'Hello',
+                name: 'John',
+            },
+            hooks: {
+                'user.load': function() {
+                    this.customer = {name: this.getPluginConfig('crm').name};
+                },
+            },
+            methods: {
+                greetCustomer: function() {
+                    let config = this.getPluginConfig('crm');
+                    this.tell(config.greeting + ' ' + this.customer.name);
+                },
+            },
+        });
+        app.setConfig({
+            plugins: {
+                crm: {
+                    greeting: 'Hi',
+                },
+            },
+        });
+
+        let jovo = app.handleRequest(request, response, {
+            'HelpIntent': function() {
+                this.greetCustomer();
+            },
+        });
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Hi John'));
+        });
+    });
+
+    it('should not override existing methods', function() {
+        let app = new Jovo.Jovo();
+        expect(() => app.use({
+            name: 'override',
+            methods: {
+                tell: function() {},
+            },
+        })).to.throw('Method tell of plugin override already exists.');
+    });
+
+    it('should add db and analytics implementations', function() {
+        let app = new Jovo.Jovo();
+        let db = {
+            setMainKey: function(mainKey) {
+                return this;
+            },
+        };
+        let analytics = {
+            track: function() {},
+        };
+
+        app.use({
+            name: 'integrations',
+            db: {
+                customDb: db,
+            },
+            analytics: {
+                customAnalytics: analytics,
+            },
+            install: function(app, config) {
+                app.setDynamoDbKey('key');
+            },
+        });
+        app.setConfig({
+            requestLogging: false,
+        });
+
+        assert.ok(app.moduleDatabase.databases['customDb'] === db);
+        assert.ok(app.analytics().services['customAnalytics'] === analytics);
+        assert.ok(app.dynamoDbKey === 'key');
+    });
+
+    it('should add platforms', function() {
+        let app = new Jovo.Jovo();
+
+        /**
+         * Platform for testing
+         */
+        class TestPlatform extends AlexaSkill {}
+
+        app.use({
+            name: 'test-platform',
+            platforms: [{
+                name: 'TEST_PLATFORM',
+                type: 'TestPlatform',
+                platform: TestPlatform,
+                isPlatformRequest: (request) =>
+                    request.session.application.applicationId === 'test-platform',
+                user: AlexaUser,
+                speechBuilder: AlexaSpeechBuilder,
+                response: AlexaResponse,
+            }],
+        });
+
+        let testRequest = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelpIntent')
+            .setApplicationId('test-platform')
+            .build();
+
+        let jovo = app.handleRequest(testRequest, response, {
+            'HelpIntent': function() {},
+        });
+        assert.ok(jovo.getPlatform() instanceof TestPlatform);
+        assert.ok(jovo.getPlatform().getType() === Jovo.PLATFORM_ENUM.TEST_PLATFORM);
+
+        jovo = app.handleRequest(request, response, {
+            'HelpIntent': function() {},
+        });
+        assert.ok(jovo.isAlexaSkill());
+    });
+});
+
+describe('NEW_USER and NEW_SESSION', function() {
+    /**
+     * Returns app with a database that doesn't know any user
+     * @return {Jovo}
+     */
+    function createAppWithoutUsers() {
+        let app = new Jovo.Jovo();
+        app.setDb('memory', {
+            setMainKey: function(mainKey) {
+                return this;
+            },
+            loadObject: function(callback) {
+                let error = new Error('Not found');
+                error.code = 'ERR_MAIN_KEY_NOT_FOUND';
+                callback(error);
+            },
+            saveFullObject: function(key, data, callback) {
+                callback();
+            },
+        });
+        return app;
+    }
+
+    it('should call NEW_USER and NEW_SESSION before the intent', function() {
+        let app = createAppWithoutUsers();
+        let calls = [];
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .setNewSession(true)
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'NEW_USER': function(next) {
+                calls.push('NEW_USER');
+                return next();
+            },
+            'NEW_SESSION': function(next) {
+                calls.push('NEW_SESSION');
+                return next();
+            },
+            'HelloWorldIntent': function() {
+                calls.push('HelloWorldIntent');
+                this.tell('Hello World');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.deepEqual(calls, ['NEW_USER', 'NEW_SESSION', 'HelloWorldIntent']);
+            assert.ok(jovo.getPlatform().getResponse().isTell('Hello World'));
+        });
+    });
+
+    it('should not call NEW_SESSION in a running session', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .setNewSession(false)
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'NEW_SESSION': function(next) {
+                this.tell('New session');
+            },
+            'HelloWorldIntent': function() {
+                this.tell('Hello World');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Hello World'));
+        });
+    });
+
+    it('should be able to redirect new users with toIntent', function() {
+        let app = createAppWithoutUsers();
+        let request = (new RequestBuilderAlexaSkill())
+            .launchRequest()
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'NEW_USER': function() {
+                return this.toIntent('OnboardingIntent');
+            },
+            'LAUNCH': function() {
+                this.tell('Welcome back');
+            },
+            'OnboardingIntent': function() {
+                this.tell('Welcome');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Welcome'));
+        });
+    });
+});
+
+describe('StandardIntents', function() {
+    it('should map AMAZON.HelpIntent to the default HelpIntent', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('AMAZON.HelpIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isAsk(
+                'How can I help you?', 'How can I help you?'));
+        });
+    });
+
+    it('should prefer the handlers of the state', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('AMAZON.HelpIntent')
+            .setState('Order')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+            'Order': {
+                'HelpIntent': function() {
+                    this.ask('Which size?', 'Which size?');
+                },
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isAsk('Which size?', 'Which size?'));
+        });
+    });
+
+    it('should prefer the language resources of the app', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        app.setLanguageResources({
+            'en-US': {
+                translation: {
+                    STANDARD_INTENTS: {
+                        GOODBYE: 'See you soon!',
+                    },
+                },
+            },
+        });
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('AMAZON.CancelIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('See you soon!'));
+        });
+    });
+
+    it('should start over at LAUNCH without a state', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('AMAZON.StartOverIntent')
+            .setState('Order')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+            'Order': {
+                'OrderIntent': function() {
+                    this.tell('Order');
+                },
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Hello World'));
+            assert.equal(jovo.getState(), undefined);
+        });
+    });
+
+    it('should say goodbye on AMAZON.StopIntent', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('AMAZON.StopIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Goodbye!'));
+        });
+    });
+
+    it('should map Dialogflow follow-up intents', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest('OrderIntent - no')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.strictEqual(jovo.getIntentName(), 'NoIntent');
+            assert.ok(jovo.getPlatform().getResponse().isTell('Goodbye!'));
+        });
+    });
+
+    it('should prefer the Unhandled of the state to the default NoIntent', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('AMAZON.NoIntent')
+            .setState('Order.Size')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+            'Order': {
+                'Unhandled': function() {
+                    this.ask('Which size?', 'Which size?');
+                },
+                'Size': {
+                    'SizeIntent': function() {
+                        this.tell('Ordered');
+                    },
+                },
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isAsk('Which size?', 'Which size?'));
+        });
+    });
+
+    it('should say goodbye on NoIntent in states without Unhandled', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('AMAZON.NoIntent')
+            .setState('Order')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+            'Order': {
+                'OrderIntent': function() {
+                    this.tell('Ordered');
+                },
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Goodbye!'));
+        });
+    });
+
+    it('should map the Dialogflow StopIntent to END', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest('StopIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.strictEqual(jovo.getIntentName(), 'END');
+            assert.ok(jovo.getPlatform().getResponse().isTell('Goodbye!'));
+        });
+    });
+
+    it('should ask what to do on YesIntent', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest('YesIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isAsk(
+                'Okay. What do you want to do?', 'What do you want to do?'));
+        });
+    });
+
+    it('should match the text of Actions SDK requests', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        let request = (new RequestBuilderActionsSdk())
+            .textRequest('Help!')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.strictEqual(jovo.getIntentName(), 'HelpIntent');
+            assert.ok(jovo.getPlatform().getResponse().isAsk(
+                'How can I help you?', 'How can I help you?'));
+        });
+    });
+
+    it('should prefer the actionsSdkMatcher of the app', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        app.setConfig({
+            actionsSdkMatcher: function(text) {
+                if (text === 'help') {
+                    return 'SupportIntent';
+                }
+            },
+        });
+        let request = (new RequestBuilderActionsSdk())
+            .textRequest('help')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+            'SupportIntent': function() {
+                this.tell('Support');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Support'));
+        });
+    });
+});
+
+describe('repeat()', function() {
+    it('should store the last response in the session', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.deepEqual(json.sessionAttributes.LAST_RESPONSE, {
+                    speech: '<speak>Hello World</speak>',
+                    reprompt: '<speak>Hello?</speak>',
+                    card: {
+                        type: 'Simple',
+                        title: 'Title',
+                        content: 'Content',
+                    },
+                });
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.showSimpleCard('Title', 'Content')
+                    .ask('Hello World', 'Hello?');
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should not store responses that end the session', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.notProperty(json.sessionAttributes, 'LAST_RESPONSE');
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.tell('Hello World');
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should repeat the last response on Alexa', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('RepeatIntent')
+            .addSessionAttribute('LAST_RESPONSE', {
+                speech: '<speak>Hello World</speak>',
+                reprompt: '<speak>Hello?</speak>',
+                card: {
+                    type: 'Simple',
+                    title: 'Title',
+                    content: 'Content',
+                },
+            })
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'RepeatIntent': function() {
+                this.repeat();
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isAsk('Hello World', 'Hello?'));
+            assert.ok(jovo.getPlatform().getResponse().hasSimpleCard('Title', 'Content'));
+        });
+    });
+
+    it('should repeat the last response on Google Assistant', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest()
+            .setIntentName('RepeatIntent')
+            .addContextParameter('session', 'LAST_RESPONSE', {
+                speech: '<speak>Hello World</speak>',
+                reprompt: '<speak>Hello?</speak>',
+                card: {
+                    title: 'Title',
+                    formattedText: 'Content',
+                },
+            })
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'RepeatIntent': function() {
+                this.repeat();
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isAsk('Hello World', 'Hello?'));
+            assert.ok(jovo.getPlatform().getResponse().hasBasicCard('Title', 'Content'));
+        });
+    });
+
+    it('should return false without a last response', function() {
+        let app = new Jovo.Jovo();
+        app.use(StandardIntents);
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('AMAZON.RepeatIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                this.tell('Hello World');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().speechTextContains('can\'t repeat'));
+        });
+    });
+});
+
+describe('response timeout', function() {
+    let request = (new RequestBuilderAlexaSkill())
+        .intentRequest()
+        .setIntentName('HelloWorldIntent')
+        .build();
+
+    it('should send the fallback response if the handler does not respond', function(done) {
+        let app = new Jovo.Jovo();
+        app.setConfig({
+            responseTimeout: 10,
+        });
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(
+                    json.response.outputSpeech.ssml,
+                    '<speak>Sorry, this took too long. Please try again later.</speak>');
+                assert.strictEqual(json.response.shouldEndSession, true);
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.showSimpleCard('Title', 'Content');
+                // never resolves
+                return new Promise(() => {});
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should translate the fallback response', function(done) {
+        let app = new Jovo.Jovo();
+        app.setConfig({
+            responseTimeout: 10,
+        });
+        app.setLanguageResources({
+            'en-US': {
+                translation: {
+                    RESPONSE_TIMEOUT: 'Please try again.',
+                },
+            },
+        });
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.strictEqual(
+                    json.response.outputSpeech.ssml,
+                    '<speak>Please try again.</speak>');
+                assert.notProperty(json.response, 'card');
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.showSimpleCard('Title', 'Content');
+                // never resolves
+                return new Promise(() => {});
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should ignore responses after the timeout', function(done) {
+        let app = new Jovo.Jovo();
+        app.setResponseTimeout(10);
+
+        let responses = 0;
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                responses++;
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                return new Promise((resolve) => {
+                    setTimeout(resolve, 30);
+                }).then(() => {
+                    this.tell('Hello World');
+                });
+            },
+            'ON_ERROR': function() {
+                done(new Error('ON_ERROR should not be called'));
+            },
+        });
+        jovo.execute().then(() => {
+            assert.strictEqual(responses, 1);
+            assert.strictEqual(jovo.responseTimedOut, true);
+            done();
+        });
+    });
+
+    it('should not send the fallback response after the response', function(done) {
+        let app = new Jovo.Jovo();
+        app.setResponseTimeout(20);
+
+        let responses = [];
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                responses.push(json);
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.tell('Hello World');
+            },
+        });
+        jovo.execute();
+        setTimeout(() => {
+            assert.lengthOf(responses, 1);
+            assert.strictEqual(responses[0].response.outputSpeech.ssml, '<speak>Hello World</speak>');
+            done();
+        }, 40);
+    });
+
+    it('should change the timeout for a single request', function(done) {
+        let app = new Jovo.Jovo();
+        app.setResponseTimeout(1000);
+        let start = Date.now();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.isBelow(Date.now() - start, 500);
+                assert.strictEqual(app.responseTimeout, 1000);
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.setResponseTimeout(10);
+            },
+        });
+        jovo.execute();
+    });
+});
+
+describe('session history', function() {
+    it('should add the turn to the session history', function(done) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('NameIntent')
+            .setState('Onboarding')
+            .addSlot('name', 'John')
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                assert.deepEqual(json.sessionAttributes.SESSION_HISTORY, [
+                    {
+                        turn: 1,
+                        path: 'Onboarding: NameIntent',
+                        intent: 'NameIntent',
+                        state: 'Onboarding',
+                        inputs: {name: 'John'},
+                        speech: 'How old are you?',
+                    },
+                ]);
+                done();
+            },
+        }, {
+            'Onboarding': {
+                'NameIntent': function(name) {
+                    this.followUpState('Age').ask('How old are you?');
+                },
+            },
+            'Age': {
+                'AgeIntent': function() {
+                    this.tell('Thanks');
+                },
+            },
+        });
+        jovo.execute();
+    });
+
+    it('should return previous intent, previous state and turn count', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('AgeIntent')
+            .setState('Age')
+            .addSessionAttribute('SESSION_HISTORY', [
+                {turn: 1, path: 'LAUNCH', intent: 'LAUNCH', inputs: {}, speech: 'Hi'},
+                {turn: 2, path: 'Onboarding: NameIntent', intent: 'NameIntent',
+                    state: 'Onboarding', inputs: {name: 'John'}, speech: 'How old are you?'},
+            ])
+            .build();
+        let previous;
+
+        let jovo = app.handleRequest(request, response, {
+            'Age': {
+                'AgeIntent': function() {
+                    previous = {
+                        intent: this.getPreviousIntent(),
+                        state: this.getPreviousState(),
+                        turnCount: this.getTurnCount(),
+                    };
+                    this.tell('Thanks');
+                },
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.deepEqual(previous, {
+                intent: 'NameIntent',
+                state: 'Onboarding',
+                turnCount: 3,
+            });
+        });
+    });
+
+    it('should return undefined in the first turn', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderGoogleAction())
+            .launchRequest()
+            .build();
+        let previous;
+
+        let jovo = app.handleRequest(request, response, {
+            'LAUNCH': function() {
+                previous = {
+                    intent: this.getPreviousIntent(),
+                    state: this.getPreviousState(),
+                    turnCount: this.getTurnCount(),
+                };
+                this.ask('Hi');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.deepEqual(previous, {
+                intent: undefined,
+                state: undefined,
+                turnCount: 1,
+            });
+        });
+    });
+
+    it('should only keep the last turns', function(done) {
+        let app = new Jovo.Jovo();
+        app.setConfig({
+            sessionHistorySize: 2,
+        });
+        let request = (new RequestBuilderGoogleAction())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .addContextParameter('session', 'SESSION_HISTORY', [
+                {turn: 1, path: 'LAUNCH', intent: 'LAUNCH', inputs: {}, speech: 'Hi'},
+                {turn: 2, path: 'HelloWorldIntent', intent: 'HelloWorldIntent',
+                    inputs: {}, speech: 'Hello'},
+            ])
+            .build();
+
+        let jovo = app.handleRequest(request, {
+            json: function(json) {
+                let history = jovo.getPlatform().getSessionAttribute('SESSION_HISTORY');
+                assert.deepEqual(history.map((item) => item.turn), [2, 3]);
+                done();
+            },
+        }, {
+            'HelloWorldIntent': function() {
+                this.ask('Hello again');
+            },
+        });
+        jovo.execute();
+    });
+});
+
+describe('setInputDefinitions()', function() {
+    it('should pass converted inputs to the handler', function() {
+        let app = new Jovo.Jovo();
+        app.setInputDefinitions({
+            'OrderIntent': {
+                'amount': {type: 'number', required: true},
+                'size': {type: 'enum', values: ['small', 'large'], default: 'small'},
+                'date': {type: 'date'},
+            },
+        });
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('OrderIntent')
+            .addSlot('amount', '3')
+            .addSlot('date', '2017-06-12')
+            .build();
+        let inputs;
+
+        let jovo = app.handleRequest(request, response, {
+            'OrderIntent': function(amount, size, date) {
+                inputs = [amount, size, date];
+                this.tell('Thanks');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.strictEqual(inputs[0], 3);
+            assert.strictEqual(inputs[1], 'small');
+            assert.ok(inputs[2] instanceof Date);
+            assert.strictEqual(jovo.getInputValue('amount'), 3);
+        });
+    });
+
+    it('should ask with the prompt of a missing input', function() {
+        let app = new Jovo.Jovo();
+        app.setInputDefinitions({
+            'OrderIntent': {
+                'amount': {
+                    type: 'number',
+                    required: true,
+                    prompt: 'How many pizzas do you want?',
+                },
+            },
+        });
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('OrderIntent')
+            .build();
+
+        let jovo = app.handleRequest(request, response, {
+            'OrderIntent': function(amount) {
+                this.tell('Thanks');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isAsk('How many pizzas do you want?'));
+        });
+    });
+
+    it('should call ON_INVALID_INPUT of the state on invalid inputs', function() {
+        let app = new Jovo.Jovo();
+        app.setInputDefinitions({
+            'AgeIntent': {
+                'age': {
+                    type: 'number',
+                    validator: function(age) {
+                        return age > 0 && age < 130;
+                    },
+                },
+            },
+        });
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('AgeIntent')
+            .setState('Onboarding')
+            .addSlot('age', '200')
+            .build();
+        let invalidInput;
+
+        let jovo = app.handleRequest(request, response, {
+            'ON_INVALID_INPUT': function() {
+                this.tell('Global');
+            },
+            'Onboarding': {
+                'AgeIntent': function(age) {
+                    this.tell('Thanks');
+                },
+                'ON_INVALID_INPUT': function(input) {
+                    invalidInput = input;
+                    this.ask('Please tell me your real age.');
+                },
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.deepEqual(invalidInput, {
+                name: 'age',
+                value: '200',
+                error: Jovo.INPUT_ERROR_ENUM.INVALID,
+            });
+            assert.ok(jovo.getPlatform().getResponse().isAsk('Please tell me your real age.'));
+        });
+    });
+
+    it('should pass the error to ON_ERROR without prompt or ON_INVALID_INPUT', function() {
+        let app = new Jovo.Jovo();
+        app.setConfig({
+            inputDefinitions: {
+                'AgeIntent': {
+                    'age': {type: 'number', required: true},
+                },
+            },
+        });
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('AgeIntent')
+            .build();
+        let error;
+
+        let jovo = app.handleRequest(request, response, {
+            'AgeIntent': function(age) {
+                this.tell('Thanks');
+            },
+            'ON_ERROR': function(err) {
+                error = err;
+                this.tell('Error');
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.strictEqual(error.type, Jovo.ERROR_TYPE_ENUM.INVALID_INPUT);
+            assert.strictEqual(error.message, 'Input age of intent AgeIntent is missing.');
+        });
+    });
+});
+
 describe('isRequestAllowed()', function() {
     it('should return true if no application ids were set', function() {
         let app = new Jovo.Jovo();
@@ -124,6 +1775,97 @@ describe('setIntentMap', function() {
         });
         app.execute();
     });
+
+    it('should return mapped intent (wildcard and regex)', function() {
+        let app = new Jovo.Jovo();
+        app.setIntentMap({
+            'Help*': 'HelpIntent',
+            '/^(.*)_DE$/i': '$1Intent',
+        });
+
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelpMeIntent')
+            .build();
+        app = app.handleRequest(request, response, {});
+        assert.strictEqual(app.getIntentName(), 'HelpIntent');
+
+        request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('Order_de')
+            .build();
+        app = app.handleRequest(request, response, {});
+        assert.strictEqual(app.getIntentName(), 'OrderIntent');
+    });
+
+    it('should prefer exact names over patterns', function() {
+        let app = new Jovo.Jovo();
+        app.setIntentMap({
+            'Help*': 'HelpIntent',
+            'HelpMeIntent': 'SupportIntent',
+        });
+
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelpMeIntent')
+            .build();
+        app = app.handleRequest(request, response, {});
+        assert.strictEqual(app.getIntentName(), 'SupportIntent');
+    });
+
+    it('should return mapped intent of the locale', function() {
+        let app = new Jovo.Jovo();
+        app.setIntentMap({
+            'Bestellung': 'OrderIntent',
+        }, 'de');
+        app.setIntentMap({
+            'Bestellung': 'OrderIntentAT',
+        }, 'de-AT');
+
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('Bestellung')
+            .setLocale('de-DE')
+            .build();
+        app = app.handleRequest(request, response, {});
+        assert.strictEqual(app.getIntentName(), 'OrderIntent');
+
+        request.body.request.locale = 'de-AT';
+        app = app.handleRequest(request, response, {});
+        assert.strictEqual(app.getIntentName(), 'OrderIntentAT');
+
+        request.body.request.locale = 'en-US';
+        app = app.handleRequest(request, response, {});
+        assert.strictEqual(app.getIntentName(), 'Bestellung');
+    });
+
+    it('should use the groups of regular expressions with the g flag', function() {
+        let app = new Jovo.Jovo();
+        app.setIntentMap({
+            '/^Order_(.*)$/g': '$1Intent',
+        });
+
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('Order_Pizza')
+            .build();
+        let jovo = app.handleRequest(request, response, {});
+        assert.strictEqual(jovo.getIntentName(), 'PizzaIntent');
+        assert.strictEqual(jovo.getIntentName(), 'PizzaIntent');
+    });
+
+    it('should throw error on invalid regular expressions', function() {
+        let app = new Jovo.Jovo();
+
+        assert.throws(
+            function() {
+                app.setIntentMap({
+                    '/^Order_(.*$/': '$1Intent',
+                });
+            },
+            SyntaxError
+        );
+    });
 });
 
 describe('setInputMap', function() {
@@ -151,11 +1893,94 @@ describe('setInputMap', function() {
 
         app.handleRequest(request, response, {
             'HelloWorldIntent': function() {
-                assert(app.getInput('name') === 'foobar', 'mapping is correct');
+                assert(app.getInput('name').value === 'foobar', 'mapping is correct');
             },
         });
         app.execute();
     });
+
+    it('should return mapped input (wildcard and locale)', function() {
+        let app = new Jovo.Jovo();
+        app.setInputMap({
+            'given-*': 'name',
+        });
+        app.setInputMap({
+            'vorname': 'name',
+        }, 'de-DE');
+
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .setLocale('de-DE')
+            .addSlot('vorname', 'Johannes')
+            .addSlot('given-lastname', 'Schmidt')
+            .addSlot('city', 'Berlin')
+            .build();
+
+        app = app.handleRequest(request, response, {});
+        app.mapInputs();
+        expect(app.getInputValues()).to.deep.equal({
+            name: 'Schmidt',
+            city: 'Berlin',
+        });
+    });
+
+    it('should transform mapped input values', function() {
+        let app = new Jovo.Jovo();
+        app.setInputMap({
+            'city': {transform: ['trim', 'lowercase']},
+            'size': {
+                name: 'pizzaSize',
+                synonyms: {
+                    large: ['big', 'huge'],
+                },
+            },
+            'topping': {transform: (value) => value + 's'},
+        });
+
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('OrderIntent')
+            .addSlot('city', ' Berlin ')
+            .addSlot('size', 'Huge')
+            .addSlot('topping', 'olive')
+            .build();
+
+        app = app.handleRequest(request, response, {});
+        app.mapInputs();
+        expect(app.getInputValues()).to.deep.equal({
+            city: 'berlin',
+            pizzaSize: 'large',
+            topping: 'olives',
+        });
+        assert.strictEqual(app.getInput('pizzaSize').canonicalValue, 'large');
+        assert.strictEqual(app.getInput('pizzaSize').spokenValue, 'Huge');
+    });
+
+    it('should throw error on unsupported transforms', function() {
+        let app = new Jovo.Jovo();
+
+        assert.throws(
+            function() {
+                app.setInputMap({
+                    'city': {transform: ['trim', 'capitalize']},
+                });
+            },
+            Error,
+            'Transform capitalize is not supported.'
+        );
+        assert.throws(
+            function() {
+                app.setConfig({
+                    inputMap: {
+                        'city': {transform: 'reverse'},
+                    },
+                });
+            },
+            Error,
+            'Transform reverse is not supported.'
+        );
+    });
 });
 
 describe('getIntentName', function() {
@@ -587,6 +2412,142 @@ describe('followUpState', function() {
     });
 });
 
+describe('nested states', function() {
+    let handlers = {
+        'HelpIntent': function() {
+            this.tell('Global help');
+        },
+        'Unhandled': function() {
+            this.tell('Global unhandled');
+        },
+        'Order': {
+            'CancelIntent': function() {
+                this.tell('Order cancel');
+            },
+            'Payment': {
+                'Unhandled': function() {
+                    this.tell('Payment unhandled');
+                },
+                'Confirm': {
+                    'YesIntent': function() {
+                        this.followUpState('Order.Payment').tell('Confirmed');
+                    },
+                    'NoIntent': function() {
+                        return this.toIntent('CancelIntent');
+                    },
+                    'RetryIntent': function() {
+                        return this.toStateIntent('Order.Payment.Confirm', 'YesIntent');
+                    },
+                },
+            },
+        },
+    };
+
+    /**
+     * Executes an intent request in the given state
+     * @param {string} intentName
+     * @param {string} state
+     * @return {Promise} resolves with the request context
+     */
+    function executeInState(intentName, state) {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName(intentName)
+            .setState(state)
+            .build();
+        let jovo = app.handleRequest(request, response, handlers);
+        return jovo.execute().then(() => {
+            return jovo;
+        });
+    }
+
+    it('should call the intent in the nested state', function() {
+        return executeInState('YesIntent', 'Order.Payment.Confirm').then((jovo) => {
+            let response = jovo.getPlatform().getResponse();
+            assert.ok(response.isTell('Confirmed'));
+            assert.ok(response.hasSessionAttribute('STATE', 'Order.Payment'));
+        });
+    });
+
+    it('should bubble up to the intent of a parent state', function() {
+        return executeInState('CancelIntent', 'Order.Payment.Confirm').then((jovo) => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Order cancel'));
+        });
+    });
+
+    it('should bubble up to the global intent', function() {
+        return executeInState('HelpIntent', 'Order').then((jovo) => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Global help'));
+        });
+    });
+
+    it('should prefer the Unhandled of a parent state to the global intent', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('MyIntent')
+            .setState('A.B')
+            .build();
+        let jovo = app.handleRequest(request, response, {
+            'MyIntent': function() {
+                this.tell('Global MyIntent');
+            },
+            'A': {
+                'Unhandled': function() {
+                    this.tell('A unhandled');
+                },
+                'B': {
+                    'OtherIntent': function() {
+                        this.tell('B other');
+                    },
+                },
+            },
+        });
+        return jovo.execute().then(() => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('A unhandled'));
+        });
+    });
+
+    it('should go to the nearest Unhandled', function() {
+        return executeInState('OtherIntent', 'Order.Payment.Confirm').then((jovo) => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Payment unhandled'));
+        });
+    });
+
+    it('should go to the global Unhandled', function() {
+        return executeInState('OtherIntent', 'Order').then((jovo) => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Global unhandled'));
+        });
+    });
+
+    it('should jump to intents of parent states with toIntent', function() {
+        return executeInState('NoIntent', 'Order.Payment.Confirm').then((jovo) => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Order cancel'));
+        });
+    });
+
+    it('should jump to intents in nested states with toStateIntent', function() {
+        return executeInState('RetryIntent', 'Order.Payment.Confirm').then((jovo) => {
+            assert.ok(jovo.getPlatform().getResponse().isTell('Confirmed'));
+        });
+    });
+
+    it('should throw an error if the nested state does not exist', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelpIntent')
+            .build();
+        let jovo = app.handleRequest(request, response, handlers);
+
+        expect(() => jovo.followUpState('Order.Shipping'))
+            .to.throw('State Order.Shipping could not be found in your handler');
+        expect(() => jovo.followUpState('Order.CancelIntent'))
+            .to.throw('State Order.CancelIntent could not be found in your handler');
+    });
+});
+
 describe('toIntent', function() { // TODO works for all platforms?
     it('should skip the intent from the request and call the intent in the arguments', function(done) {
         this.timeout(1000);
@@ -971,6 +2932,43 @@ describe('toStateIntent', function() { // TODO works for all platforms?
     });
 });
 
+describe('getInputValue()', function() {
+    it('should return plain values of the input objects', function() {
+        let app = new Jovo.Jovo();
+        let request = (new RequestBuilderAlexaSkill())
+            .intentRequest()
+            .setIntentName('HelloWorldIntent')
+            .addSlot('name', 'John')
+            .addSlot('city', 'New York')
+            .build();
+        let values;
+
+        let jovo = app.handleRequest(request, response, {
+            'HelloWorldIntent': function(name) {
+                values = {
+                    argument: name,
+                    input: this.getInput('name').value,
+                    value: this.getInputValue('name'),
+                    values: this.getInputValues(),
+                };
+                this.tell('Hello ' + name);
+            },
+        });
+
+        return jovo.execute().then(() => {
+            assert.deepEqual(values, {
+                argument: 'John',
+                input: 'John',
+                value: 'John',
+                values: {
+                    name: 'John',
+                    city: 'New York',
+                },
+            });
+        });
+    });
+});
+
 describe('getSortedArgumentsInput', function() {
     it('should match the slots to arguments', function() {
         let app = new Jovo.Jovo();
@@ -1004,11 +3002,16 @@ describe('setConfig(config)', function() {
         expect(app.userDataCol).to.equal('userData');
         expect(app.inputMap).to.deep.equal({});
         expect(app.intentMap).to.deep.equal({});
+        expect(app.inputDefinitions).to.deep.equal({});
         expect(app.requestLoggingObjects).to.deep.equal([]);
         expect(app.responseLoggingObjects).to.deep.equal([]);
         expect(app.saveBeforeResponseEnabled).to.equal(false);
         expect(app.allowedApplicationIds).to.deep.equal([]);
         expect(app.localDbFilename).to.equal('db');
+        expect(app.sessionHistorySize).to.equal(3);
+        expect(app.responseTimeout).to.equal(0);
+        expect(app.alexaVerificationEnabled).to.equal(false);
+        expect(app.actionsSdkMatcher).to.equal(null);
 
         expect(app.userMetaData).to.deep.include({
                 lastUsedAt: true,
@@ -1018,7 +3021,7 @@ describe('setConfig(config)', function() {
                 devices: false,
         });
         expect(app.i18n).to.equal(undefined);
-        expect(Object.keys(Jovo.DEFAULT_CONFIG)).to.have.a.lengthOf(13);
+        expect(Object.keys(Jovo.DEFAULT_CONFIG)).to.have.a.lengthOf(18);
         expect(Object.keys(Jovo.DEFAULT_CONFIG.userMetaData)).to.have.a.lengthOf(5);
     });
 
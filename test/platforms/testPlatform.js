@@ -0,0 +1,152 @@
+'use strict';
+let assert = require('chai').assert;
+
+let Jovo = require('../../lib/jovo');
+const Platform = require('../../lib/platforms/plaform').Platform;
+const User = require('../../lib/user').User;
+const SpeechBuilder = require('../../lib/platforms/speechBuilder').SpeechBuilder;
+
+/**
+ * Response of the test channel
+ */
+class TestChannelResponse {
+    /**
+     * Constructor
+     */
+    constructor() {
+        this.responseObj = {text: ''};
+    }
+}
+
+/**
+ * User of the test channel
+ */
+class TestChannelUser extends User {}
+
+/**
+ * Speech builder of the test channel
+ */
+class TestChannelSpeechBuilder extends SpeechBuilder {}
+
+/**
+ * Platform for testing
+ */
+class TestChannel extends Platform {
+    /**
+     * Constructor
+     * @param {Jovo} jovo
+     * @param {object} request
+     */
+    constructor(jovo, request) {
+        super();
+        this.jovo = jovo;
+        this.request = request;
+        this.response = this.createResponse();
+    }
+}
+
+const TEST_CHANNEL_ADAPTER = {
+    name: 'TEST_CHANNEL',
+    type: 'TestChannel',
+    platform: TestChannel,
+    isPlatformRequest: (request) => !!request.testChannel,
+    user: TestChannelUser,
+    speechBuilder: TestChannelSpeechBuilder,
+    response: TestChannelResponse,
+};
+
+describe('addPlatform', function() {
+    it('should extend PLATFORM_ENUM', function() {
+        let app = new Jovo.Jovo();
+        app.addPlatform(TEST_CHANNEL_ADAPTER);
+
+        assert.strictEqual(Jovo.PLATFORM_ENUM.TEST_CHANNEL, 'TestChannel');
+        assert.strictEqual(Jovo.PLATFORM_ENUM.ALEXA_SKILL, 'AlexaSkill');
+        assert.strictEqual(Jovo.PLATFORM_ENUM.GOOGLE_ACTION, 'GoogleAction');
+        assert.strictEqual(Jovo.PLATFORM_ENUM.ALL, 'All');
+    });
+
+    it('should create the registered classes for detected requests', function() {
+        let app = new Jovo.Jovo();
+        app.addPlatform(TEST_CHANNEL_ADAPTER);
+        let jovo = app.handleRequest({
+            body: {
+                testChannel: true,
+            },
+        }, {}, {});
+
+        let platform = jovo.getPlatform();
+        assert.ok(platform instanceof TestChannel);
+        assert.strictEqual(platform.getType(), Jovo.PLATFORM_ENUM.TEST_CHANNEL);
+        assert.ok(platform.getResponse() instanceof TestChannelResponse);
+        assert.ok(jovo.user() instanceof TestChannelUser);
+        assert.ok(jovo.speechBuilder() instanceof TestChannelSpeechBuilder);
+        assert.isFalse(jovo.isAlexaSkill());
+        assert.isFalse(jovo.isGoogleAction());
+    });
+
+    it('should add platforms to the app only', function() {
+        let app = new Jovo.Jovo();
+        app.addPlatform(TEST_CHANNEL_ADAPTER);
+        let otherApp = new Jovo.Jovo();
+
+        assert.lengthOf(app.platformAdapters, 1);
+        assert.lengthOf(otherApp.platformAdapters, 0);
+        assert.throws(
+            function() {
+                new TestChannel(otherApp, {testChannel: true});
+            },
+            Error,
+            'Platform TestChannel has not been registered.'
+        );
+    });
+
+    it('should not change existing platform types', function() {
+        let app = new Jovo.Jovo();
+        assert.throws(
+            function() {
+                app.addPlatform({
+                    name: 'ALEXA_SKILL',
+                    type: 'OtherSkill',
+                    platform: class OtherSkill extends TestChannel {},
+                    isPlatformRequest: () => false,
+                    user: TestChannelUser,
+                    speechBuilder: TestChannelSpeechBuilder,
+                    response: TestChannelResponse,
+                });
+            },
+            Error,
+            'Platform type ALEXA_SKILL already exists.'
+        );
+        assert.throws(function() {
+            Jovo.PLATFORM_ENUM.ALEXA_SKILL = 'OtherSkill';
+        }, TypeError);
+        assert.strictEqual(Jovo.PLATFORM_ENUM.ALEXA_SKILL, 'AlexaSkill');
+    });
+
+    it('should throw error on incomplete adapters', function() {
+        let app = new Jovo.Jovo();
+        assert.throws(
+            function() {
+                app.addPlatform({
+                    name: 'INCOMPLETE',
+                    type: 'Incomplete',
+                    platform: class Incomplete extends Platform {},
+                    isPlatformRequest: () => false,
+                });
+            },
+            Error,
+            'Platform adapter Incomplete needs user.'
+        );
+        assert.throws(
+            function() {
+                app.addPlatform({
+                    platform: function() {},
+                });
+            },
+            Error,
+            'Platform adapters need a subclass of Platform.'
+        );
+        assert.isUndefined(Jovo.PLATFORM_ENUM.INCOMPLETE);
+    });
+});
@@ -0,0 +1,246 @@
+'use strict';
+let assert = require('chai').assert;
+const Jovo = require('../lib/jovo').Jovo;
+const alexaVerifier = require('../lib/verification/alexaVerifier');
+const RequestBuilderAlexaSkill = require('../lib/platforms/alexa/requestBuilderAlexaSkill').RequestBuilderAlexaSkill;
+const RequestBuilderGoogleAction = require('../lib/platforms/googleaction/requestBuilderGoogleAction').RequestBuilderGoogleAction;
+
+const CERT_URL = 'https://s3.amazonaws.com/echo.api/echo-api-cert-4.pem';
+
+/**
+ * Returns a launch request with the given timestamp
+ * @param {Date} date
+ * @return {object}
+ */
+function launchRequest(date) {
+    return (new RequestBuilderAlexaSkill())
+        .launchRequest()
+        .setTimestamp(date.toISOString())
+        .buildSimple();
+}
+
+/**
+ * Returns an API Gateway event of the request
+ * @param {object} request
+ * @param {object} headers
+ * @return {{headers: object, body: string}}
+ */
+function httpEvent(request, headers) {
+    return {
+        headers: headers,
+        body: JSON.stringify(request),
+    };
+}
+
+describe('alexaVerifier', function() {
+    describe('validateCertUrl', function() {
+        it('should accept valid certificate chain urls', function() {
+            assert.isUndefined(alexaVerifier.validateCertUrl(CERT_URL));
+            assert.isUndefined(alexaVerifier.validateCertUrl(
+                'https://s3.amazonaws.com:443/echo.api/echo-api-cert.pem'));
+            assert.isUndefined(alexaVerifier.validateCertUrl(
+                'https://S3.AMAZONAWS.COM/echo.api/../echo.api/echo-api-cert.pem'));
+        });
+
+        it('should reject invalid certificate chain urls', function() {
+            [
+                'http://s3.amazonaws.com/echo.api/echo-api-cert.pem',
+                'https://notamazon.com/echo.api/echo-api-cert.pem',
+                'https://s3.amazonaws.com/EcHo.aPi/echo-api-cert.pem',
+                'https://s3.amazonaws.com/invalid.path/echo-api-cert.pem',
+                'https://s3.amazonaws.com:563/echo.api/echo-api-cert.pem',
+                'https://s3.amazonaws.com/echo.api/../invalid.path/echo-api-cert.pem',
+            ].forEach((certUrl) => {
+                assert.isString(alexaVerifier.validateCertUrl(certUrl), certUrl);
+            });
+            assert.strictEqual(
+                alexaVerifier.validateCertUrl(undefined),
+                'Missing SignatureCertChainUrl header.');
+        });
+    });
+
+    describe('validateTimestamp', function() {
+        it('should accept timestamps within 150 seconds', function() {
+            assert.isUndefined(alexaVerifier.validateTimestamp(launchRequest(new Date())));
+            assert.isUndefined(alexaVerifier.validateTimestamp(
+                launchRequest(new Date(Date.now() - 140000))));
+        });
+
+        it('should reject old and future timestamps', function() {
+            assert.strictEqual(
+                alexaVerifier.validateTimestamp(launchRequest(new Date(Date.now() - 160000))),
+                'Request timestamp is more than 150 seconds away from now.');
+            assert.isString(alexaVerifier.validateTimestamp(
+                launchRequest(new Date(Date.now() + 160000))));
+            assert.strictEqual(
+                alexaVerifier.validateTimestamp({request: {}}),
+                'Missing request timestamp.');
+        });
+    });
+
+    describe('verify', function() {
+        it('should resolve direct Lambda invocations with the request', function() {
+            let request = launchRequest(new Date());
+            return alexaVerifier.verify(request).then((result) => {
+                assert.strictEqual(result, request);
+            });
+        });
+
+        it('should check the signature headers of HTTP events', function() {
+            let event = httpEvent(launchRequest(new Date()), {
+                SignatureCertChainUrl: CERT_URL,
+            });
+            return alexaVerifier.verify(event).then(() => {
+                throw new Error('should be rejected');
+            }, (error) => {
+                assert.strictEqual(error.message, 'missing signature');
+            });
+        });
+
+        it('should reject HTTP events with invalid bodies', function() {
+            return alexaVerifier.verify({body: '{', headers: {}}).then(() => {
+                throw new Error('should be rejected');
+            }, (error) => {
+                assert.strictEqual(error.message, 'Request body is not valid JSON.');
+            });
+        });
+    });
+
+    describe('Jovo in Lambda mode', function() {
+        it('should handle verified requests', function(done) {
+            let app = new Jovo();
+            app.setConfig({
+                alexaVerificationEnabled: true,
+            });
+            app.handleRequest(launchRequest(new Date()), function(err, response) {
+                assert.isNull(err);
+                assert.strictEqual(response.response.outputSpeech.ssml, '<speak>Hello</speak>');
+                done();
+            }, {
+                'LAUNCH': function() {
+                    this.tell('Hello');
+                },
+            }).execute();
+        });
+
+        it('should not handle requests with old timestamps', function(done) {
+            let app = new Jovo();
+            app.setConfig({
+                alexaVerificationEnabled: true,
+            });
+            let request = launchRequest(new Date(Date.now() - 200000));
+            app.handleRequest(request, function(err, response) {
+                assert.strictEqual(
+                    err.message,
+                    'Request timestamp is more than 150 seconds away from now.');
+                done();
+            }, {
+                'LAUNCH': function() {
+                    done(new Error('LAUNCH should not be called'));
+                },
+            }).execute();
+        });
+
+        it('should respond with 401 to unverified HTTP events', function(done) {
+            let app = new Jovo();
+            app.setConfig({
+                alexaVerificationEnabled: true,
+            });
+            let event = httpEvent(launchRequest(new Date()), {
+                SignatureCertChainUrl: 'https://evil.com/echo.api/cert.pem',
+                Signature: 'c2lnbmF0dXJl',
+            });
+            app.handleRequest(event, function(err, response) {
+                assert.isNull(err);
+                assert.strictEqual(response.statusCode, 401);
+                assert.include(JSON.parse(response.body).reason, 'has to be on s3.amazonaws.com');
+                done();
+            }, {
+                'LAUNCH': function() {
+                    done(new Error('LAUNCH should not be called'));
+                },
+            }).execute();
+        });
+
+        it('should respond with 400 to HTTP events with invalid bodies', function(done) {
+            let app = new Jovo();
+            app.setConfig({
+                alexaVerificationEnabled: true,
+            });
+            let event = {
+                headers: {
+                    SignatureCertChainUrl: CERT_URL,
+                    Signature: 'c2lnbmF0dXJl',
+                },
+                body: '{',
+            };
+            app.handleRequest(event, function(err, response) {
+                assert.isNull(err);
+                assert.strictEqual(response.statusCode, 400);
+                assert.strictEqual(
+                    JSON.parse(response.body).reason,
+                    'Request body is not valid JSON.');
+                done();
+            }, {
+                'LAUNCH': function() {
+                    done(new Error('LAUNCH should not be called'));
+                },
+            }).execute();
+        });
+
+        it('should not handle unsigned Dialogflow requests', function(done) {
+            let app = new Jovo();
+            app.setConfig({
+                alexaVerificationEnabled: true,
+            });
+            let request = (new RequestBuilderGoogleAction())
+                .intentRequest('HelloWorldIntent')
+                .build().body;
+            app.handleRequest(httpEvent(request, {}), function(err, response) {
+                assert.isNull(err);
+                assert.strictEqual(response.statusCode, 401);
+                assert.strictEqual(
+                    JSON.parse(response.body).reason,
+                    'Only Alexa requests can be verified.');
+                done();
+            }, {
+                'HelloWorldIntent': function() {
+                    done(new Error('HelloWorldIntent should not be called'));
+                },
+            }).execute();
+        });
+
+        it('should not handle Dialogflow requests invoked directly', function(done) {
+            let app = new Jovo();
+            app.setConfig({
+                alexaVerificationEnabled: true,
+            });
+            let request = (new RequestBuilderGoogleAction())
+                .intentRequest('HelloWorldIntent')
+                .build().body;
+            app.handleRequest(request, function(err) {
+                assert.strictEqual(err.message, 'Only Alexa requests can be verified.');
+                done();
+            }, {
+                'HelloWorldIntent': function() {
+                    done(new Error('HelloWorldIntent should not be called'));
+                },
+            }).execute();
+        });
+
+        it('should not verify without alexaVerificationEnabled', function(done) {
+            let app = new Jovo();
+            let request = launchRequest(new Date(Date.now() - 200000));
+            app.handleRequest(request, function(err, response) {
+                assert.isNull(err);
+                assert.isUndefined(response.statusCode);
+                assert.strictEqual(response.response.outputSpeech.ssml, '<speak>Hello</speak>');
+                done();
+            }, {
+                'LAUNCH': function() {
+                    this.tell('Hello');
+                },
+            }).execute();
+        });
+    });
+});
@@ -0,0 +1,166 @@
+'use strict';
+let assert = require('chai').assert;
+const Jovo = require('../lib/jovo').Jovo;
+const AppRegistry = require('../lib/appRegistry').AppRegistry;
+const RequestBuilderAlexaSkill = require('../lib/platforms/alexa/requestBuilderAlexaSkill').RequestBuilderAlexaSkill;
+const RequestBuilderGoogleAction = require('../lib/platforms/googleaction/requestBuilderGoogleAction').RequestBuilderGoogleAction;
+
+/**
+ * Returns an unsigned token with the given payload
+ * @param {object} payload
+ * @return {string}
+ */
+function createToken(payload) {
+    let encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64');
+    return encode({alg: 'RS256'}) + '.' + encode(payload) + '.signature';
+}
+
+describe('AppRegistry', function() {
+    describe('register', function() {
+        it('should register an app for every application id', function() {
+            let registry = new AppRegistry();
+            let app = registry.register(['skill-id', 'project-id'], {
+                handlers: {
+                    'LAUNCH': function() {},
+                },
+                config: {
+                    sessionHistorySize: 0,
+                },
+            });
+
+            assert.ok(app instanceof Jovo);
+            assert.strictEqual(registry.getApp('skill-id'), app);
+            assert.strictEqual(registry.getApp('project-id'), app);
+            assert.strictEqual(app.sessionHistorySize, 0);
+            assert.property(app.handlers, 'LAUNCH');
+            assert.isFalse(registry.isEmpty());
+        });
+
+        it('should register Jovo instances', function() {
+            let registry = new AppRegistry();
+            let app = new Jovo();
+            assert.strictEqual(registry.register('skill-id', app), app);
+        });
+
+        it('should throw error on registered application ids', function() {
+            let registry = new AppRegistry();
+            registry.register('skill-id', {});
+            assert.throws(
+                function() {
+                    registry.register('skill-id', {});
+                },
+                Error,
+                'An app is already registered for skill-id.'
+            );
+        });
+    });
+
+    describe('getApplicationId', function() {
+        it('should return the Alexa application id', function() {
+            let request = (new RequestBuilderAlexaSkill())
+                .launchRequest()
+                .setApplicationId('amzn1.ask.skill.123')
+                .buildSimple();
+            assert.strictEqual(AppRegistry.getApplicationId(request), 'amzn1.ask.skill.123');
+        });
+
+        it('should return the project id of Dialogflow V2 sessions', function() {
+            let request = {
+                session: 'projects/my-project/agent/sessions/123',
+            };
+            assert.strictEqual(AppRegistry.getApplicationId(request), 'my-project');
+        });
+
+        it('should return the audience of the Google-Assistant-Signature', function() {
+            let request = (new RequestBuilderGoogleAction())
+                .launchRequest()
+                .body();
+            let headers = {
+                'Google-Assistant-Signature': createToken({aud: 'my-project'}),
+            };
+            assert.strictEqual(AppRegistry.getApplicationId(request, headers), 'my-project');
+            assert.isUndefined(AppRegistry.getApplicationId(request, {
+                'google-assistant-signature': 'invalid',
+            }));
+        });
+    });
+
+    describe('handleWebhook', function() {
+        let registry = new AppRegistry();
+        ['first', 'second'].forEach((name) => {
+            registry.register('skill-' + name, {
+                languageResources: {
+                    'en-US': {
+                        translation: {
+                            WELCOME: 'Welcome to the ' + name + ' skill',
+                        },
+                    },
+                },
+                handlers: {
+                    'LAUNCH': function() {
+                        this.tell(this.t('WELCOME'));
+                    },
+                },
+            });
+        });
+
+        it('should dispatch to the app of the application id', function(done) {
+            let request = (new RequestBuilderAlexaSkill())
+                .launchRequest()
+                .setApplicationId('skill-second')
+                .build();
+
+            registry.handleWebhook(request, {
+                json: function(json) {
+                    assert.strictEqual(
+                        json.response.outputSpeech.ssml,
+                        '<speak>Welcome to the second skill</speak>');
+                    done();
+                },
+            });
+        });
+
+        it('should respond with 404 to unknown application ids', function(done) {
+            let request = (new RequestBuilderAlexaSkill())
+                .launchRequest()
+                .setApplicationId('skill-unknown')
+                .build();
+
+            registry.handleWebhook(request, {
+                status: function(code) {
+                    assert.strictEqual(code, 404);
+                    return this;
+                },
+                json: function(json) {
+                    assert.strictEqual(
+                        json.error,
+                        'No app registered for application ID skill-unknown.');
+                    done();
+                },
+            });
+        });
+    });
+
+    describe('handleLambda', function() {
+        it('should dispatch to the app of the application id', function(done) {
+            let registry = new AppRegistry();
+            registry.register('skill-id', {
+                handlers: {
+                    'LAUNCH': function() {
+                        this.tell('Hello Lambda');
+                    },
+                },
+            });
+            let event = (new RequestBuilderAlexaSkill())
+                .launchRequest()
+                .setApplicationId('skill-id')
+                .buildSimple();
+
+            registry.handleLambda(event, {}, function(err, response) {
+                assert.isNull(err);
+                assert.strictEqual(response.response.outputSpeech.ssml, '<speak>Hello Lambda</speak>');
+                done();
+            });
+        });
+    });
+});
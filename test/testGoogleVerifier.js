@@ -0,0 +1,260 @@
+'use strict';
+let assert = require('chai').assert;
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const GoogleVerifier = require('../lib/verification/googleVerifier').GoogleVerifier;
+const createVerifiedRouter = require('../lib/verification/verifiedRouter').createVerifiedRouter;
+
+const keys = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: {type: 'spki', format: 'pem'},
+    privateKeyEncoding: {type: 'pkcs8', format: 'pem'},
+});
+
+/**
+ * Returns a token signed with the local test key
+ * @param {object} payload
+ * @param {string} kid
+ * @return {string}
+ */
+function createToken(payload, kid) {
+    let encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    let content = encode({alg: 'RS256', kid: kid || 'test-key'}) + '.' + encode(payload);
+    let signature = crypto.createSign('RSA-SHA256').update(content).sign(keys.privateKey, 'base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    return content + '.' + signature;
+}
+
+/**
+ * Returns a valid token payload for the project
+ * @param {string} projectId
+ * @return {object}
+ */
+function createPayload(projectId) {
+    return {
+        iss: 'https://accounts.google.com',
+        aud: projectId,
+        exp: Math.floor(Date.now() / 1000) + 60,
+    };
+}
+
+describe('GoogleVerifier', function() {
+    let certs = {
+        'test-key': keys.publicKey,
+    };
+
+    describe('verify', function() {
+        it('should reject requests if nothing is configured', function() {
+            let verifier = new GoogleVerifier();
+            return verifier.verify({headers: {}, body: {}}).then(() => {
+                throw new Error('should be rejected');
+            }, (error) => {
+                assert.strictEqual(error.message, 'Google request verification is not configured.');
+            });
+        });
+
+        it('should check basic auth credentials', function() {
+            let verifier = new GoogleVerifier({
+                basicAuth: {username: 'jovo', password: 'secret'},
+            });
+            let valid = 'Basic ' + Buffer.from('jovo:secret').toString('base64');
+            let invalid = 'Basic ' + Buffer.from('jovo:wrong').toString('base64');
+
+            return verifier.verify({headers: {Authorization: valid}, body: {}})
+                .then(() => {
+                    return verifier.verify({headers: {Authorization: invalid}, body: {}});
+                })
+                .then(() => {
+                    throw new Error('should be rejected');
+                }, (error) => {
+                    assert.strictEqual(error.message, 'Invalid basic auth credentials.');
+                });
+        });
+
+        it('should check secret headers', function() {
+            let verifier = new GoogleVerifier({
+                headers: {'X-Jovo-Secret': 'secret'},
+            });
+            return verifier.verify({headers: {'x-jovo-secret': 'secret'}, body: {}})
+                .then(() => {
+                    return verifier.verify({headers: {'x-jovo-secret': 'secrets'}, body: {}});
+                })
+                .then(() => {
+                    throw new Error('should be rejected');
+                }, (error) => {
+                    assert.strictEqual(error.message, 'Invalid value of header X-Jovo-Secret.');
+                });
+        });
+
+        it('should verify the Google-Assistant-Signature', function() {
+            let verifier = new GoogleVerifier({
+                projectId: 'my-project',
+                certs: certs,
+            });
+            let request = (token) => {
+                return {
+                    headers: {'Google-Assistant-Signature': token},
+                    body: {},
+                };
+            };
+            let expectRejection = (token, message) => {
+                return verifier.verify(request(token)).then(() => {
+                    throw new Error('should be rejected');
+                }, (error) => {
+                    assert.strictEqual(error.message, message);
+                });
+            };
+            let expired = createPayload('my-project');
+            expired.exp = Math.floor(Date.now() / 1000) - 60;
+            let token = createToken(createPayload('my-project'));
+
+            return verifier.verify(request(token))
+                .then(() => {
+                    return expectRejection(
+                        createToken(createPayload('other-project')),
+                        'Invalid project ID other-project.');
+                })
+                .then(() => {
+                    return expectRejection(createToken(expired), 'Token has expired.');
+                })
+                .then(() => {
+                    return expectRejection(
+                        createToken(createPayload('my-project'), 'other-key'),
+                        'Unknown token key id other-key.');
+                })
+                .then(() => {
+                    let parts = token.split('.');
+                    let payload = Buffer.from(JSON.stringify(createPayload('hijacked')))
+                        .toString('base64');
+                    return expectRejection(
+                        parts[0] + '.' + payload + '.' + parts[2],
+                        'Invalid token signature.');
+                })
+                .then(() => {
+                    return expectRejection(undefined, 'Missing Google-Assistant-Signature header.');
+                });
+        });
+
+        it('should check the project ID of Dialogflow V2 sessions', function() {
+            let verifier = new GoogleVerifier({
+                projectId: 'my-project',
+                headers: {'x-jovo-secret': 'secret'},
+            });
+            let request = (session) => {
+                return {
+                    headers: {'x-jovo-secret': 'secret'},
+                    body: {session: session},
+                };
+            };
+
+            return verifier.verify(request('projects/my-project/agent/sessions/1'))
+                .then(() => {
+                    return verifier.verify(request('projects/other-project/agent/sessions/1'));
+                })
+                .then(() => {
+                    throw new Error('should be rejected');
+                }, (error) => {
+                    assert.strictEqual(error.message, 'Invalid project ID other-project.');
+                });
+        });
+    });
+
+    describe('getProjectId', function() {
+        it('should return the unverified project ID', function() {
+            assert.strictEqual(GoogleVerifier.getProjectId({
+                session: 'projects/my-project/agent/sessions/1',
+            }), 'my-project');
+            assert.strictEqual(GoogleVerifier.getProjectId({}, {
+                'Google-Assistant-Signature': createToken(createPayload('my-project')),
+            }), 'my-project');
+            assert.isUndefined(GoogleVerifier.getProjectId({}, {}));
+        });
+    });
+
+    describe('createVerifiedRouter', function() {
+        let server;
+        let port;
+
+        before(function(done) {
+            let app = express();
+            app.use(createVerifiedRouter(new GoogleVerifier({
+                projectId: 'my-project',
+                certs: certs,
+            })));
+            app.post('/webhook', function(req, res) {
+                res.json({ok: true, intent: req.body.intent});
+            });
+            server = app.listen(0, function() {
+                port = server.address().port;
+                done();
+            });
+        });
+
+        after(function(done) {
+            server.close(done);
+        });
+
+        /**
+         * Posts the body to the test server
+         * @param {object} headers
+         * @param {object} body
+         * @return {Promise<{statusCode: number, body: object}>}
+         */
+        function post(headers, body) {
+            return new Promise((resolve, reject) => {
+                let data = JSON.stringify(body);
+                let req = http.request({
+                    port: port,
+                    method: 'POST',
+                    path: '/webhook',
+                    headers: Object.assign({
+                        'Content-Type': 'application/json',
+                        'Content-Length': Buffer.byteLength(data),
+                    }, headers),
+                }, (res) => {
+                    let str = '';
+                    res.on('data', (chunk) => {
+                        str += chunk;
+                    });
+                    res.on('end', () => {
+                        resolve({statusCode: res.statusCode, body: JSON.parse(str)});
+                    });
+                });
+                req.on('error', reject);
+                req.end(data);
+            });
+        }
+
+        it('should pass verified Google requests', function() {
+            let headers = {
+                'Google-Assistant-Signature': createToken(createPayload('my-project')),
+            };
+            return post(headers, {intent: 'HelloWorldIntent'}).then((res) => {
+                assert.strictEqual(res.statusCode, 200);
+                assert.deepEqual(res.body, {ok: true, intent: 'HelloWorldIntent'});
+            });
+        });
+
+        it('should reject unverified Google requests', function() {
+            let headers = {
+                'Google-Assistant-Signature': createToken(createPayload('other-project')),
+            };
+            return post(headers, {intent: 'HelloWorldIntent'}).then((res) => {
+                assert.strictEqual(res.statusCode, 401);
+                assert.strictEqual(res.body.reason, 'Invalid project ID other-project.');
+            });
+        });
+
+        it('should verify Alexa requests with the Alexa verifier', function() {
+            let headers = {
+                signaturecertchainurl: 'https://s3.amazonaws.com/echo.api/echo-api-cert.pem',
+            };
+            return post(headers, {request: {timestamp: new Date().toISOString()}}).then((res) => {
+                assert.strictEqual(res.statusCode, 401);
+                assert.strictEqual(res.body.reason, 'missing signature');
+            });
+        });
+    });
+});
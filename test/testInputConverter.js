@@ -0,0 +1,119 @@
+'use strict';
+let assert = require('chai').assert;
+const inputConverter = require('../lib/inputConverter');
+
+describe('inputConverter', function() {
+    describe('convert', function() {
+        it('should convert numbers', function() {
+            assert.strictEqual(inputConverter.convert('45', {type: 'number'}), 45);
+            assert.strictEqual(inputConverter.convert('3.5', {type: 'number'}), 3.5);
+            assert.strictEqual(inputConverter.convert(7, {type: 'number'}), 7);
+            assert.isUndefined(inputConverter.convert('?', {type: 'number'}));
+            assert.isUndefined(inputConverter.convert('   ', {type: 'number'}));
+        });
+
+        it('should convert dates', function() {
+            let date = inputConverter.convert('2017-06-12', {type: 'date'});
+            assert.ok(date instanceof Date);
+            assert.strictEqual(date.toISOString(), '2017-06-12T00:00:00.000Z');
+
+            date = inputConverter.convert('2017-06-12T15:41:07Z', {type: 'date'});
+            assert.strictEqual(date.toISOString(), '2017-06-12T15:41:07.000Z');
+
+            assert.isUndefined(inputConverter.convert('2017-W24', {type: 'date'}));
+            assert.isUndefined(inputConverter.convert('2017-13-45', {type: 'date'}));
+        });
+
+        it('should convert times', function() {
+            assert.deepEqual(inputConverter.convert('14:30', {type: 'time'}), {
+                hours: 14,
+                minutes: 30,
+                seconds: 0,
+            });
+            assert.deepEqual(inputConverter.convert('08:05:10', {type: 'time'}), {
+                hours: 8,
+                minutes: 5,
+                seconds: 10,
+            });
+            assert.isUndefined(inputConverter.convert('EV', {type: 'time'}));
+            assert.isUndefined(inputConverter.convert('25:00', {type: 'time'}));
+        });
+
+        it('should convert durations to seconds', function() {
+            assert.strictEqual(inputConverter.convert('PT10M', {type: 'duration'}), 600);
+            assert.strictEqual(inputConverter.convert('P1DT1H', {type: 'duration'}), 90000);
+            assert.strictEqual(inputConverter.convert('PT1.5H', {type: 'duration'}), 5400);
+            assert.strictEqual(inputConverter.convert(
+                {amount: 2, unit: 'min'}, {type: 'duration'}), 120);
+            assert.isUndefined(inputConverter.convert('P', {type: 'duration'}));
+            assert.isUndefined(inputConverter.convert('PT', {type: 'duration'}));
+            assert.isUndefined(inputConverter.convert('ten minutes', {type: 'duration'}));
+            assert.isUndefined(inputConverter.convert(
+                {amount: 2, unit: 'lightyear'}, {type: 'duration'}));
+        });
+
+        it('should convert booleans', function() {
+            assert.strictEqual(inputConverter.convert('yes', {type: 'boolean'}), true);
+            assert.strictEqual(inputConverter.convert('False', {type: 'boolean'}), false);
+            assert.strictEqual(inputConverter.convert(false, {type: 'boolean'}), false);
+            assert.isUndefined(inputConverter.convert('maybe', {type: 'boolean'}));
+        });
+
+        it('should match enum values', function() {
+            let definition = {
+                type: 'enum',
+                values: ['small', 'medium', 'large'],
+            };
+            assert.strictEqual(inputConverter.convert('Large', definition), 'large');
+            assert.isUndefined(inputConverter.convert('huge', definition));
+        });
+
+        it('should return the value without a type', function() {
+            assert.strictEqual(inputConverter.convert('John', {}), 'John');
+        });
+    });
+
+    describe('validateInputDefinitions', function() {
+        it('should throw error on unsupported types', function() {
+            assert.throws(
+                function() {
+                    inputConverter.validateInputDefinitions({
+                        AgeIntent: {
+                            age: {type: 'color'},
+                        },
+                    });
+                },
+                Error,
+                'Input type color of AgeIntent.age is not supported.'
+            );
+        });
+
+        it('should throw error on enums without values', function() {
+            assert.throws(
+                function() {
+                    inputConverter.validateInputDefinitions({
+                        OrderIntent: {
+                            size: {type: 'enum'},
+                        },
+                    });
+                },
+                Error,
+                'Enum input OrderIntent.size needs an array of values.'
+            );
+        });
+
+        it('should throw error if the validator is not a function', function() {
+            assert.throws(
+                function() {
+                    inputConverter.validateInputDefinitions({
+                        AgeIntent: {
+                            age: {validator: true},
+                        },
+                    });
+                },
+                Error,
+                'Validator of AgeIntent.age has to be a function.'
+            );
+        });
+    });
+});
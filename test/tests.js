@@ -127,7 +127,9 @@ describe('Jovo Class - Alexa Webhook tests', function() {
                 function() {
                     let handlers = {
                         'state': {
-                            'intent': {},
+                            'nestedState': {
+                                'intent': 'test',
+                            },
                         },
                     };
                     Jovo.Jovo.validateHandlers(handlers);
@@ -136,6 +138,39 @@ describe('Jovo Class - Alexa Webhook tests', function() {
                 'IntentHandler inside of a state should be a function'
             );
         });
+
+        it('should be at least one intent in a nested state', function() {
+            assert.throws(
+                function() {
+                    let handlers = {
+                        'state': {
+                            'intent': {},
+                        },
+                    };
+                    Jovo.Jovo.validateHandlers(handlers);
+                },
+                Error,
+                'There should be at least one intent in the state.'
+            );
+        });
+
+        it('should accept nested states', function() {
+            assert.doesNotThrow(
+                function() {
+                    let handlers = {
+                        'Order': {
+                            'Payment': {
+                                'Confirm': {
+                                    'YesIntent': function() {},
+                                },
+                                'Unhandled': function() {},
+                            },
+                        },
+                    };
+                    Jovo.Jovo.validateHandlers(handlers);
+                }
+            );
+        });
     });
 
 
@@ -161,7 +196,7 @@ describe('Jovo Class - Alexa Webhook tests', function() {
 
                 app.handleRequest(request, response, {
                     'HelloWorldIntent': function() {
-                        app.tell('Hey ' + app.getInput('name'));
+                        app.tell('Hey ' + app.getInput('name').value);
                     },
                 });
                 app.execute();
@@ -256,7 +291,7 @@ describe('Jovo Class - Alexa Webhook tests', function() {
 
                 app.handleRequest(request, response, {
                     'HelloWorldIntent': function() {
-                        app.tell('Hey ' + app.getInput('name'));
+                        app.tell('Hey ' + app.getInput('name').value);
                     },
                 });
                 app.execute();